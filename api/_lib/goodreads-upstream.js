@@ -0,0 +1,106 @@
+/**
+ * Where shelf RSS feeds come from. GOODREADS_UPSTREAM selects the source:
+ * - unset: the live Goodreads site
+ * - an http(s) URL: a mock RSS server that serves /review/list_rss/:userId like Goodreads
+ * - a directory path: recorded XML fixtures, laid out as <dir>/<userId>/<shelf>/page-<n>.xml
+ *
+ * A fixture shelf may carry a shelf.json:
+ * - "key": the shelf is private; requests without this key are redirected to sign-in like Goodreads does
+ * - "template" and "pages": every page up to "pages" is rendered from one template file,
+ *   with {{page}} replaced by the page number (for shelves too large to record)
+ * Pages after the last fixture page return the shelf's channel without items, and
+ * unknown shelves return an empty channel for another shelf, both as Goodreads does.
+ */
+import { readFile, stat } from "node:fs/promises";
+import path from "node:path";
+
+export const GOODREADS_ORIGIN = "https://www.goodreads.com";
+
+const SIGN_IN_URL = `${GOODREADS_ORIGIN}/user/sign_in`;
+
+/**
+ * Fetch one shelf feed page from the configured upstream
+ * @param {string} userId - Validated Goodreads user ID
+ * @param {URLSearchParams} params - Feed query (shelf, sort, order, page, key)
+ * @param {RequestInit} [init] - Fetch options such as signal and headers
+ * @returns {Promise<Response>} Feed response
+ */
+export async function fetchShelfFeed(userId, params, init = {}) {
+  const upstream = process.env.GOODREADS_UPSTREAM?.trim();
+
+  if (!upstream || /^https?:\/\//i.test(upstream)) {
+    const origin = (upstream || GOODREADS_ORIGIN).replace(/\/+$/, '');
+    return fetch(`${origin}/review/list_rss/${userId}?${params}`, init);
+  }
+
+  init.signal?.throwIfAborted();
+  return readFixtureFeed(upstream, userId, params);
+}
+
+async function readFixtureFeed(fixtureDir, userId, params) {
+  const shelf = params.get('shelf');
+  const page = Number(params.get('page') || '1');
+  const userDir = path.join(fixtureDir, userId);
+
+  if (!(await directoryExists(userDir))) {
+    return new Response('Not found', { status: 404 });
+  }
+
+  const shelfDir = path.join(userDir, shelf);
+  const shelfConfig = JSON.parse(await readOptionalFile(path.join(shelfDir, 'shelf.json')) ?? '{}');
+
+  if (shelfConfig.key && params.get('key') !== shelfConfig.key) {
+    return createRedirectedResponse('<!DOCTYPE html><html><body>Sign in</body></html>', SIGN_IN_URL);
+  }
+
+  if (shelfConfig.template) {
+    const template = await readFile(path.join(shelfDir, shelfConfig.template), 'utf8');
+    const xml = page <= shelfConfig.pages ? template : removeItems(template);
+    return createXmlResponse(xml.replaceAll('{{page}}', String(page)));
+  }
+
+  const pageXml = await readOptionalFile(path.join(shelfDir, `page-${page}.xml`));
+  if (pageXml !== null) {
+    return createXmlResponse(pageXml);
+  }
+
+  const firstPageXml = await readOptionalFile(path.join(shelfDir, 'page-1.xml'));
+  return createXmlResponse(firstPageXml !== null
+    ? removeItems(firstPageXml)
+    : `<?xml version="1.0" encoding="UTF-8"?><rss version="2.0"><channel><title>Goodreads bookshelf: all</title></channel></rss>`);
+}
+
+function removeItems(xml) {
+  return xml.replace(/\s*<item>[\s\S]*?<\/item>/g, '');
+}
+
+function createXmlResponse(xml) {
+  return new Response(xml, { status: 200, headers: { 'Content-Type': 'application/xml; charset=utf-8' } });
+}
+
+function createRedirectedResponse(body, url) {
+  const response = new Response(body, { status: 200, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+  // Response leaves url and redirected to the fetch that produced it, so mirror a followed redirect here
+  Object.defineProperties(response, {
+    url: { value: url },
+    redirected: { value: true }
+  });
+  return response;
+}
+
+async function readOptionalFile(filePath) {
+  try {
+    return await readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+    throw error;
+  }
+}
+
+async function directoryExists(dirPath) {
+  try {
+    return (await stat(dirPath)).isDirectory();
+  } catch {
+    return false;
+  }
+}
@@ -1,15 +1,51 @@
 /**
  * Converts Goodreads shelf RSS into clean JSON
- * Query params: userId (required), shelf (optional), key (optional), page (optional), sort (optional), order (optional)
+ * Query params: userId (required), shelf (optional), key (optional), page (optional), sort (optional), order (optional),
+ * all (optional, "1" merges every shelf page server-side and ignores page)
+ * Response: { schema_version, page, items: Book[], title, hasMore }
+ * Response with all=1: { schema_version, pages, items: Book[], total, title, truncated, truncated_reason }
+ * Error response: { error: { code, message, retryable, details } }
+ * Set GOODREADS_UPSTREAM to read feeds from a mock server or recorded fixtures (see _lib/goodreads-upstream.js)
  */
+import { createHash } from "node:crypto";
 import { XMLParser } from "fast-xml-parser";
+import { fetchShelfFeed } from "./_lib/goodreads-upstream.js";
 
-const parser = new XMLParser();
+// Keep tag values as strings so titles such as "1984" and ISBNs with leading zeros survive
+const parser = new XMLParser({ parseTagValue: false });
+
+// Version of the book object returned in `items`; bump on breaking field changes
+const BOOK_SCHEMA_VERSION = 2;
+
+// Goodreads returns 100 items per page and serves at most 20 pages of a shelf
+const PAGE_SIZE = 100;
+const MAX_PAGES = 20;
+const PAGE_TIMEOUT_MS = 10000;
+
+// all=1 fetches pages in parallel and must answer within the function's 10s maxDuration
+const ALL_PAGES_CONCURRENCY = 4;
+const ALL_PAGES_TIME_BUDGET_MS = 8000;
+
+// Let the Vercel edge cache absorb repeated launches; browsers always revalidate with the ETag
+const CACHE_CONTROL = 'public, max-age=0, s-maxage=300, stale-while-revalidate=86400';
+
+// Retry-After sent with rate-limit and unavailable responses when Goodreads gives none
+const DEFAULT_RETRY_AFTER_SECONDS = 5;
+const MAX_RETRY_AFTER_SECONDS = 120;
+
+// Sort keys accepted by Goodreads shelf RSS feeds; CONFIG.SORT_KEYS on the client must match
+export const SORT_KEYS = new Set([
+  "title", "author", "cover", "rating", "year_pub", "date_pub", "date_pub_edition",
+  "date_started", "date_read", "date_updated", "date_added", "recommender",
+  "avg_rating", "num_ratings", "review", "read_count", "votes", "random",
+  "comments", "notes", "isbn", "isbn13", "asin", "num_pages", "format",
+  "position", "shelves", "owned", "date_purchased", "purchase_location", "condition"
+]);
 
 export default async function handler(req, res) {
   if (req.method !== "GET") {
     res.setHeader('Allow', 'GET');
-    return res.status(405).json({ error: 'Method not allowed' });
+    return sendError(res, 405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
   }
 
   // Security headers
@@ -18,112 +54,483 @@ export default async function handler(req, res) {
   res.setHeader('X-XSS-Protection', '1; mode=block');
   res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
 
+  // Only successful shelf responses are cacheable
+  res.setHeader('Cache-Control', 'no-store');
+
+  let cacheKey = null;
+
   try {
-    const { userId, shelf = 'read', key, page = '1', sort = 'date_read', order = 'a' } = req.query;
+    const { userId, shelf = 'read', key, page = '1', sort = 'date_read', order = 'a', all } = req.query;
 
     if (!userId) {
-      return res.status(400).json({ error: 'Missing required parameter "userId"' });
+      return sendError(res, 400, 'INVALID_USER_ID', 'Missing required parameter "userId"', { details: { parameter: 'userId' } });
     }
 
     // Validate inputs to prevent SSRF attacks
     if (typeof userId !== "string" || userId.length > 15 || !/^\d+$/.test(userId)) {
-      return res.status(400).json({ error: 'Invalid userId format. Must be numeric.' });
+      return sendError(res, 400, 'INVALID_USER_ID', 'Invalid userId format. Must be numeric.', { details: { parameter: 'userId' } });
     }
 
     if (typeof shelf !== "string" || shelf.length > 100 || !/^[a-zA-Z0-9_-]+$/.test(shelf)) {
-      return res.status(400).json({ error: 'Invalid shelf format. Only alphanumeric characters, hyphens, and underscores allowed.' });
+      return sendError(res, 400, 'INVALID_SHELF', 'Invalid shelf format. Only alphanumeric characters, hyphens, and underscores allowed.', { details: { parameter: 'shelf' } });
     }
 
     if (key !== undefined && key !== null &&
         (typeof key !== "string" || key.length > 100 || !/^[a-zA-Z0-9_-]+$/.test(key))) {
-      return res.status(400).json({ error: "Invalid key format" });
+      return sendError(res, 400, 'INVALID_KEY', 'Invalid key format', { details: { parameter: 'key' } });
     }
 
-    // Validate sort parameter if present - only allow alphanumeric and underscores
-    if (typeof sort !== "string" || !/^[a-zA-Z0-9_]+$/.test(sort)) {
-      return res.status(400).json({ error: 'Invalid sort parameter format. Only alphanumeric characters and underscores allowed.' });
+    // Validate sort parameter against the Goodreads sort keys
+    if (typeof sort !== "string" || !SORT_KEYS.has(sort)) {
+      return sendError(res, 400, 'INVALID_SORT', 'Invalid sort parameter format. Must be a supported Goodreads sort key.', { details: { parameter: 'sort' } });
     }
 
     // Validate order parameter if present - only allow 'a' or 'd'
     if (typeof order !== "string" || !/^[ad]$/.test(order)) {
-      return res.status(400).json({ error: 'Invalid order parameter format. Must be "a" or "d".' });
+      return sendError(res, 400, 'INVALID_ORDER', 'Invalid order parameter format. Must be "a" or "d".', { details: { parameter: 'order' } });
+    }
+
+    if (all !== undefined && all !== "0" && all !== "1") {
+      return sendError(res, 400, 'INVALID_PARAMETER', 'Invalid all parameter format. Must be "0" or "1".', { details: { parameter: 'all' } });
+    }
+
+    const feed = { userId, shelf, key, sort, order };
+    if (all === "1") {
+      cacheKey = getCacheKey(feed, 'all');
+      return await handleAllPages(req, res, feed, cacheKey);
     }
 
     if (typeof page !== "string" || !/^\d+$/.test(page)) {
-      return res.status(400).json({ error: 'Invalid page number' });
+      return sendError(res, 400, 'INVALID_PAGE', 'Invalid page number', { details: { parameter: 'page' } });
     }
 
     const pageNum = Number(page);
-    if (!Number.isSafeInteger(pageNum) || pageNum < 1 || pageNum > 21) {
-      return res.status(400).json({ error: 'Invalid page number' });
+    if (!Number.isSafeInteger(pageNum) || pageNum < 1 || pageNum > MAX_PAGES + 1) {
+      return sendError(res, 400, 'INVALID_PAGE', 'Invalid page number', { details: { parameter: 'page' } });
     }
 
-    return await handleSinglePage(res, userId, shelf, key, pageNum, 'date_read', 'a');
+    cacheKey = getCacheKey(feed, pageNum);
+    return await handleSinglePage(req, res, feed, pageNum, cacheKey);
   } catch (err) {
-    console.error('API Error:', err);
+    // Log the cache key rather than the request URL so the private feed key never reaches logs
+    console.error(`API Error${cacheKey ? ` [${cacheKey}]` : ''}:`, redactFeedKey(`${err.name}: ${err.message}`));
+
+    return sendUpstreamError(res, err);
+  }
+}
+
+/**
+ * Send the error envelope shared by every failed response
+ * @param {Object} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} code - Stable machine-readable error code
+ * @param {string} message - Human-readable message
+ * @param {{retryable?: boolean, details?: Object}} [options] - Whether retrying can help, and extra context
+ */
+function sendError(res, status, code, message, { retryable = false, details = {} } = {}) {
+  return res.status(status).json({ error: { code, message, retryable, details } });
+}
+
+/**
+ * Map a failure while reading Goodreads to its error envelope
+ */
+function sendUpstreamError(res, err) {
+  if (err.name === 'AbortError') {
+    return sendError(res, 504, 'UPSTREAM_TIMEOUT', 'Request timeout - Goodreads is taking too long to respond', { retryable: true });
+  }
+
+  switch (err.code) {
+    case 'UPSTREAM_BAD_XML':
+      return sendError(res, 502, 'UPSTREAM_BAD_XML', 'Goodreads returned a feed that could not be read.', { retryable: true });
+    case 'UPSTREAM_NOT_RSS':
+      return sendError(res, 502, 'UPSTREAM_NOT_RSS', 'Goodreads returned a web page instead of the shelf feed.', { retryable: true });
+    case 'PRIVATE_SHELF_KEY_REQUIRED':
+      return sendError(res, 403, 'PRIVATE_SHELF_KEY_REQUIRED', err.details.keyProvided
+        ? 'Goodreads rejected the feed key for this shelf.'
+        : 'This shelf is private. Provide the key from its Goodreads RSS feed URL.', { details: err.details });
+    case 'SHELF_NOT_FOUND':
+      return sendError(res, 404, 'SHELF_NOT_FOUND', `This Goodreads user has no shelf named "${err.details.shelf}".`, { details: err.details });
+  }
+
+  switch (err.upstreamStatus) {
+    case 404:
+      return sendError(res, 404, 'SHELF_NOT_FOUND', 'Goodreads could not find this user or shelf.');
+    case 429:
+    case 503: {
+      const retryAfter = getRetryAfterSeconds(err.retryAfter);
+      res.setHeader('Retry-After', String(retryAfter));
+      return err.upstreamStatus === 429
+        ? sendError(res, 429, 'UPSTREAM_RATE_LIMITED', 'Goodreads is rate limiting requests. Please try again later.', { retryable: true, details: { retryAfter } })
+        : sendError(res, 503, 'UPSTREAM_UNAVAILABLE', 'Goodreads is temporarily unavailable. Please try again later.', { retryable: true, details: { retryAfter } });
+    }
+    case undefined:
+      return sendError(res, 500, 'INTERNAL_ERROR', 'An internal server error occurred. Please try again later.', { retryable: true });
+    default:
+      return sendError(res, 502, 'UPSTREAM_ERROR', 'Unable to fetch data from Goodreads. Please try again later.', { retryable: true, details: { upstreamStatus: err.upstreamStatus } });
+  }
+}
+
+async function handleSinglePage(req, res, feed, pageNum, cacheKey) {
+  const { items, title } = await fetchShelfPage(feed, pageNum);
+
+  sendCacheableJson(req, res, cacheKey, {
+    schema_version: BOOK_SCHEMA_VERSION,
+    page: pageNum,
+    items,
+    title,
+    hasMore: items.length === PAGE_SIZE
+  });
+}
+
+/**
+ * Fetch every page of a shelf with bounded concurrency and respond with one merged payload.
+ * Pages are requested speculatively ahead of the first short page; anything past it is dropped.
+ * When the time budget runs out, the contiguous pages that did arrive are returned as truncated,
+ * as are full pages up to the limit whose lookahead never answered; shelves over the Goodreads
+ * page limit fail with SHELF_TOO_LARGE.
+ */
+async function handleAllPages(req, res, feed, cacheKey) {
+  const deadline = new AbortController();
+  const deadlineId = setTimeout(() => deadline.abort(), ALL_PAGES_TIME_BUDGET_MS);
+  const pages = [];
+  // Page MAX_PAGES + 1 is a lookahead that only detects shelves over the Goodreads limit
+  let lastPage = MAX_PAGES + 1;
+  let nextPage = 2;
+
+  try {
+    pages[1] = await fetchShelfPage(feed, 1, deadline.signal);
+    if (pages[1].items.length < PAGE_SIZE) {
+      lastPage = 1;
+    }
+
+    const fetchNextPages = async () => {
+      while (nextPage <= lastPage && !deadline.signal.aborted) {
+        const pageNum = nextPage++;
+
+        try {
+          pages[pageNum] = await fetchShelfPage(feed, pageNum, deadline.signal);
+        } catch (error) {
+          if (deadline.signal.aborted) return;
+          throw error;
+        }
+
+        if (pages[pageNum].items.length < PAGE_SIZE) {
+          lastPage = Math.min(lastPage, pageNum);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: ALL_PAGES_CONCURRENCY }, fetchNextPages));
+  } finally {
+    clearTimeout(deadlineId);
+    deadline.abort();
+  }
+
+  let fetchedPages = 0;
+  while (fetchedPages < Math.min(lastPage, MAX_PAGES) && pages[fetchedPages + 1]) {
+    fetchedPages++;
+  }
+
+  if (pages[MAX_PAGES + 1]?.items.length > 0) {
+    return sendError(res, 422, 'SHELF_TOO_LARGE', 'This shelf contains more than 2,000 books and cannot be loaded completely.', {
+      details: { limit: MAX_PAGES * PAGE_SIZE }
+    });
+  }
+
+  // Without the lookahead's answer, a shelf that fills every page may still be over the limit
+  const lookaheadMissing = lastPage > MAX_PAGES && !pages[MAX_PAGES + 1];
+  const truncatedReason = fetchedPages < Math.min(lastPage, MAX_PAGES) || lookaheadMissing ? 'time_budget' : null;
 
-    const statusCode = err.message.includes('Goodreads returned') ? 502 : 500;
-    const errorMessage = statusCode === 502
-      ? 'Unable to fetch data from Goodreads. Please try again later.'
-      : 'An internal server error occurred. Please try again later.';
+  const items = mergePageItems(pages.slice(1, fetchedPages + 1));
+  const payload = {
+    schema_version: BOOK_SCHEMA_VERSION,
+    pages: fetchedPages,
+    items,
+    total: items.length,
+    title: pages[1].title,
+    truncated: truncatedReason !== null,
+    truncated_reason: truncatedReason
+  };
 
-    return res.status(statusCode).json({ error: errorMessage });
+  // A shelf cut short by the time budget is incomplete by accident, so the next launch should retry it
+  if (truncatedReason === 'time_budget') {
+    return res.json(payload);
   }
+
+  sendCacheableJson(req, res, cacheKey, payload);
+}
+
+/**
+ * Identify a shelf response for caching and logs; deliberately excludes the private feed key
+ * @param {{userId: string, shelf: string, sort: string, order: string}} feed - Validated feed parameters
+ * @param {number|string} page - Page number, or 'all' for the merged shelf
+ * @returns {string} Cache key
+ */
+export function getCacheKey({ userId, shelf, sort, order }, page) {
+  return `goodreads:${userId}:${shelf}:${page}:${sort}:${order}`;
+}
+
+/**
+ * Send a shelf payload with edge cache headers and a strong ETag, or 304 when the
+ * client's If-None-Match already names this exact payload
+ */
+function sendCacheableJson(req, res, cacheKey, payload) {
+  const etag = `"${createHash('sha256').update(cacheKey).update(JSON.stringify(payload)).digest('base64url')}"`;
+
+  res.setHeader('Cache-Control', CACHE_CONTROL);
+  res.setHeader('ETag', etag);
+
+  if (matchesIfNoneMatch(req.headers?.['if-none-match'], etag)) {
+    return res.status(304).end();
+  }
+
+  return res.json(payload);
+}
+
+function matchesIfNoneMatch(ifNoneMatch, etag) {
+  if (typeof ifNoneMatch !== 'string') return false;
+
+  return ifNoneMatch.split(',').some(candidate => {
+    const tag = candidate.trim();
+    return tag === '*' || tag === etag || tag === `W/${etag}`;
+  });
 }
 
-async function handleSinglePage(res, userId, shelf, key, pageNum, sort, order) {
-  // Build RSS URL
-  const params = new URLSearchParams({ 
-    shelf, 
+function redactFeedKey(text) {
+  return text.replace(/([?&]key=)[^&\s]+/gi, '$1[redacted]');
+}
+
+/**
+ * Merge pages in page order, keeping the first copy of a book that moved between pages mid-fetch
+ * @param {Array<{items: Book[]}>} pages - Fetched pages in page order
+ * @returns {Book[]} De-duplicated books
+ */
+function mergePageItems(pages) {
+  const seenBookIds = new Set();
+  const items = [];
+
+  pages.forEach(page => {
+    page.items.forEach(book => {
+      if (seenBookIds.has(book.book_id)) return;
+      seenBookIds.add(book.book_id);
+      items.push(book);
+    });
+  });
+
+  return items;
+}
+
+/**
+ * Fetch and normalize one page of a Goodreads shelf RSS feed
+ * @param {{userId: string, shelf: string, key?: string, sort: string, order: string}} feed - Validated feed parameters
+ * @param {number} pageNum - Page number
+ * @param {AbortSignal} [signal] - Aborts the request together with the per-page timeout
+ * @returns {Promise<{items: Book[], title: string}>} Page books and channel title
+ */
+async function fetchShelfPage({ userId, shelf, key, sort, order }, pageNum, signal) {
+  // Build RSS query
+  const params = new URLSearchParams({
+    shelf,
     sort,
-    page: pageNum.toString() 
+    page: pageNum.toString()
   });
-  
+
   // Add order parameter if provided
   if (order) {
     params.set('order', order);
   }
-  
+
   if (key) params.set('key', key);
-  const url = `https://www.goodreads.com/review/list_rss/${userId}?${params}`;
 
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 10000);
+  const timeoutId = setTimeout(() => controller.abort(), PAGE_TIMEOUT_MS);
+  const abortFromSignal = () => controller.abort();
+  signal?.addEventListener('abort', abortFromSignal);
+  if (signal?.aborted) controller.abort();
 
   try {
-    const response = await fetch(url, {
+    const response = await fetchShelfFeed(userId, params, {
       signal: controller.signal,
       headers: { 'User-Agent': 'Cover-Flow-App/1.0' }
     });
-    if (!response.ok) throw new Error(`Goodreads returned ${response.status}`);
-    const xml = await response.text();
 
-    const feed = parser.parse(xml, { ignoreAttributes: false, attributeNamePrefix: '' });
-    const parsedItems = feed?.rss?.channel?.item;
+    // Private shelves answer 401/403, or redirect to the sign-in page when fetched without a valid key
+    if (response.status === 401 || response.status === 403 || isLoginRedirect(response)) {
+      throw createFeedError('PRIVATE_SHELF_KEY_REQUIRED', 'Goodreads requires a valid feed key for this shelf', { keyProvided: Boolean(key) });
+    }
+    if (!response.ok) throw createUpstreamError(response);
+
+    const channel = parseShelfChannel(await response.text());
+    const parsedItems = channel.item;
     const items = Array.isArray(parsedItems) ? parsedItems : parsedItems ? [parsedItems] : [];
-    const title = feed?.rss?.channel?.title ?? '';
-
-    const pageData = items.map(raw => ({
-      book_id: +raw.book_id,
-      title: raw.title,
-      author_name: raw.author_name,
-      image_url: raw.book_large_image_url || '',
-      read_at: raw.user_read_at,
-      date_added: raw.user_date_added || raw.date_added,
-    }));
-
-    res.json({
-      page: pageNum,
-      items: pageData,
-      title,
-      hasMore: items.length === 100 // Goodreads returns 100 items per page
-    });
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      return res.status(504).json({ error: 'Request timeout - Goodreads is taking too long to respond' });
+    const title = toText(channel.title);
+
+    // Goodreads answers an unknown shelf name with an empty channel titled after another shelf
+    if (pageNum === 1 && items.length === 0 && !isChannelForShelf(title, shelf)) {
+      throw createFeedError('SHELF_NOT_FOUND', `Goodreads has no shelf "${shelf}" for this user`, { shelf });
     }
-    throw error;
+
+    return { items: items.map(normalizeBook), title };
   } finally {
     clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', abortFromSignal);
   }
 }
+
+/**
+ * Parse a Goodreads response body and return its RSS channel
+ * @param {string} xml - Response body
+ * @returns {Object} Parsed channel
+ * @throws {Error} UPSTREAM_NOT_RSS for HTML pages and documents without an <rss> root, UPSTREAM_BAD_XML for unreadable XML
+ */
+function parseShelfChannel(xml) {
+  if (/^\s*(<!doctype html|<html)/i.test(xml)) {
+    throw createFeedError('UPSTREAM_NOT_RSS', 'Goodreads returned an HTML page instead of RSS');
+  }
+
+  let feed;
+  try {
+    feed = parser.parse(xml, { ignoreAttributes: false, attributeNamePrefix: '' });
+  } catch (error) {
+    throw createFeedError('UPSTREAM_BAD_XML', `Goodreads returned unreadable XML: ${error.message}`);
+  }
+
+  const channel = feed?.rss?.channel;
+  if (!channel || typeof channel !== 'object') {
+    throw createFeedError('UPSTREAM_NOT_RSS', 'Goodreads response has no <rss> channel');
+  }
+  return channel;
+}
+
+function isLoginRedirect(response) {
+  return typeof response.url === 'string' && /\/sign_in\b/.test(new URL(response.url, 'https://www.goodreads.com').pathname);
+}
+
+/**
+ * Check whether a channel title such as "Jane's bookshelf: read" names the requested shelf.
+ * Titles in any other format are trusted, since they carry no shelf name to compare.
+ */
+function isChannelForShelf(title, shelf) {
+  const match = /bookshelf:\s*(.*)$/i.exec(title);
+  return !match || match[1].trim().toLowerCase() === shelf.toLowerCase();
+}
+
+function createFeedError(code, message, details = {}) {
+  return Object.assign(new Error(message), { code, details });
+}
+
+function createUpstreamError(response) {
+  const error = new Error(`Goodreads returned ${response.status}`);
+  error.upstreamStatus = response.status;
+  error.retryAfter = response.headers?.get?.('Retry-After') ?? null;
+  return error;
+}
+
+/**
+ * Convert an upstream Retry-After value (seconds or HTTP date) to bounded seconds
+ * @param {string|null} retryAfter - Upstream Retry-After header value
+ * @returns {number} Seconds the client should wait
+ */
+function getRetryAfterSeconds(retryAfter) {
+  const text = toText(retryAfter);
+  const seconds = /^\d+$/.test(text)
+    ? Number(text)
+    : Math.ceil((new Date(text).getTime() - Date.now()) / 1000);
+
+  if (!Number.isFinite(seconds) || seconds < 1) {
+    return DEFAULT_RETRY_AFTER_SECONDS;
+  }
+  return Math.min(seconds, MAX_RETRY_AFTER_SECONDS);
+}
+
+/**
+ * @typedef {Object} Book
+ * @property {number} book_id - Goodreads book ID
+ * @property {string} title - Book title
+ * @property {string} author_name - Author display name
+ * @property {string|null} author_url - Goodreads author page, when the feed links one
+ * @property {string} image_url - Large cover image URL, or an empty string
+ * @property {string} image_url_medium - Medium cover image URL, or an empty string
+ * @property {string} image_url_small - Small cover image URL, or an empty string
+ * @property {string|null} read_at - ISO date the user finished the book
+ * @property {string|null} date_added - ISO date the book was added to the shelf
+ * @property {number} user_rating - User's star rating, 0 when unrated
+ * @property {number} average_rating - Goodreads community average rating
+ * @property {number|null} num_pages - Page count
+ * @property {number|null} book_published - Original publication year
+ * @property {string} isbn - ISBN, or an empty string
+ * @property {string} user_review - User's review as plain text
+ * @property {string[]} user_shelves - Other shelves the user put the book on
+ * @property {string} book_description - Publisher description as plain text
+ */
+
+/**
+ * Normalize one Goodreads RSS item into a schema-versioned book object
+ * @param {Object} raw - Parsed RSS item with string tag values
+ * @returns {Book} Normalized book
+ */
+export function normalizeBook(raw) {
+  return {
+    book_id: +raw.book_id,
+    title: toText(raw.title),
+    author_name: toText(raw.author_name),
+    author_url: toText(raw.author_link) || null,
+    image_url: toText(raw.book_large_image_url),
+    image_url_medium: toText(raw.book_medium_image_url),
+    image_url_small: toText(raw.book_small_image_url),
+    read_at: toIsoDate(raw.user_read_at),
+    date_added: toIsoDate(raw.user_date_added || raw.date_added),
+    user_rating: toNumber(raw.user_rating) ?? 0,
+    average_rating: toNumber(raw.average_rating) ?? 0,
+    num_pages: toNumber(raw.book?.num_pages ?? raw.num_pages),
+    book_published: toNumber(raw.book_published),
+    isbn: toText(raw.isbn),
+    user_review: stripHtml(raw.user_review),
+    user_shelves: toText(raw.user_shelves).split(',').map(shelf => shelf.trim()).filter(Boolean),
+    book_description: stripHtml(raw.book_description),
+  };
+}
+
+function toText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function toNumber(value) {
+  const text = toText(value);
+  if (!text) return null;
+
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+function toIsoDate(value) {
+  const text = toText(value);
+  if (!text) return null;
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Convert Goodreads HTML fragments (descriptions, reviews) to plain text
+ * @param {string} value - HTML fragment
+ * @returns {string} Plain text with line breaks kept for <br> and paragraphs
+ */
+export function stripHtml(value) {
+  return toText(value)
+    .replace(/<br\s*\/?>|<\/p>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+      }
+      return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    })
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -1,16 +1,62 @@
 import { CONFIG, CSS_CLASSES } from './config.js';
+import { applyCoverDisplayWidth, getLayoutLineClassName } from './cover-flow-renderer.js';
+import { setBookCoverData } from './book-cover-data.js';
+
+/**
+ * Speed multiplier for an easing mode at a point of the animation
+ * @param {string} easing - Easing mode from CONFIG.EASING_MODES
+ * @param {number} elapsedMs - Time since the animation started
+ * @returns {number} Multiplier for the scroll speed
+ */
+export function getEasingFactor(easing, elapsedMs) {
+  const phase = (elapsedMs % CONFIG.EASING_CYCLE_MS) / CONFIG.EASING_CYCLE_MS;
+
+  switch (easing) {
+    case 'drift': {
+      // Eases up to full speed and back down to a standstill, then rests for the rest of the cycle
+      const movingFraction = 1 - CONFIG.DRIFT_PAUSE_FRACTION;
+      return phase < movingFraction ? Math.sin(Math.PI * phase / movingFraction) ** 2 : 0;
+    }
+    case 'wave':
+      // Swings between half and one and a half times the speed, averaging the speed itself
+      return 1 + Math.sin(2 * Math.PI * phase) / 2;
+    default:
+      return 1;
+  }
+}
 
 /**
  * Performance-optimized animation controller with GPU acceleration and efficient DOM management
  */
 export class AnimationController {
-  constructor(coverFlowElement) {
+  /**
+   * @param {HTMLElement} coverFlowElement - Wall container
+   * @param {Object} [options] - Scroll options
+   * @param {number} [options.speed] - Scroll speed in pixels per second
+   * @param {string} [options.direction] - 'left' adds columns on the right, 'right' adds them on the left;
+   *   'up' adds rows at the bottom and 'down' adds them on top, for walls laid out in rows
+   * @param {string} [options.easing] - Speed rhythm from CONFIG.EASING_MODES
+   */
+  constructor(coverFlowElement, {
+    speed = CONFIG.ANIMATION_SPEED,
+    direction = 'left',
+    easing = 'linear'
+  } = {}) {
     this.coverFlow = coverFlowElement;
+    this.speed = speed;
+    this.direction = direction;
+    this.easing = easing;
     this.animationFrameId = null;
     this.coverFlowOffset = 0;
+    this.elapsedMs = 0;
     this.lastTimestamp = null;
+    // Share of the speed the wall moves at, eased towards a target by easeSpeedTo; kept across restarts
+    this.speedFactor = 1;
+    this.speedRamp = null;
     this.currentColumns = [];
     this.isRunning = false;
+    // Controllers of the lanes of a parallax wall
+    this.laneControllers = [];
 
     // Performance optimizations
     this.columnPool = []; // Pool of reusable column elements
@@ -32,13 +78,49 @@ export class AnimationController {
   }
 
   /**
-   * Start the cover flow animation with optimizations
+   * Whether the wall scrolls vertically, through rows instead of columns
+   */
+  isVertical() {
+    return this.direction === 'up' || this.direction === 'down';
+  }
+
+  /**
+   * Whether columns or rows enter from the start of the wall, planned backwards through the items
+   */
+  isReversed() {
+    return this.direction === 'right' || this.direction === 'down';
+  }
+
+  /**
+   * Direction the lanes of a parallax wall scroll in; lanes only scroll sideways,
+   * so walls set to scroll up or down scroll left
    */
-  start(columns, colWidth, items, columnLayouts, nextColumnLayoutIndex = 0) {
+  getLaneDirection() {
+    return this.isVertical() ? 'left' : this.direction;
+  }
+
+  /**
+   * Start the cover flow animation with optimizations.
+   * Scrolling left pulls columns from columnLayouts; scrolling right pulls them from
+   * previousColumnLayouts and starts one column in, so the column entering on the left is ready.
+   * Walls scrolling up or down pass rows in place of columns.
+   */
+  start(columns, colWidth, items, columnLayouts, nextColumnLayoutIndex = 0, previousColumnLayouts = null) {
     this.stop();
 
+    if (this.isVertical()) {
+      this.startScrollingVertically(columns, items, columnLayouts, previousColumnLayouts);
+      return;
+    }
+
+    if (this.direction === 'right' && typeof previousColumnLayouts === 'function') {
+      this.startScrollingRight(columns, colWidth, items, previousColumnLayouts);
+      return;
+    }
+
     this.coverFlowOffset = 0;
     this.coverFlow.style.transform = 'translate3d(0px, 0, 0)';
+    this.elapsedMs = 0;
     this.lastTimestamp = null;
     this.currentColumns = [...columns];
     this.isRunning = true;
@@ -64,11 +146,7 @@ export class AnimationController {
     const animateCoverFlow = (timestamp) => {
       if (!this.isRunning) return;
 
-      if (!this.lastTimestamp) this.lastTimestamp = timestamp;
-      const delta = timestamp - this.lastTimestamp;
-      this.lastTimestamp = timestamp;
-
-      this.coverFlowOffset -= (CONFIG.ANIMATION_SPEED * delta) / 1000;
+      this.coverFlowOffset -= this.getFrameDistance(timestamp);
 
       const requiredColumnUpdates = colWidth > 0
         ? Math.floor(-this.coverFlowOffset / colWidth)
@@ -101,6 +179,156 @@ export class AnimationController {
     this.animationFrameId = requestAnimationFrame(animateCoverFlow);
   }
 
+  /**
+   * Scroll right: the wall starts one column to the left, columns leave on the right,
+   * and the column entering on the left is planned backwards from the leftmost one
+   */
+  startScrollingRight(columns, colWidth, items, getPreviousColumnLayout) {
+    this.coverFlowOffset = -colWidth;
+    this.coverFlow.style.transform = `translate3d(${this.coverFlowOffset}px, 0, 0)`;
+    this.elapsedMs = 0;
+    this.lastTimestamp = null;
+    this.currentColumns = [...columns];
+    this.isRunning = true;
+    this.cachedDimensions.clear();
+
+    const animateCoverFlow = (timestamp) => {
+      if (!this.isRunning) return;
+
+      this.coverFlowOffset += this.getFrameDistance(timestamp);
+
+      const requiredColumnUpdates = colWidth > 0
+        ? Math.floor((this.coverFlowOffset + colWidth) / colWidth)
+        : 0;
+      const skippedColumnUpdates = Math.max(0, requiredColumnUpdates - this.currentColumns.length);
+
+      if (skippedColumnUpdates > 0) {
+        getPreviousColumnLayout.skipColumns?.(skippedColumnUpdates);
+        this.coverFlowOffset -= skippedColumnUpdates * colWidth;
+      }
+
+      while (colWidth > 0 && this.coverFlowOffset >= 0) {
+        this.removeColumnFromRightOptimized();
+        const previousColumnLayout = getPreviousColumnLayout();
+        if (!previousColumnLayout) {
+          break;
+        }
+
+        this.addColumnToLeftOptimized(previousColumnLayout, items);
+        this.coverFlowOffset -= colWidth;
+      }
+
+      this.coverFlow.style.transform = `translate3d(${this.coverFlowOffset}px, 0, 0)`;
+
+      this.animationFrameId = requestAnimationFrame(animateCoverFlow);
+    };
+
+    this.animationFrameId = requestAnimationFrame(animateCoverFlow);
+  }
+
+  /**
+   * Scroll a wall of rows up or down. Divider bands are shorter than cover rows, so the wall keeps
+   * at least the height it started with: enough rows to cover the viewport and the tallest row entering.
+   * Scrolling down starts one row in, so the row entering on top is ready.
+   */
+  startScrollingVertically(rows, items, getNextRowLayout, getPreviousRowLayout) {
+    const scrollsDown = this.direction === 'down' && typeof getPreviousRowLayout === 'function';
+    const getEnteringRowLayout = scrollsDown ? getPreviousRowLayout : getNextRowLayout;
+    const getRowsHeight = () => this.currentColumns.reduce((total, row) => total + row.height, 0);
+
+    this.currentColumns = [...rows];
+    this.coverFlowOffset = scrollsDown ? -(rows[0]?.height ?? 0) : 0;
+    this.coverFlow.style.transform = `translate3d(0, ${this.coverFlowOffset}px, 0)`;
+    this.elapsedMs = 0;
+    this.lastTimestamp = null;
+    this.isRunning = true;
+    this.cachedDimensions.clear();
+
+    const wallHeight = getRowsHeight();
+    if (typeof getEnteringRowLayout !== 'function' || wallHeight <= 0) return;
+
+    const animateCoverFlow = (timestamp) => {
+      if (!this.isRunning) return;
+
+      // After a long pause the wall moves on by at most its own height instead of planning every row it missed
+      const distance = Math.min(this.getFrameDistance(timestamp), wallHeight);
+
+      if (scrollsDown) {
+        this.coverFlowOffset += distance;
+        while (this.coverFlowOffset >= 0) {
+          const previousRowLayout = getEnteringRowLayout();
+          if (!previousRowLayout) break;
+
+          this.addColumnToLeftOptimized(previousRowLayout, items);
+          this.coverFlowOffset -= previousRowLayout.height;
+          while (this.currentColumns.length > 1 && getRowsHeight() - this.currentColumns.at(-1).height >= wallHeight) {
+            this.removeColumnFromRightOptimized();
+          }
+        }
+      } else {
+        this.coverFlowOffset -= distance;
+        while (this.currentColumns.length > 0 && this.coverFlowOffset <= -this.currentColumns[0].height) {
+          this.coverFlowOffset += this.currentColumns[0].height;
+          this.removeColumnFromLeftOptimized();
+          while (getRowsHeight() < wallHeight) {
+            const nextRowLayout = getEnteringRowLayout();
+            if (!nextRowLayout) break;
+            this.addColumnToRightOptimized(nextRowLayout, items);
+          }
+        }
+      }
+
+      this.coverFlow.style.transform = `translate3d(0, ${this.coverFlowOffset}px, 0)`;
+
+      this.animationFrameId = requestAnimationFrame(animateCoverFlow);
+    };
+
+    this.animationFrameId = requestAnimationFrame(animateCoverFlow);
+  }
+
+  /**
+   * Distance to scroll this frame at the configured speed and easing
+   * @param {number} timestamp - Frame timestamp
+   * @returns {number} Pixels
+   */
+  getFrameDistance(timestamp) {
+    if (!this.lastTimestamp) this.lastTimestamp = timestamp;
+    const delta = timestamp - this.lastTimestamp;
+    this.lastTimestamp = timestamp;
+    this.elapsedMs += delta;
+    this.advanceSpeedRamp(delta);
+
+    return (this.speed * this.speedFactor * getEasingFactor(this.easing, this.elapsedMs) * delta) / 1000;
+  }
+
+  /**
+   * Ease the wall's speed to a share of its configured speed over a time, such as to a standstill
+   * and back for a spotlight. Parallax lanes ease together.
+   * @param {number} factor - Target share of the speed; 0 stops the wall and 1 restores it
+   * @param {number} durationMs - Time to get there; 0 changes the speed at once
+   */
+  easeSpeedTo(factor, durationMs) {
+    this.speedRamp = durationMs > 0
+      ? { from: this.speedFactor, to: factor, durationMs, elapsedMs: 0 }
+      : null;
+    if (!this.speedRamp) this.speedFactor = factor;
+    this.laneControllers.forEach(controller => controller.easeSpeedTo(factor, durationMs));
+  }
+
+  /**
+   * Move the speed factor along the current ramp with a smoothstep curve
+   * @param {number} delta - Milliseconds since the last frame
+   */
+  advanceSpeedRamp(delta) {
+    const ramp = this.speedRamp;
+    if (!ramp) return;
+
+    ramp.elapsedMs += delta;
+    const progress = Math.min(1, ramp.elapsedMs / ramp.durationMs);
+    this.speedFactor = ramp.from + (ramp.to - ramp.from) * progress * progress * (3 - 2 * progress);
+    if (progress === 1) this.speedRamp = null;
+  }
+
   /**
    * Create or reuse column element from pool
    */
@@ -130,10 +358,6 @@ export class AnimationController {
     return div;
   }
 
-  setBookCoverReadAt(imgNode, item) {
-    imgNode.setAttribute("data-read-at", item.book.read_at || "");
-  }
-
   /**
    * Create or reuse image element with optimizations
    */
@@ -142,7 +366,7 @@ export class AnimationController {
 
     if (this.imagePool.has(cacheKey)) {
       const imgNode = this.imagePool.get(cacheKey).cloneNode(false);
-      this.setBookCoverReadAt(imgNode, item);
+      setBookCoverData(imgNode, item);
       return imgNode;
     }
 
@@ -160,7 +384,11 @@ export class AnimationController {
     imgNode.onload = null;
     imgNode.onerror = null;
     imgNode.removeAttribute('style');
-    this.setBookCoverReadAt(imgNode, item);
+    // Rows size covers by height; only columns narrow low-resolution ones
+    if (!this.isVertical()) {
+      applyCoverDisplayWidth(imgNode, item.book);
+    }
+    setBookCoverData(imgNode, item);
 
     // Cache the optimized image
     this.imagePool.set(cacheKey, imgNode);
@@ -179,11 +407,23 @@ export class AnimationController {
     this.currentColumns.push(col);
   }
 
+  /**
+   * Column addition on the left for walls scrolling right, or row addition on top for walls scrolling down
+   */
+  addColumnToLeftOptimized(layoutColumn, items) {
+    const col = this.createOrReuseColumn();
+    this.populateColumnFromLayout(col, layoutColumn, items);
+
+    this.coverFlow.insertBefore(col.div, this.coverFlow.firstChild);
+    this.currentColumns.unshift(col);
+  }
+
   /**
    * Populate a column from the shared layout planner
    */
   populateColumnFromLayout(col, layoutColumn, items) {
     const fragment = document.createDocumentFragment();
+    col.div.className = getLayoutLineClassName(layoutColumn);
 
     layoutColumn.entries.forEach(entry => {
       const item = entry.item;
@@ -199,6 +439,10 @@ export class AnimationController {
       col.height += entry.height;
     });
 
+    // Row entries sit side by side, so a row is as tall as the row itself
+    if (layoutColumn.kind === 'row') {
+      col.height = layoutColumn.height;
+    }
     col.div.appendChild(fragment);
   }
 
@@ -217,6 +461,21 @@ export class AnimationController {
     }
   }
 
+  /**
+   * Column removal on the right for walls scrolling right, or row removal at the bottom for walls scrolling down
+   */
+  removeColumnFromRightOptimized() {
+    const removedColumn = this.currentColumns.pop();
+
+    if (this.coverFlow.lastChild) {
+      this.coverFlow.removeChild(this.coverFlow.lastChild);
+    }
+
+    if (removedColumn && this.columnPool.length < 10) {
+      this.columnPool.push(removedColumn);
+    }
+  }
+
   /**
    * Create optimized year tag element
    */
@@ -232,6 +491,35 @@ export class AnimationController {
     return yearTag;
   }
 
+  /**
+   * Start a parallax wall, with a controller per lane. A lane's speed is its share of the wall's
+   * speed on screen; the lane is scaled down, so its track moves further to cover the same ground.
+   * @param {Array<Object>} lanes - Lane render results from CoverFlowRenderer.renderParallaxWall
+   */
+  startParallax(lanes) {
+    this.stop();
+    this.laneControllers.forEach(controller => controller.destroy());
+
+    const direction = this.getLaneDirection();
+    this.laneControllers = lanes.map(lane => {
+      const controller = new AnimationController(lane.track, {
+        speed: this.speed * lane.speed / lane.scale,
+        direction,
+        easing: this.easing
+      });
+      controller.start(
+        lane.columns,
+        lane.colWidth,
+        lane.items,
+        lane.columnLayouts,
+        lane.nextColumnLayoutIndex,
+        lane.previousColumnLayouts
+      );
+      return controller;
+    });
+    this.isRunning = true;
+  }
+
   /**
    * Stop animation and clean up resources
    */
@@ -241,6 +529,7 @@ export class AnimationController {
       this.animationFrameId = null;
     }
     this.isRunning = false;
+    this.laneControllers.forEach(controller => controller.stop());
 
     // Clear caches periodically to prevent memory leaks
     if (this.cachedDimensions.size > 1000) {
@@ -252,6 +541,15 @@ export class AnimationController {
     }
   }
 
+  /**
+   * Drop the pooled element of a cover whose image was evicted
+   * @param {Object} item - Wall item
+   */
+  releaseCover(item) {
+    this.imagePool.delete(`${item.book.title}-${item.index}`);
+    this.laneControllers.forEach(controller => controller.releaseCover(item));
+  }
+
   /**
    * Check if animation is currently running
    */
@@ -264,6 +562,8 @@ export class AnimationController {
    */
   destroy() {
     this.stop();
+    this.laneControllers.forEach(controller => controller.destroy());
+    this.laneControllers = [];
     this.columnPool = [];
     this.imagePool.clear();
     this.cachedDimensions.clear();
@@ -0,0 +1,104 @@
+/**
+ * Typed errors for failed shelf requests. The API answers failures with
+ * { error: { code, message, retryable, details } }; each code maps to one class.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} options - Error metadata
+   * @param {string} options.code - Stable machine-readable error code
+   * @param {number|null} [options.status] - HTTP status, when the error came from a response
+   * @param {boolean} [options.retryable] - Whether repeating the request can succeed
+   * @param {number|null} [options.retryAfterMs] - Delay the server asked for before retrying
+   * @param {Object} [options.details] - Extra context sent by the API
+   */
+  constructor(message, { code, status = null, retryable = false, retryAfterMs = null, details = {} }) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    this.details = details;
+  }
+}
+
+/**
+ * The launch URL carries a parameter the API rejects
+ */
+export class InvalidRequestError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'InvalidRequestError';
+  }
+}
+
+/**
+ * The shelf is private and the launch URL has no valid feed key
+ */
+export class PrivateShelfError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'PrivateShelfError';
+  }
+}
+
+/**
+ * Goodreads does not know the user or shelf
+ */
+export class ShelfNotFoundError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ShelfNotFoundError';
+  }
+}
+
+/**
+ * Goodreads timed out, refused or returned something unreadable
+ */
+export class UpstreamError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'UpstreamError';
+  }
+}
+
+/**
+ * The shelf has more books than Goodreads serves over RSS
+ */
+export class ShelfTooLargeError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ShelfTooLargeError';
+  }
+}
+
+/**
+ * The API itself could not be reached
+ */
+export class NetworkError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NetworkError';
+  }
+}
+
+export const ERROR_CLASSES_BY_CODE = {
+  INVALID_USER_ID: InvalidRequestError,
+  INVALID_SHELF: InvalidRequestError,
+  INVALID_KEY: InvalidRequestError,
+  INVALID_SORT: InvalidRequestError,
+  INVALID_ORDER: InvalidRequestError,
+  INVALID_PAGE: InvalidRequestError,
+  INVALID_PARAMETER: InvalidRequestError,
+  METHOD_NOT_ALLOWED: InvalidRequestError,
+  PRIVATE_SHELF_KEY_REQUIRED: PrivateShelfError,
+  SHELF_NOT_FOUND: ShelfNotFoundError,
+  UPSTREAM_TIMEOUT: UpstreamError,
+  UPSTREAM_BAD_XML: UpstreamError,
+  UPSTREAM_NOT_RSS: UpstreamError,
+  UPSTREAM_RATE_LIMITED: UpstreamError,
+  UPSTREAM_UNAVAILABLE: UpstreamError,
+  UPSTREAM_ERROR: UpstreamError,
+  SHELF_TOO_LARGE: ShelfTooLargeError
+};
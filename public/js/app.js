@@ -1,10 +1,15 @@
 import { BookDataService } from './book-data-service.js';
 import { ImageLoader } from './image-loader.js';
-import { CoverFlowRenderer } from './cover-flow-renderer.js';
+import { CoverFlowRenderer, createItemLanes } from './cover-flow-renderer.js';
 import { AnimationController } from './animation-controller.js';
 import { UIManager } from './ui-manager.js';
 import { RSSDialog } from './rss-dialog.js';
-import { SELECTORS } from './config.js';
+import { Config, CSS_CLASSES, SELECTORS } from './config.js';
+import { synthesizeCover } from './cover-synthesizer.js';
+import { CoverMemoryBudget } from './cover-memory.js';
+import { ImageDiagnosticsPanel } from './image-diagnostics-panel.js';
+import { CarouselRenderer } from './carousel-renderer.js';
+import { Spotlight } from './spotlight.js';
 
 /**
  * Main application class that orchestrates all components
@@ -13,13 +18,26 @@ export class BookCoverFlowApp {
   constructor() {
     this.bookDataService = new BookDataService();
     this.imageLoader = new ImageLoader();
+    this.imageLoader.setCoverSynthesizer(synthesizeCover);
+    this.imageLoader.setCoverSources(Config.getCoverSources());
+    this.coverMemory = new CoverMemoryBudget({
+      onEvict: item => {
+        this.coverFlowRenderer?.releaseCover(item);
+        this.animationController?.releaseCover(item);
+      }
+    });
     this.uiManager = new UIManager();
+    this.displayMode = Config.getDisplayMode();
 
     // Initialize components that need DOM elements
     this.coverFlowRenderer = null;
     this.animationController = null;
+    this.carouselRenderer = null;
+    this.spotlight = null;
+    this.imageDiagnostics = null;
     this.destroyed = false;
     this.buildGeneration = 0;
+    this.loadingWall = null;
 
     // Bind methods
     this.handleResize = this.debounce(this.handleResize.bind(this), 250);
@@ -29,8 +47,9 @@ export class BookCoverFlowApp {
    */
   async initialize() {
     try {
-      // Check if we have required query parameters
-      if (!RSSDialog.hasValidUserIdParam()) {
+      // Check if we have required query parameters; the demo shelf needs none
+      const demoMode = Config.isDemoMode();
+      if (!demoMode && !RSSDialog.hasValidUserIdParam()) {
         this.showRSSDialog();
         return;
       }
@@ -41,8 +60,34 @@ export class BookCoverFlowApp {
         throw new Error('Cover flow element not found');
       }
 
-      this.coverFlowRenderer = new CoverFlowRenderer(coverFlowElement);
-      this.animationController = new AnimationController(coverFlowElement);
+      this.coverFlowRenderer = new CoverFlowRenderer(coverFlowElement, {
+        sort: Config.getSort(),
+        group: Config.getGroup(),
+        // Only a plain wall turns into rows for scrolling up or down
+        layout: this.displayMode === 'wall' ? Config.getWallLayout() : 'columns'
+      });
+      this.animationController = new AnimationController(coverFlowElement, {
+        speed: Config.getAnimationSpeed(),
+        direction: Config.getDirection(),
+        easing: Config.getEasing()
+      });
+      if (this.displayMode === 'carousel') {
+        this.carouselRenderer = new CarouselRenderer(coverFlowElement, { direction: Config.getDirection() });
+      } else if (Config.getSpotlightInterval() > 0) {
+        this.spotlight = new Spotlight(this.animationController, {
+          getBook: index => this.bookDataService.getBooks()[index],
+          intervalMs: Config.getSpotlightInterval(),
+          // Back lanes of a parallax wall are blurred, so only the front lane's covers are picked
+          coverSelector: this.displayMode === 'parallax'
+            ? `.${CSS_CLASSES.PARALLAX_LANE}:last-child img.${CSS_CLASSES.BOOK_COVER}`
+            : undefined
+        });
+      }
+
+      if (Config.isDebugEnabled('images')) {
+        this.imageDiagnostics = new ImageDiagnosticsPanel(() => this.imageLoader.getReport());
+        this.imageDiagnostics.mount();
+      }
 
       // Set up event listeners
       this.setupEventListeners();
@@ -71,6 +116,24 @@ export class BookCoverFlowApp {
           case 'fetch_complete':
             this.uiManager.updateFetchProgress(data);
             break;
+          case 'fetch_degraded':
+            this.uiManager.showSkippedBooks(data.skippedBooks, { upperBound: data.upperBound });
+            break;
+          case 'readers':
+            this.uiManager.addReaderProgressItems(data);
+            break;
+          case 'reader_title':
+            this.uiManager.updateReaderTitle(data.index, data.title);
+            break;
+          case 'reader_progress':
+            this.uiManager.setProgressItemState(`reader_${data.index}`, 'active', `${data.bookCount} books`);
+            break;
+          case 'reader_complete':
+            this.uiManager.setProgressItemState(`reader_${data.index}`, 'completed', `${data.bookCount} books`);
+            break;
+          case 'reader_failed':
+            this.uiManager.setProgressItemState(`reader_${data.index}`, 'failed', 'failed');
+            break;
         }
       });
 
@@ -79,7 +142,7 @@ export class BookCoverFlowApp {
       if (this.destroyed) return;
 
       // Check for empty state
-      if (this.uiManager.handleEmptyState(books)) {
+      if (this.uiManager.handleEmptyState(books, Config.getShelves())) {
         return;
       }
 
@@ -99,49 +162,149 @@ export class BookCoverFlowApp {
     const buildGeneration = ++this.buildGeneration;
     const books = this.bookDataService.getBooks();
 
-    if (this.uiManager.handleEmptyState(books)) {
+    if (this.uiManager.handleEmptyState(books, Config.getShelves())) {
       return;
     }
 
     // Stop any existing animation
     this.animationController?.stop();
+    this.carouselRenderer?.stop();
+    this.spotlight?.stop();
+    this.coverMemory.reset();
+    this.loadingWall = null;
 
     // Mark fetch as complete and start image loading
     this.uiManager.setProgressItemState('fetch', 'completed');
     this.uiManager.setProgressItemState('images', 'active');
 
     // Set up progress callback for image loading
-    this.imageLoader.setProgressCallback((loaded, failed, total) => {
-      this.uiManager.updateImageLoadingProgress(loaded, failed, total);
+    this.imageLoader.setProgressCallback((loaded, failed, total, synthesized) => {
+      this.uiManager.updateImageLoadingProgress(loaded, failed, total, synthesized);
+      this.imageDiagnostics?.refresh();
     });
 
     try {
-      // Load images
-      const images = await this.imageLoader.preloadImages(books);
+      const itemStream = this.coverFlowRenderer.createBookItemStream(books);
+      // State of a wall whose covers are still loading, shared with handleResize
+      const wall = {
+        itemStream,
+        // Parallax walls deal the books out to lanes as they join the item list
+        itemLanes: this.displayMode === 'parallax'
+          ? createItemLanes(itemStream.items, Math.min(Config.getLaneCount(), books.length))
+          : null,
+        viewport: this.uiManager.getViewportSize(),
+        started: false,
+        columnLayouts: null,
+        // Running parallax lanes, each with its planners and memory budget
+        lanes: null,
+        canStartProgressive: () => {
+          const { width, height } = wall.viewport;
+          if (this.carouselRenderer) {
+            return this.carouselRenderer.canStart(itemStream.items);
+          }
+          return wall.itemLanes
+            ? this.coverFlowRenderer.canStartParallaxWall(wall.itemLanes.lanes, width, height)
+            : this.coverFlowRenderer.canStartProgressiveWall(itemStream.items, width, height);
+        },
+        startProgressive: startItemIdx => {
+          const { width, height } = wall.viewport;
+          wall.started = true;
+          if (this.carouselRenderer) {
+            this.carouselRenderer.start(itemStream.items);
+            this.uiManager.hideCardWithDelay();
+            return;
+          }
+          if (wall.itemLanes) {
+            startParallaxWall(wall.itemLanes.lanes);
+            return;
+          }
+          wall.columnLayouts = startWall(
+            this.coverFlowRenderer.renderProgressiveWall(itemStream.items, width, height, startItemIdx)
+          );
+        }
+      };
+
+      const startWall = renderResult => {
+        const followed = {
+          ...renderResult,
+          columnLayouts: this.followLoadingWall(wall, renderResult.columnLayouts),
+          previousColumnLayouts: this.followLoadingWall(wall, renderResult.previousColumnLayouts)
+        };
+        const layouts = this.watchEnteringLayouts(followed, this.coverMemory, this.animationController.isReversed?.());
+        this.animationController.start(
+          renderResult.columns,
+          renderResult.colWidth,
+          renderResult.items,
+          layouts.columnLayouts,
+          renderResult.nextColumnLayoutIndex,
+          layouts.previousColumnLayouts
+        );
+        this.spotlight?.start();
+
+        // Hide the floating card after a delay
+        this.uiManager.hideCardWithDelay();
+        return layouts.entering;
+      };
+
+      // Parallax lanes split the memory budget, each keeping its own covers decoded ahead
+      const startParallaxWall = laneItems => {
+        const { width, height } = wall.viewport;
+        const reversed = this.animationController.getLaneDirection() === 'right';
+        const lanes = this.coverFlowRenderer.renderParallaxWall(laneItems, width, height).map(lane => {
+          const memory = new CoverMemoryBudget({
+            budgetBytes: this.coverMemory.budgetBytes / laneItems.length,
+            lookaheadItems: this.coverMemory.lookaheadItems,
+            onEvict: this.coverMemory.onEvict
+          });
+          return { ...lane, memory, ...this.watchEnteringLayouts(lane, memory, reversed) };
+        });
+        wall.lanes = lanes;
+        this.animationController.startParallax(lanes);
+        this.spotlight?.start();
+        this.uiManager.hideCardWithDelay();
+      };
+
+      // Load covers in the renderer's order and start the wall as soon as the first screens are ready;
+      // the rest keep loading and join the wall's item list as they settle
+      this.loadingWall = wall;
+      const images = await this.imageLoader.preloadImages(books, {
+        order: itemStream.getLoadOrder(),
+        onRetriedCover: (index, image) => {
+          if (this.destroyed || buildGeneration !== this.buildGeneration || !wall.started) return;
+          this.addRetriedCover(wall, index, image);
+        },
+        onCover: (index, image) => {
+          if (this.destroyed || buildGeneration !== this.buildGeneration) return;
+          itemStream.addCover(index, image);
+          wall.itemLanes?.sync();
+          this.coverMemory.trackItems(itemStream.items);
+
+          if (!wall.started && !itemStream.isComplete() && wall.canStartProgressive()) {
+            wall.startProgressive(0);
+          }
+        }
+      });
       if (this.destroyed || buildGeneration !== this.buildGeneration) return;
+      this.loadingWall = null;
+      if (wall.started) return;
 
       if (this.uiManager.handleNoUsableImages(images)) {
         return;
       }
 
-      // Render the wall
-      const { width, height } = this.uiManager.getViewportSize();
-      const renderResult = this.coverFlowRenderer.renderWall(books, images, width, height);
-
-      // Start animation
-      this.animationController.start(
-        renderResult.columns,
-        renderResult.colWidth,
-        renderResult.items,
-        renderResult.columnLayouts,
-        renderResult.nextColumnLayoutIndex
-      );
-
-      // Hide the floating card after a delay
-      this.uiManager.hideCardWithDelay();
+      // Small shelves finish loading before they fill the screen; they open on the start of the
+      // shelf like a wall that started while loading
+      if (wall.itemLanes) {
+        // Books without a cover leave fewer to deal out than lanes planned for
+        const bookCount = itemStream.items.filter(item => item.type === 'book').length;
+        wall.itemLanes = createItemLanes(itemStream.items, Math.min(Config.getLaneCount(), bookCount));
+        wall.itemLanes.sync();
+      }
+      wall.startProgressive(0);
 
     } catch (error) {
       if (this.destroyed || buildGeneration !== this.buildGeneration) return;
+      this.loadingWall = null;
       console.error('Failed to build wall:', error);
       this.uiManager.showError(error);
     }
@@ -149,6 +312,62 @@ export class BookCoverFlowApp {
 
 
 
+  /**
+   * Put the planner feeding the side that columns enter from under a cover memory budget,
+   * so it keeps the covers ahead decoded
+   * @param {Object} renderResult - Wall or lane render result
+   * @param {CoverMemoryBudget} memory - Budget for the wall's or lane's covers
+   * @param {boolean} reversed - Whether columns enter from the start of the wall
+   * @returns {{columnLayouts: Function|Array, previousColumnLayouts: Function|null, entering: Function|Array}}
+   *   The wall's planners, one of them watched, and the watched one
+   */
+  watchEnteringLayouts(renderResult, memory, reversed) {
+    const layouts = {
+      columnLayouts: renderResult.columnLayouts,
+      previousColumnLayouts: renderResult.previousColumnLayouts ?? null
+    };
+    const entering = reversed && layouts.previousColumnLayouts ? 'previousColumnLayouts' : 'columnLayouts';
+    layouts[entering] = memory.watchColumns(renderResult.items, layouts[entering], renderResult.columns.length);
+    return { ...layouts, entering: layouts[entering] };
+  }
+
+  /**
+   * Keep the covers a loading wall reaches next at the front of the loading queue. The wall opens on
+   * the start of the shelf and loads in reading order, but a wall rebuilt on resize or scrolling
+   * backwards plans from elsewhere, and the queue follows whichever planner last planned a column.
+   * @param {Object} wall - State of the loading wall
+   * @param {Function|null} getNextColumnLayout - Planner with getState, or null
+   * @returns {Function|null} The planner, reprioritizing the queue after each column while the wall loads
+   */
+  followLoadingWall(wall, getNextColumnLayout) {
+    if (typeof getNextColumnLayout?.getState !== 'function') {
+      return getNextColumnLayout;
+    }
+
+    let nextBookIndex;
+    const createNextColumn = () => {
+      const layoutColumn = getNextColumnLayout();
+      const position = this.getNextItemPosition(getNextColumnLayout.getState());
+      const bookIndex = wall.itemStream.items.slice(position).find(item => item.type === 'book')?.index;
+      if (this.loadingWall === wall && bookIndex !== nextBookIndex) {
+        nextBookIndex = bookIndex;
+        this.imageLoader.prioritize(wall.itemStream.getLoadOrder(bookIndex));
+      }
+      return layoutColumn;
+    };
+    return Object.assign(createNextColumn, getNextColumnLayout);
+  }
+
+  /**
+   * Item a planner's wall reaches next
+   * @param {{nextItemIdx: number, reverse?: boolean}|undefined} state - Planner state
+   * @returns {number} Item position
+   */
+  getNextItemPosition(state) {
+    // A planner running backwards has already passed the item at its position
+    return state ? state.nextItemIdx + (state.reverse ? 1 : 0) : 0;
+  }
+
   /**
    * Show the RSS dialog for URL input
    */
@@ -157,11 +376,61 @@ export class BookCoverFlowApp {
     rssDialog.show();
   }
 
+  /**
+   * Fit a wall whose covers are still loading to a new viewport without restarting the load.
+   * A running wall is rebuilt from the covers loaded so far, opening where it was about to scroll,
+   * and the books after that point move to the front of the loading queue.
+   */
+  resizeLoadingWall(wall) {
+    wall.viewport = this.uiManager.getViewportSize();
+    // A wall that has not started yet checks the new size when the next cover settles
+    if (!wall.started) return;
+
+    const position = this.getNextItemPosition(wall.columnLayouts?.getState?.());
+    const nextBookIndex = wall.itemStream.items.slice(position).find(item => item.type === 'book')?.index;
+    this.coverFlowRenderer.cleanup();
+    wall.startProgressive(position);
+    this.imageLoader.prioritize(wall.itemStream.getLoadOrder(nextBookIndex));
+  }
+
+  /**
+   * Put a cover that loaded on a retry onto a running wall. A book that had a drawn cover gets the
+   * new one wherever it scrolls in next; a book that had none is spliced into the item list, or into
+   * a parallax lane, and the planner picks it up in a later column. Columns on screen stay as they are.
+   */
+  addRetriedCover(wall, index, image) {
+    const retried = wall.itemStream.addRetriedCover?.(index, image);
+    if (!retried) return;
+
+    if (retried.count > 0) {
+      wall.columnLayouts?.insertItems?.(retried.at, retried.count);
+      const laneInsert = wall.itemLanes?.insertItems(retried.at, retried.count);
+      const lane = laneInsert && wall.lanes?.[laneInsert.lane];
+      // Both planners of the lane lay out its items; the watched one also counts the cover against the lane's budget
+      lane?.columnLayouts?.insertItems?.(laneInsert.at, laneInsert.count);
+      lane?.previousColumnLayouts?.insertItems?.(laneInsert.at, laneInsert.count);
+    } else {
+      // Each parallax lane keeps its own covers under its own budget
+      const memory = wall.lanes?.find(lane => lane.items.includes(retried.item))?.memory ?? this.coverMemory;
+      memory.replaceCover(retried.item, image);
+      this.coverFlowRenderer.releaseCover(retried.item);
+      this.animationController.releaseCover(retried.item);
+    }
+    this.imageDiagnostics?.refresh();
+  }
+
   /**
    * Handle window resize events with performance awareness
    */
   handleResize() {
     if (this.destroyed) return;
+    // The carousel is centered by CSS and fits any viewport as it is
+    if (this.carouselRenderer) return;
+
+    if (this.loadingWall) {
+      this.resizeLoadingWall(this.loadingWall);
+      return;
+    }
 
     if (this.animationController?.isAnimationRunning()) {
       // Clean up resources before rebuild
@@ -191,7 +460,9 @@ export class BookCoverFlowApp {
   cleanupResources() {
     console.log('🧹 Cleaning up resources...');
     this.coverFlowRenderer?.cleanup();
+    this.spotlight?.stop();
     this.animationController?.destroy?.();
+    this.carouselRenderer?.destroy();
     console.log('✅ Resources cleaned up');
   }
 
@@ -203,8 +474,11 @@ export class BookCoverFlowApp {
     this.buildGeneration++;
     this.bookDataService.destroy?.();
     this.imageLoader.cancel?.();
+    this.spotlight?.stop();
     this.animationController?.destroy?.();
+    this.carouselRenderer?.destroy();
     this.coverFlowRenderer?.cleanup();
+    this.imageDiagnostics?.destroy();
     this.uiManager.destroy?.();
     window.removeEventListener('resize', this.handleResize);
     document.removeEventListener('keydown', this.handleKeyDown);
@@ -0,0 +1,21 @@
+const DATE_FORMAT = new Intl.DateTimeFormat("en-US", { year: "numeric", month: "long", day: "numeric", timeZone: "UTC" });
+
+/**
+ * Tag a cover with its book's read date and position on the shelf, which the spotlight reads back
+ * @param {HTMLImageElement} imgNode - Cover element
+ * @param {{book: Object, index: number}} item - Book item the cover shows
+ */
+export function setBookCoverData(imgNode, item) {
+  imgNode.setAttribute("data-read-at", item.book.read_at || "");
+  imgNode.setAttribute("data-book-index", String(item.index));
+}
+
+/**
+ * Format the date a book was read for a caption
+ * @param {string|null} readAt - Date read, as on the book or a cover's data-read-at
+ * @returns {string} Such as "Read March 4, 2024", or empty without a valid date
+ */
+export function formatReadDate(readAt) {
+  const date = readAt ? new Date(readAt) : null;
+  return date && !Number.isNaN(date.getTime()) ? `Read ${DATE_FORMAT.format(date)}` : "";
+}
@@ -1,4 +1,220 @@
-import { Config } from './config.js';
+import { CONFIG, Config } from './config.js';
+import { ApiError, ERROR_CLASSES_BY_CODE, NetworkError, ShelfTooLargeError } from './api-errors.js';
+import { getBookComparator } from './book-sort.js';
+import { createDemoBooks } from './demo-shelf.js';
+
+const DEMO_SHELF_TITLE = "Demo shelf";
+const SHELF_TOO_LARGE_MESSAGE = "This shelf contains more than 2,000 books and cannot be loaded completely.";
+
+// Goodreads serves at most 20 pages of 100 books for a shelf
+const MAX_PAGES = 20;
+const PAGE_SIZE = 100;
+
+/**
+ * Delay before retrying a failed request: the server's Retry-After when it sent one,
+ * otherwise exponential backoff with equal jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {number|null} [retryAfterMs] - Delay requested by the server
+ * @param {() => number} [random] - Random source in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempt, retryAfterMs = null, random = Math.random) {
+  if (retryAfterMs !== null) {
+    return Math.min(retryAfterMs, CONFIG.PAGE_RETRY_AFTER_MAX_MS);
+  }
+
+  const backoff = Math.min(CONFIG.PAGE_RETRY_MAX_DELAY_MS, CONFIG.PAGE_RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return backoff / 2 + random() * backoff / 2;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null when absent or unparseable
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const delay = /^\d+$/.test(value.trim())
+    ? Number(value) * 1000
+    : new Date(value).getTime() - Date.now();
+
+  return Number.isFinite(delay) ? Math.max(0, delay) : null;
+}
+
+async function readErrorBody(response) {
+  try {
+    return await response.json();
+  } catch {
+    return null;
+  }
+}
+
+function waitForRetry(delayMs, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delayMs);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Fetch numbered pages with bounded concurrency, speculatively requesting pages ahead
+ * of the first page that reports no more data. Pages are handed to onPage strictly in
+ * page order as soon as every earlier page has arrived.
+ * @param {(page: number) => Promise<{hasMore: boolean}>} fetchPage - Fetches one page
+ * @param {Object} options - Scheduler options
+ * @param {number} [options.firstPage] - Page number to start from, such as the page after those already fetched
+ * @param {number} options.lastPage - Highest page number to request
+ * @param {number} options.concurrency - Maximum number of requests in flight
+ * @param {(pageData: Object, page: number) => void} [options.onPage] - In-order page callback
+ * @returns {Promise<Array<Object>>} Pages from firstPage up to and including the first one without more data
+ */
+export async function fetchPagesInOrder(fetchPage, { firstPage = 1, lastPage, concurrency, onPage }) {
+  const pages = [];
+  let nextPage = firstPage;
+  let stopPage = lastPage;
+  let reportedPage = firstPage - 1;
+  let failed = false;
+
+  const reportReadyPages = () => {
+    while (reportedPage < stopPage && pages[reportedPage + 1]) {
+      reportedPage++;
+      onPage?.(pages[reportedPage], reportedPage);
+    }
+  };
+
+  const fetchNextPages = async () => {
+    while (nextPage <= stopPage && !failed) {
+      const page = nextPage++;
+
+      try {
+        pages[page] = await fetchPage(page);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+
+      if (failed) return;
+      if (!pages[page].hasMore) {
+        stopPage = Math.min(stopPage, page);
+      }
+      reportReadyPages();
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, lastPage - firstPage + 1));
+  await Promise.all(Array.from({ length: workerCount }, fetchNextPages));
+  return pages.slice(firstPage, stopPage + 1);
+}
+
+/**
+ * Merge books fetched from several shelves into one list, keeping a single copy of
+ * each book tagged with every shelf it was found on
+ * @param {Array<{shelf: string, items: Array<Object>}>} shelfResults - Fetched shelves in launch URL order
+ * @param {Object} options - Merge options
+ * @param {string} options.sort - Goodreads sort key to restore across shelves
+ * @param {string} options.order - Sort order ('a' or 'd')
+ * @param {boolean} [options.groupByShelf] - Keep books grouped by their first shelf instead of re-sorting
+ * @returns {Array<Object>} Merged books with source_shelves set
+ */
+export function mergeShelfBooks(shelfResults, { sort, order, groupByShelf = false }) {
+  const booksById = new Map();
+  const books = [];
+
+  shelfResults.forEach(({ shelf, items }) => {
+    items.forEach(book => {
+      const existing = booksById.get(book.book_id);
+      if (existing) {
+        if (!existing.source_shelves.includes(shelf)) {
+          existing.source_shelves.push(shelf);
+        }
+        return;
+      }
+
+      const mergedBook = { ...book, source_shelves: [shelf] };
+      // Books without an ID cannot be matched across shelves, so each one is kept
+      if (book.book_id !== undefined && book.book_id !== null) {
+        booksById.set(book.book_id, mergedBook);
+      }
+      books.push(mergedBook);
+    });
+  });
+
+  // Each shelf arrives sorted by Goodreads; only a merged wall needs sorting again
+  const comparator = getBookComparator(sort, order);
+  if (shelfResults.length > 1 && !groupByShelf && comparator) {
+    books.sort(comparator);
+  }
+  return books;
+}
+
+/**
+ * Combine per-shelf channel titles such as "Jane's bookshelf: read" into one title
+ * @param {string[]} titles - Channel titles in shelf order
+ * @param {string[]} shelves - Shelf names in launch URL order
+ * @returns {string} Combined title
+ */
+function combineShelfTitles(titles, shelves) {
+  if (shelves.length <= 1) {
+    return titles[0] ?? '';
+  }
+
+  const owner = /^(.*bookshelf:)/i.exec(titles.find(Boolean) ?? '')?.[1];
+  return owner ? `${owner} ${shelves.join(', ')}` : titles.filter(Boolean).join(' · ');
+}
+
+/**
+ * Combine several readers' books into one wall
+ * @param {Array<{items: Array<Object>}>} readerResults - Each reader's merged books, in launch URL order
+ * @param {Object} options - Merge options
+ * @param {string} options.sort - Goodreads sort key to restore across readers
+ * @param {string} options.order - Sort order ('a' or 'd')
+ * @param {string|null} options.group - Launch URL group mode
+ * @param {string[]} options.shelves - Shelf names in launch URL order
+ * @returns {Array<Object>} Books of every reader; a book two readers share appears once per reader
+ */
+export function mergeReaderBooks(readerResults, { sort, order, group, shelves }) {
+  const books = readerResults.flatMap(result => result.items);
+
+  // Reader grouping and interleaving work from each reader's own sorted list
+  if (group === 'reader' || group === 'interleave') {
+    return books;
+  }
+
+  if (group === 'shelf') {
+    const shelfIndex = book => shelves.indexOf(book.source_shelves?.[0]);
+    return books.sort((a, b) => shelfIndex(a) - shelfIndex(b));
+  }
+
+  const comparator = getBookComparator(sort, order);
+  return comparator ? books.sort(comparator) : books;
+}
+
+/**
+ * Get the shelf owner's name from a channel title such as "Jane's bookshelf: read"
+ * @param {string} title - Channel title
+ * @returns {string|null} Owner name, or null when the title has another format
+ */
+function getShelfOwner(title) {
+  return /^(.+?)['’]s bookshelf/i.exec(title ?? '')?.[1].trim() ?? null;
+}
+
+function combineReaderTitles(readerResults, shelves) {
+  return `${readerResults.map(result => result.readerName).join(', ')} · ${shelves.join(', ')}`;
+}
+
+/**
+ * @typedef {Object} ShelfProgress
+ * @property {(title: string) => void} [onTitle] - Receives the shelf's channel title
+ * @property {(bookCount: number, page: number) => void} [onBooks] - Receives the running book count for the shelf
+ */
 
 /**
  * Service for handling API calls and data management
@@ -20,7 +236,7 @@ export class BookDataService {
   }
 
   /**
-   * Fetch book data from the API with polling progress tracking
+   * Fetch book data for every launch URL reader and shelf and merge it into one wall
    * @returns {Promise<Object>} Book data response
    */
   async fetchBookData() {
@@ -32,103 +248,433 @@ export class BookDataService {
       // Show connection progress
       this.onProgress?.('connect');
 
-      let allItems = [];
-      let totalBooks = 0;
-      let channelTitle = '';
-      let page = 1;
-      let hasMore = true;
-
       // Show fetch start
       this.onProgress?.('fetch');
 
-      while (hasMore && page <= 20) {
-        const request = Config.buildApiRequest(page);
+      if (Config.isDemoMode()) {
+        return this.createDemoBookData();
+      }
 
-        const response = await fetch(request.url, {
-          ...request.options,
-          signal: requestController.signal
-        });
+      const readers = Config.getReaders();
+      const bookData = readers.length === 1
+        ? await this.fetchReaderBooks(readers[0], requestController.signal, {
+          onTitle: title => this.onProgress?.('channel_title', title),
+          onBooks: (bookCount, page) => this.onProgress?.('fetch_progress', bookCount, page)
+        })
+        : await this.fetchReadersBooks(readers, requestController.signal);
 
-        if (!response.ok) {
-          throw this.createHttpError(response.status);
-        }
+      // Show completion
+      this.onProgress?.('fetch_complete', bookData.total);
 
-        const pageData = await response.json();
+      if (bookData.degraded) {
+        this.onProgress?.('fetch_degraded', {
+          skippedBooks: bookData.skippedBooks,
+          upperBound: bookData.skippedBooksUpperBound
+        });
+      }
 
-        // Add items to collection
-        allItems.push(...pageData.items);
-        totalBooks = allItems.length;
-        channelTitle = pageData.title;
+      return bookData;
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        console.error('Failed to fetch book data:', error);
+      }
+      throw error;
+    } finally {
+      if (this.requestController === requestController) {
+        this.requestController = null;
+      }
+    }
+  }
 
-        // Update channel title immediately after first page
-        if (page === 1 && channelTitle) {
-          this.onProgress?.('channel_title', channelTitle);
-        }
+  /**
+   * Serve the generated demo shelf without any network request
+   * @returns {Object} Book data response
+   */
+  createDemoBookData() {
+    const items = createDemoBooks();
+    const comparator = getBookComparator(Config.getSort(), Config.getOrder());
+    if (comparator) {
+      items.sort(comparator);
+    }
 
-        // Update progress
-        this.onProgress?.('fetch_progress', totalBooks, page);
+    const bookData = { items, total: items.length, title: DEMO_SHELF_TITLE, degraded: false, skippedBooks: 0, skippedBooksUpperBound: false };
+    this.onProgress?.('channel_title', bookData.title);
+    this.onProgress?.('fetch_progress', bookData.total, 1);
+    this.onProgress?.('fetch_complete', bookData.total);
+    return bookData;
+  }
 
-        // Check if there are more pages
-        hasMore = pageData.hasMore;
-        page++;
+  /**
+   * Fetch several readers' shelves independently, reporting progress per reader.
+   * A reader that fails is left off the wall; only when every reader fails does the fetch fail.
+   * @param {Array<{userId: string, key: string|null}>} readers - Readers in launch URL order
+   * @param {AbortSignal} signal - Abort signal for the requests
+   * @returns {Promise<Object>} Book data response
+   */
+  async fetchReadersBooks(readers, signal) {
+    const bookCounts = readers.map(() => 0);
+    this.onProgress?.('readers', readers.map(reader => reader.userId));
 
-        // Small delay to show progress visually
-        if (hasMore) {
-          await new Promise(resolve => setTimeout(resolve, 100));
+    const results = await Promise.allSettled(readers.map(async (reader, index) => {
+      try {
+        const readerData = await this.fetchReaderBooks(reader, signal, {
+          onTitle: title => this.onProgress?.('reader_title', { index, title }),
+          onBooks: bookCount => {
+            bookCounts[index] = bookCount;
+            this.onProgress?.('reader_progress', { index, bookCount });
+            this.onProgress?.('fetch_progress', bookCounts.reduce((total, count) => total + count, 0));
+          }
+        });
+        this.onProgress?.('reader_complete', { index, bookCount: readerData.total });
+        return readerData;
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.warn(`Failed to fetch books for reader ${reader.userId}:`, error);
+          this.onProgress?.('reader_failed', { index, error });
         }
+        throw error;
       }
+    }));
 
-      if (hasMore) {
-        const lookaheadRequest = Config.buildApiRequest(21);
-        const lookaheadResponse = await fetch(lookaheadRequest.url, {
-          ...lookaheadRequest.options,
-          signal: requestController.signal
-        });
+    if (signal.aborted) {
+      throw new DOMException('Aborted', 'AbortError');
+    }
 
-        if (!lookaheadResponse.ok) {
-          throw this.createHttpError(lookaheadResponse.status);
-        }
+    const readerResults = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    if (readerResults.length === 0) {
+      throw results[0].reason;
+    }
 
-        const lookaheadData = await lookaheadResponse.json();
-        if (lookaheadData.items.length > 0) {
-          throw new Error("This shelf contains more than 2,000 books and cannot be loaded completely.");
-        }
-      }
+    const items = mergeReaderBooks(readerResults, {
+      sort: Config.getSort(),
+      order: Config.getOrder(),
+      group: Config.getGroup(),
+      shelves: Config.getShelves()
+    });
+    const title = combineReaderTitles(readerResults, Config.getShelves());
+    this.onProgress?.('channel_title', title);
 
-      // Show completion
-      this.onProgress?.('fetch_complete', totalBooks);
+    return {
+      items,
+      total: items.length,
+      title,
+      degraded: readerResults.some(result => result.degraded),
+      skippedBooks: readerResults.reduce((count, result) => count + result.skippedBooks, 0),
+      skippedBooksUpperBound: readerResults.some(result => result.skippedBooksUpperBound)
+    };
+  }
+
+  /**
+   * Fetch every launch URL shelf of one reader, one shelf after another, and merge them
+   * @param {{userId: string, key: string|null}} reader - Goodreads user and feed key
+   * @param {AbortSignal} signal - Abort signal for the requests
+   * @param {ShelfProgress} progress - Receives the reader's title and running book count
+   * @returns {Promise<Object>} The reader's book data, with every book tagged with the reader
+   */
+  async fetchReaderBooks(reader, signal, { onTitle, onBooks }) {
+    const shelves = Config.getShelves();
+    const shelfResults = [];
+    let booksBefore = 0;
+
+    for (const shelf of shelves) {
+      const shelfData = await this.fetchShelf(shelf, signal, {
+        // Several shelves share one combined title, reported once all have loaded
+        onTitle: shelves.length === 1 ? onTitle : undefined,
+        onBooks: (bookCount, page) => onBooks(booksBefore + bookCount, page)
+      }, reader);
+      shelfResults.push({ shelf, ...shelfData });
+      booksBefore += shelfData.items.length;
+    }
+
+    const title = combineShelfTitles(shelfResults.map(result => result.title), shelves);
+    if (shelves.length > 1 && title) {
+      onTitle(title);
+    }
+
+    const readerName = getShelfOwner(title) ?? reader.userId;
+    const items = mergeShelfBooks(shelfResults, {
+      sort: Config.getSort(),
+      order: Config.getOrder(),
+      groupByShelf: Config.getGroup() === 'shelf'
+    });
+    items.forEach(book => {
+      book.reader_id = reader.userId;
+      book.reader_name = readerName;
+    });
+
+    return {
+      items,
+      total: items.length,
+      title,
+      readerName,
+      degraded: shelfResults.some(result => result.degraded),
+      skippedBooks: shelfResults.reduce((count, result) => count + (result.skippedBooks ?? 0), 0),
+      skippedBooksUpperBound: shelfResults.some(result => result.skippedBooksUpperBound)
+    };
+  }
 
-      return {
-        items: allItems,
-        total: totalBooks,
-        title: channelTitle
-      };
+  /**
+   * Fetch one shelf, preferring the server-side merged shelf and falling back to page-by-page requests
+   * @param {string} shelf - Shelf name
+   * @param {AbortSignal} signal - Abort signal for the requests
+   * @param {ShelfProgress} [progress] - How to report this shelf's progress
+   * @param {{userId: string, key: string|null}} [reader] - Reader whose shelf to fetch; defaults to the first launch URL reader
+   * @returns {Promise<Object>} Shelf book data
+   */
+  async fetchShelf(shelf, signal, progress = {}, reader) {
+    let allPagesData = null;
+    try {
+      allPagesData = await this.fetchAllPages(signal, shelf, progress, reader);
     } catch (error) {
-      if (error.name !== "AbortError") {
-        console.error('Failed to fetch book data:', error);
+      // Paged requests would fail the same way for a definitive API answer such as SHELF_NOT_FOUND
+      if (error.name === "AbortError" || (error.code in ERROR_CLASSES_BY_CODE && !error.retryable)) {
+        throw error;
       }
+      console.warn(`Merged shelf request for "${shelf}" failed, falling back to paged requests:`, error);
+    }
+
+    if (allPagesData?.truncated) {
+      // Keep the pages that arrived before the server's time budget ran out and page on from there
+      return this.fetchPages(signal, shelf, progress, reader, allPagesData);
+    }
+
+    return allPagesData
+      ? { items: allPagesData.items, total: allPagesData.total, title: allPagesData.title }
+      : this.fetchPages(signal, shelf, progress, reader);
+  }
+
+  /**
+   * Fetch the whole shelf in one request merged by the API
+   * @param {AbortSignal} signal - Abort signal for the request
+   * @param {string} [shelf] - Shelf name; defaults to the first launch URL shelf
+   * @param {ShelfProgress} [progress] - How to report this shelf's progress; defaults to the service progress callback
+   * @param {{userId: string, key: string|null}} [reader] - Reader whose shelf to fetch; defaults to the first launch URL reader
+   * @returns {Promise<Object>} Merged shelf payload
+   */
+  async fetchAllPages(signal, shelf = Config.getShelf(), progress = {}, reader) {
+    const { onTitle, onBooks } = this.getShelfProgress(progress);
+    const request = Config.buildAllPagesApiRequest(shelf, reader);
+    const response = await this.request(request, signal);
+
+    if (!response.ok) {
+      throw this.createHttpError(response.status, await readErrorBody(response), response.headers?.get?.('Retry-After'));
+    }
+
+    const shelfData = await response.json();
+
+    if (shelfData.title) {
+      onTitle?.(shelfData.title);
+    }
+    onBooks?.(shelfData.total, shelfData.pages);
+
+    return shelfData;
+  }
+
+  /**
+   * Fetch the shelf page by page, several pages at a time, with in-order progress tracking.
+   * Pages that still fail after retries are skipped and the result is marked degraded;
+   * only a failing first page fails the whole shelf.
+   * @param {AbortSignal} signal - Abort signal for the requests
+   * @param {string} [shelf] - Shelf name; defaults to the first launch URL shelf
+   * @param {ShelfProgress} [progress] - How to report this shelf's progress; defaults to the service progress callback
+   * @param {{userId: string, key: string|null}} [reader] - Reader whose shelf to fetch; defaults to the first launch URL reader
+   * @param {{pages: number, items: Array<Object>, title: string}} [fetched] - Leading pages already fetched, such as a truncated merged shelf
+   * @returns {Promise<Object>} Book data response
+   */
+  async fetchPages(signal, shelf = Config.getShelf(), progress = {}, reader, fetched = { pages: 0, items: [], title: '' }) {
+    const { onTitle, onBooks } = this.getShelfProgress(progress);
+    const firstPage = fetched.pages + 1;
+    const allItems = [...fetched.items];
+    const missingPages = [];
+    let lastBooksPage = fetched.pages;
+    let channelTitle = fetched.title || '';
+
+    // Aborts speculative requests still in flight once any page fails
+    const pagesController = new AbortController();
+    const abortPages = () => pagesController.abort();
+    signal?.addEventListener('abort', abortPages);
+
+    try {
+      // The page after the last supported one is a lookahead for oversized shelves
+      const pages = await fetchPagesInOrder(
+        page => this.fetchPageOrSkip(page, pagesController.signal, shelf, reader),
+        {
+          firstPage,
+          lastPage: MAX_PAGES + 1,
+          concurrency: CONFIG.PAGE_FETCH_CONCURRENCY,
+          onPage: (pageData, page) => {
+            if (page > MAX_PAGES) return;
+
+            if (pageData.missing) {
+              missingPages.push(page);
+            } else if (pageData.items.length > 0) {
+              lastBooksPage = page;
+            }
+
+            allItems.push(...pageData.items);
+            channelTitle = pageData.title || channelTitle;
+
+            // Update channel title immediately after first page
+            if (page === 1 && channelTitle) {
+              onTitle?.(channelTitle);
+            }
+
+            onBooks?.(allItems.length, page);
+          }
+        }
+      );
+
+      if (pages[MAX_PAGES + 1 - firstPage]?.items.length > 0) {
+        throw new ShelfTooLargeError(SHELF_TOO_LARGE_MESSAGE, { code: 'SHELF_TOO_LARGE' });
+      }
+    } catch (error) {
+      pagesController.abort();
       throw error;
     } finally {
-      if (this.requestController === requestController) {
-        this.requestController = null;
+      signal?.removeEventListener('abort', abortPages);
+    }
+
+    return {
+      items: allItems,
+      total: allItems.length,
+      title: channelTitle,
+      degraded: missingPages.length > 0,
+      // Pages before one that returned books were full; a missing page after the last of them may have been short
+      skippedBooks: missingPages.length * PAGE_SIZE,
+      skippedBooksUpperBound: missingPages.some(page => page > lastBooksPage)
+    };
+  }
+
+  /**
+   * Fetch one API page with retries, standing in an empty placeholder page for
+   * pages after the first that keep failing
+   * @param {number} page - Page number
+   * @param {AbortSignal} signal - Abort signal for the request
+   * @param {string} [shelf] - Shelf name; defaults to the first launch URL shelf
+   * @param {{userId: string, key: string|null}} [reader] - Reader whose shelf to fetch; defaults to the first launch URL reader
+   * @returns {Promise<Object>} Page response, or a placeholder with missing set
+   */
+  async fetchPageOrSkip(page, signal, shelf, reader) {
+    try {
+      return await this.fetchPageWithRetry(page, signal, shelf, reader);
+    } catch (error) {
+      if (error.name === 'AbortError' || page === 1) throw error;
+
+      console.warn(`Skipping shelf page ${page} after repeated failures:`, error);
+      return { items: [], title: '', hasMore: true, missing: true };
+    }
+  }
+
+  /**
+   * Fetch one API page, retrying transient failures with backoff
+   * @param {number} page - Page number
+   * @param {AbortSignal} signal - Abort signal for the request
+   * @param {string} [shelf] - Shelf name; defaults to the first launch URL shelf
+   * @param {{userId: string, key: string|null}} [reader] - Reader whose shelf to fetch; defaults to the first launch URL reader
+   * @returns {Promise<Object>} Page response
+   */
+  async fetchPageWithRetry(page, signal, shelf, reader) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.fetchPage(page, signal, shelf, reader);
+      } catch (error) {
+        if (error.name === 'AbortError' || error.retryable === false || attempt >= CONFIG.PAGE_RETRY_ATTEMPTS) {
+          throw error;
+        }
+
+        await waitForRetry(getRetryDelay(attempt, error.retryAfterMs ?? null), signal);
       }
     }
   }
 
   /**
-   * Create appropriate error based on HTTP status
+   * Fetch one API page
+   * @param {number} page - Page number
+   * @param {AbortSignal} signal - Abort signal for the request
+   * @param {string} [shelf] - Shelf name; defaults to the first launch URL shelf
+   * @param {{userId: string, key: string|null}} [reader] - Reader whose shelf to fetch; defaults to the first launch URL reader
+   * @returns {Promise<Object>} Page response
+   */
+  async fetchPage(page, signal, shelf, reader) {
+    const request = Config.buildApiRequest(page, shelf, reader);
+    const response = await this.request(request, signal);
+
+    if (!response.ok) {
+      throw this.createHttpError(response.status, await readErrorBody(response), response.headers?.get?.('Retry-After'));
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Fill in shelf progress callbacks that were not given with the service progress callback
+   * @param {ShelfProgress} progress - Shelf progress callbacks
+   * @returns {ShelfProgress} Callbacks for the shelf title and running book count
+   */
+  getShelfProgress(progress) {
+    return {
+      onTitle: 'onTitle' in progress ? progress.onTitle : title => this.onProgress?.('channel_title', title),
+      onBooks: 'onBooks' in progress ? progress.onBooks : (bookCount, page) => this.onProgress?.('fetch_progress', bookCount, page)
+    };
+  }
+
+  /**
+   * Send an API request, reporting an unreachable API as a NetworkError
+   * @param {{url: string, options: RequestInit}} request - API request
+   * @param {AbortSignal} signal - Abort signal for the request
+   * @returns {Promise<Response>} API response
+   */
+  async request(request, signal) {
+    try {
+      return await fetch(request.url, {
+        ...request.options,
+        signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new NetworkError(`Failed to fetch ${request.url.split('?')[0]}: ${error.message}`, {
+        code: 'NETWORK_ERROR',
+        retryable: true
+      });
+    }
+  }
+
+  /**
+   * Create a typed error from a failed API response, using the error envelope's code when present
    * @param {number} status - HTTP status code
-   * @returns {Error} Appropriate error object
+   * @param {Object|null} [body] - Parsed response body
+   * @param {string|null} [retryAfter] - Retry-After header sent with 429 and 503 responses
+   * @returns {ApiError} Error typed by its code, with status, retryable and retryAfterMs set
    */
-  createHttpError(status) {
+  createHttpError(status, body = null, retryAfter = null) {
+    const retryAfterMs = status === 429 || status === 503 ? parseRetryAfter(retryAfter) : null;
+    const envelope = body?.error;
+
+    if (envelope && typeof envelope === 'object' && typeof envelope.code === 'string') {
+      const ErrorClass = ERROR_CLASSES_BY_CODE[envelope.code] ?? ApiError;
+      return new ErrorClass(envelope.message || `HTTP error! status: ${status}`, {
+        code: envelope.code,
+        status,
+        retryable: envelope.retryable === true,
+        retryAfterMs,
+        details: envelope.details ?? {}
+      });
+    }
+
+    // Responses without an envelope come from the platform in front of the API
     const errorMessages = {
       401: 'Authentication failed - the server rejected the request',
       403: 'Access forbidden - check API permissions',
+      429: 'Too many requests - please try again later',
       500: 'Server error - please try again later'
     };
 
-    const message = errorMessages[status] || `HTTP error! status: ${status}`;
-    return new Error(message);
+    return new ApiError(errorMessages[status] || `HTTP error! status: ${status}`, {
+      code: status === 401 || status === 403 ? 'API_AUTH_FAILED' : 'HTTP_ERROR',
+      status,
+      retryable: status === 408 || status === 429 || status >= 500,
+      retryAfterMs
+    });
   }
 
   /**
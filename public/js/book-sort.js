@@ -0,0 +1,63 @@
+/**
+ * Name an author sorts under
+ * @param {string} authorName - Author's full name
+ * @returns {string} The last name, as Goodreads sorts authors, or empty without a name
+ */
+export function getAuthorSortName(authorName) {
+  return typeof authorName === "string" ? authorName.trim().split(/\s+/).at(-1) : "";
+}
+
+/**
+ * Title a book sorts under
+ * @param {string} title - Book title
+ * @returns {string} The title without its leading article, as Goodreads sorts titles, or empty without a title
+ */
+export function getTitleSortName(title) {
+  return typeof title === "string" ? title.trim().replace(/^(the|a|an)\s+/i, "") : "";
+}
+
+// Sort keys that can be reproduced from normalized book fields
+const SORT_VALUE_GETTERS = {
+  title: book => getTitleSortName(book.title),
+  author: book => getAuthorSortName(book.author_name),
+  rating: book => book.user_rating,
+  avg_rating: book => book.average_rating,
+  date_read: book => book.read_at,
+  date_added: book => book.date_added,
+  num_pages: book => book.num_pages,
+  year_pub: book => book.book_published
+};
+
+function isMissing(value) {
+  return value === null || value === undefined || value === "";
+}
+
+/**
+ * Build a comparator for a Goodreads sort key, to order walls merged from several feeds.
+ * Books without a value sort last in either order.
+ * @param {string} sort - Goodreads sort key
+ * @param {string} [order] - 'a' (ascending) or 'd' (descending)
+ * @returns {((a: Object, b: Object) => number)|null} Comparator, or null when the sort key
+ *   depends on data the feed does not carry (e.g. position, random)
+ */
+export function getBookComparator(sort, order = "a") {
+  const getValue = SORT_VALUE_GETTERS[sort];
+  if (!getValue) {
+    return null;
+  }
+
+  const direction = order === "d" ? -1 : 1;
+  return (a, b) => {
+    const valueA = getValue(a);
+    const valueB = getValue(b);
+
+    if (isMissing(valueA) || isMissing(valueB)) {
+      return Number(isMissing(valueA)) - Number(isMissing(valueB));
+    }
+
+    const result = typeof valueA === "string"
+      ? valueA.localeCompare(valueB, undefined, { sensitivity: "base" })
+      : valueA - valueB;
+    return result * direction;
+  };
+}
@@ -0,0 +1,228 @@
+import { CONFIG, CSS_CLASSES } from "./config.js";
+import { formatReadDate } from "./book-cover-data.js";
+
+// Neighbors turn this far towards the middle
+const SIDE_ANGLE_DEG = 60;
+// Distance from the middle of the focused cover to the middle of its first neighbor
+const CENTER_GAP_PX = 220;
+// Distance between neighbors further out, which overlap like cards in a rack
+const SIDE_SPACING_PX = 90;
+// Neighbors sit this far behind the focused cover
+const SIDE_DEPTH_PX = 240;
+
+/**
+ * Place of a cover relative to the focused one
+ * @param {number} offset - Covers away from the focus; negative on the left
+ * @param {number} [sideCount] - Neighbors shown on each side
+ * @returns {{transform: string, zIndex: number, opacity: number}} Styles for the cover
+ */
+export function getCarouselSlotStyle(offset, sideCount = CONFIG.CAROUSEL_SIDE_COVERS) {
+  const distance = Math.abs(offset);
+  const side = Math.sign(offset);
+  const x = distance === 0 ? 0 : side * (CENTER_GAP_PX + (distance - 1) * SIDE_SPACING_PX);
+  const z = distance === 0 ? 0 : -SIDE_DEPTH_PX;
+  const angle = -side * (distance === 0 ? 0 : SIDE_ANGLE_DEG);
+
+  return {
+    transform: `translate(-50%, -50%) translateX(${x}px) translateZ(${z}px) rotateY(${angle}deg)`,
+    zIndex: sideCount + 1 - distance,
+    // Covers one place past the last neighbor are laid out invisibly so they can slide in
+    opacity: distance > sideCount ? 0 : 1
+  };
+}
+
+/**
+ * Caption lines for the focused book
+ * @param {Object} book - Book from BookDataService
+ * @returns {{title: string, author: string, date: string}} Title, author, and the date read when there is one
+ */
+export function formatCarouselCaption(book) {
+  return {
+    title: book.title ?? "",
+    author: book.author_name ?? "",
+    date: formatReadDate(book.read_at)
+  };
+}
+
+/**
+ * Cover flow carousel for mode=carousel, advancing through the shelf with a caption under the focused book
+ */
+export class CarouselRenderer {
+  /**
+   * @param {HTMLElement} coverFlowElement - Container to show the carousel in
+   * @param {Object} [options] - Carousel options
+   * @param {number} [options.intervalMs] - Time each book stays in focus
+   * @param {string} [options.direction] - 'right' steps back through the shelf, moving covers to the right; any other direction steps forward
+   * @param {number} [options.sideCount] - Neighbors shown on each side
+   */
+  constructor(coverFlowElement, {
+    intervalMs = CONFIG.CAROUSEL_ADVANCE_MS,
+    direction = "left",
+    sideCount = CONFIG.CAROUSEL_SIDE_COVERS
+  } = {}) {
+    this.coverFlow = coverFlowElement;
+    this.intervalMs = intervalMs;
+    this.step = direction === "right" ? -1 : 1;
+    this.sideCount = sideCount;
+    this.items = [];
+    this.focusItem = null;
+    this.intervalId = null;
+    this.stage = null;
+    this.caption = null;
+    // Cover elements on the stage by wall item, with the image each was cloned from
+    this.slots = new Map();
+  }
+
+  /**
+   * Check whether enough covers have loaded to fill both sides of the carousel
+   * @param {Array<Object>} items - Items from a book item stream
+   * @returns {boolean} True when the carousel can start while the rest keep loading
+   */
+  canStart(items) {
+    return items.filter(item => item.type === "book").length > this.sideCount * 2 + 1;
+  }
+
+  /**
+   * Show the carousel focused on the first book and start advancing. Items may keep growing at
+   * the end, or have covers spliced in, as a book item stream does; each step sees the list as it is.
+   * @param {Array<Object>} items - Wall items; dividers are skipped
+   */
+  start(items) {
+    this.stop();
+    this.items = items;
+    this.focusItem = this.getBookItems()[0] ?? null;
+    this.mount();
+    this.render();
+    this.intervalId = setInterval(() => this.advance(), this.intervalMs);
+  }
+
+  /**
+   * Book items of the list, in shelf order
+   * @returns {Array<Object>} Book items
+   */
+  getBookItems() {
+    return this.items.filter(item => item.type === "book");
+  }
+
+  /**
+   * Replace the container's content with an empty stage and caption
+   */
+  mount() {
+    while (this.coverFlow.firstChild) {
+      this.coverFlow.removeChild(this.coverFlow.firstChild);
+    }
+    this.coverFlow.classList?.add(CSS_CLASSES.COVER_FLOW_CAROUSEL);
+    this.slots.clear();
+
+    this.stage = document.createElement("div");
+    this.stage.className = CSS_CLASSES.CAROUSEL_STAGE;
+    this.caption = document.createElement("div");
+    this.caption.className = CSS_CLASSES.CAROUSEL_CAPTION;
+    ["title", "author", "date"].forEach(line => {
+      const element = document.createElement("div");
+      element.className = `carousel-${line}`;
+      this.caption.appendChild(element);
+    });
+    this.coverFlow.appendChild(this.stage);
+    this.coverFlow.appendChild(this.caption);
+  }
+
+  /**
+   * Move the focus one book along the shelf, wrapping at either end
+   */
+  advance() {
+    const books = this.getBookItems();
+    if (books.length === 0) return;
+
+    const focusIdx = Math.max(0, books.indexOf(this.focusItem));
+    this.focusItem = books[(focusIdx + this.step + books.length) % books.length];
+    this.render();
+  }
+
+  /**
+   * Place the covers around the focused book and update the caption
+   */
+  render() {
+    const books = this.getBookItems();
+    if (!this.stage || books.length === 0) return;
+
+    const focusIdx = Math.max(0, books.indexOf(this.focusItem));
+    // A short shelf would show the same book on both sides
+    const reach = Math.min(this.sideCount + 1, Math.floor((books.length - 1) / 2));
+    const placed = new Set();
+
+    for (let offset = -reach; offset <= reach; offset++) {
+      const item = books[((focusIdx + offset) % books.length + books.length) % books.length];
+      const element = this.getSlotElement(item);
+      const style = getCarouselSlotStyle(offset, this.sideCount);
+      element.style.transform = style.transform;
+      element.style.zIndex = String(style.zIndex);
+      element.style.opacity = String(style.opacity);
+      placed.add(item);
+    }
+
+    this.slots.forEach((slot, item) => {
+      if (placed.has(item)) return;
+      slot.element.remove();
+      this.slots.delete(item);
+    });
+
+    const caption = formatCarouselCaption(books[focusIdx].book);
+    const [title, author, date] = this.caption.children;
+    title.textContent = caption.title;
+    author.textContent = caption.author;
+    date.textContent = caption.date;
+  }
+
+  /**
+   * Get the cover element of an item on the stage, adding it, or swapping it when the item's
+   * cover has changed since, as it does after a retry
+   * @param {Object} item - Book item
+   * @returns {HTMLElement} Cover element
+   */
+  getSlotElement(item) {
+    const slot = this.slots.get(item);
+    if (slot?.image === item.image) {
+      return slot.element;
+    }
+
+    const element = item.image.cloneNode();
+    element.className = CSS_CLASSES.CAROUSEL_COVER;
+    element.alt = item.book.title ?? "";
+    element.draggable = false;
+    if (slot) {
+      element.style.transform = slot.element.style.transform;
+      slot.element.replaceWith(element);
+    } else {
+      this.stage.appendChild(element);
+    }
+    this.slots.set(item, { element, image: item.image });
+    return element;
+  }
+
+  /**
+   * Stop advancing
+   */
+  stop() {
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+  }
+
+  /**
+   * Check whether the carousel is advancing
+   * @returns {boolean} True while the timer runs
+   */
+  isRunning() {
+    return this.intervalId !== null;
+  }
+
+  /**
+   * Stop advancing and forget the covers on the stage
+   */
+  destroy() {
+    this.stop();
+    this.slots.clear();
+    this.items = [];
+    this.focusItem = null;
+  }
+}
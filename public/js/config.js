@@ -6,10 +6,58 @@ export const CONFIG = {
   YEAR_TAG_HEIGHT: 54,
   YEAR_TAG_MARGIN: 0,
   MIN_BOTTOM_COVER_VISIBILITY: 0.75,
+  // Cover height in the rows layout of walls scrolling up or down
+  ROW_HEIGHT: 300,
+  // Decoded cover memory the wall may hold (width x height x 4 bytes per cover); covers that
+  // scrolled off are released beyond this and decoded again COVER_DECODE_LOOKAHEAD_ITEMS before they return
+  COVER_MEMORY_BUDGET_MB: 256,
+  COVER_DECODE_LOOKAHEAD_ITEMS: 24,
+  // Cover widths requested from image hosts; COLUMN_WIDTH * devicePixelRatio rounds up to one of these
+  // so screens with similar pixel ratios share cached images
+  COVER_WIDTH_BUCKETS: [200, 300, 400, 600],
+  // Covers with fewer image pixels per CSS pixel than this are shown narrower instead of upscaled
+  MIN_COVER_RESOLUTION: 0.5,
 
   // Animation constants
   ANIMATION_SPEED: 30, // pixels per second
+  MAX_ANIMATION_SPEED: 600,
+  // Walls scrolling left or right are laid out in columns, walls scrolling up or down in rows
+  SCROLL_DIRECTIONS: ['left', 'right', 'up', 'down'],
+  // Speed rhythms for the launch URL `easing` param, repeating every EASING_CYCLE_MS
+  EASING_MODES: ['linear', 'drift', 'wave'],
+  EASING_CYCLE_MS: 20000,
+  // Share of a drift cycle spent standing still
+  DRIFT_PAUSE_FRACTION: 0.3,
   MAX_REPEATS: 10,
+  // Launch URL `mode` values; parallax stacks lanes of smaller, slower, softer covers behind the front lane,
+  // and carousel shows one cover at a time between neighbors turned in perspective
+  DISPLAY_MODES: ['wall', 'parallax', 'carousel'],
+  // Parallax lanes from back to front, with the cover scale, the share of the scroll speed,
+  // and the blur (px) and brightness that push a lane back; `lanes=2` keeps the front two
+  PARALLAX_LANES: [
+    { scale: 0.5, speed: 0.45, blur: 2, brightness: 0.55 },
+    { scale: 0.7, speed: 0.7, blur: 1, brightness: 0.75 },
+    { scale: 1, speed: 1, blur: 0, brightness: 1 }
+  ],
+  // Time each book stays in focus in the carousel, and the neighbors shown on each side of it
+  CAROUSEL_ADVANCE_MS: 4000,
+  CAROUSEL_SIDE_COVERS: 5,
+  // Spotlight interludes: every `spotlight` minutes the wall eases to a stop over SPOTLIGHT_EASE_MS,
+  // one cover on screen grows SPOTLIGHT_SCALE times with a card for SPOTLIGHT_HOLD_MS, and the wall eases back
+  SPOTLIGHT_INTERVAL_MINUTES: 5,
+  // Shortest and longest intervals the spotlight param accepts; a day stays well under setTimeout's limit
+  SPOTLIGHT_MIN_MINUTES: 1,
+  SPOTLIGHT_MAX_MINUTES: 24 * 60,
+  SPOTLIGHT_EASE_MS: 2000,
+  SPOTLIGHT_HOLD_MS: 8000,
+  SPOTLIGHT_SCALE: 1.6,
+  // Books read within this many days are favored, more so the more recent
+  SPOTLIGHT_RECENT_DAYS: 365,
+  SPOTLIGHT_EXCERPT_LENGTH: 220,
+  // Columns beyond the viewport that must be ready before a wall starts while covers still load
+  PROGRESSIVE_LOOKAHEAD_COLUMNS: 4,
+  // Rows below the viewport that must be ready before a rows wall starts while covers still load
+  PROGRESSIVE_LOOKAHEAD_ROWS: 4,
 
   // UI constants
   CARD_HIDE_DELAY: 3000,
@@ -18,7 +66,35 @@ export const CONFIG = {
   // API constants
   DEFAULT_USER_ID: '18906657',
   DEFAULT_SHELF: 'read',
-  API_BASE_PATH: '/api/goodreads'
+  MAX_SHELVES: 5,
+  MAX_READERS: 5,
+  DEFAULT_SORT: 'date_read',
+  DEFAULT_ORDER: 'a',
+  API_BASE_PATH: '/api/goodreads',
+  PAGE_FETCH_CONCURRENCY: 4,
+  PAGE_RETRY_ATTEMPTS: 3,
+  PAGE_RETRY_BASE_DELAY_MS: 500,
+  PAGE_RETRY_MAX_DELAY_MS: 8000,
+  PAGE_RETRY_AFTER_MAX_MS: 30000,
+
+  // Cover sources tried in order for each book; the `covers` launch URL param picks a subset
+  COVER_SOURCES: ['goodreads_large', 'goodreads_medium', 'goodreads_small', 'openlibrary', 'generated'],
+  // Covers that timed out or errored are retried in the background while the wall runs
+  COVER_RETRY_ATTEMPTS: 3,
+  COVER_RETRY_BASE_DELAY_MS: 15000,
+  COVER_RETRY_MAX_DELAY_MS: 120000,
+
+  // Launch URL `group` values that override the sort's dividers
+  GROUP_MODES: ['shelf', 'reader', 'interleave'],
+
+  // Sort keys accepted by Goodreads shelf RSS feeds; the API's SORT_KEYS must match
+  SORT_KEYS: [
+    'title', 'author', 'cover', 'rating', 'year_pub', 'date_pub', 'date_pub_edition',
+    'date_started', 'date_read', 'date_updated', 'date_added', 'recommender',
+    'avg_rating', 'num_ratings', 'review', 'read_count', 'votes', 'random',
+    'comments', 'notes', 'isbn', 'isbn13', 'asin', 'num_pages', 'format',
+    'position', 'shelves', 'owned', 'date_purchased', 'purchase_location', 'condition'
+  ]
 };
 
 /**
@@ -34,69 +110,203 @@ export const Config = {
   },
 
   /**
-   * Get user ID from URL params or use default
+   * Get the first user ID from URL params or use default
    * @returns {string} User ID
    */
   getUserId() {
+    return this.getReaders()[0].userId;
+  },
+
+  /**
+   * Get readers from the comma-separated userId and key URL params, paired by position.
+   * An empty key entry (e.g. key=abc,,def) leaves that reader without a key.
+   * @returns {Array<{userId: string, key: string|null}>} Readers in launch URL order; the default user when none are given
+   */
+  getReaders() {
     const params = this.getUrlParams();
-    return params.get('userId') || CONFIG.DEFAULT_USER_ID;
+    const keys = (params.get('key') ?? '').split(',').map(key => key.trim());
+    const seenUserIds = new Set();
+    const readers = [];
+
+    (params.get('userId') ?? '').split(',').forEach((userId, index) => {
+      const trimmedUserId = userId.trim();
+      if (!trimmedUserId || seenUserIds.has(trimmedUserId)) return;
+
+      seenUserIds.add(trimmedUserId);
+      readers.push({ userId: trimmedUserId, key: keys[index] || null });
+    });
+
+    return readers.length > 0
+      ? readers.slice(0, CONFIG.MAX_READERS)
+      : [{ userId: CONFIG.DEFAULT_USER_ID, key: null }];
   },
 
   /**
-   * Get shelf from URL params or use default
+   * Get the first shelf from URL params or use default
    * @returns {string} Shelf name
    */
   getShelf() {
-    const params = this.getUrlParams();
-    return params.get('shelf') || CONFIG.DEFAULT_SHELF;
+    return this.getShelves()[0];
+  },
+
+  /**
+   * Get shelves from the comma-separated shelf URL param, without duplicates
+   * @returns {string[]} Shelf names in launch URL order; the default shelf when none are given
+   */
+  getShelves() {
+    const shelves = (this.getUrlParams().get('shelf') ?? '')
+      .split(',')
+      .map(shelf => shelf.trim())
+      .filter(Boolean);
+    const uniqueShelves = [...new Set(shelves)].slice(0, CONFIG.MAX_SHELVES);
+
+    return uniqueShelves.length > 0 ? uniqueShelves : [CONFIG.DEFAULT_SHELF];
+  },
+
+  /**
+   * Check whether the launch URL asks for the offline demo shelf
+   * @returns {boolean} True for demo=1
+   */
+  isDemoMode() {
+    return this.getUrlParams().get('demo') === '1';
+  },
+
+  /**
+   * Check whether a diagnostics view was requested with the comma-separated debug URL param
+   * @param {string} name - Diagnostics name, such as 'images'
+   * @returns {boolean} True when debug lists the name
+   */
+  isDebugEnabled(name) {
+    return (this.getUrlParams().get('debug') ?? '').split(',').map(value => value.trim()).includes(name);
+  },
+
+  /**
+   * Get the scroll speed from the speed URL param
+   * @returns {number} Pixels per second, capped at CONFIG.MAX_ANIMATION_SPEED; the default for missing or invalid values
+   */
+  getAnimationSpeed() {
+    const speed = Number(this.getUrlParams().get('speed'));
+    return speed > 0 ? Math.min(speed, CONFIG.MAX_ANIMATION_SPEED) : CONFIG.ANIMATION_SPEED;
+  },
+
+  /**
+   * Get the scroll direction from the direction URL param
+   * @returns {string} One of CONFIG.SCROLL_DIRECTIONS, 'left' by default
+   */
+  getDirection() {
+    const direction = this.getUrlParams().get('direction');
+    return CONFIG.SCROLL_DIRECTIONS.includes(direction) ? direction : CONFIG.SCROLL_DIRECTIONS[0];
+  },
+
+  /**
+   * Get the wall layout that suits the scroll direction
+   * @returns {string} 'rows' for walls scrolling up or down, otherwise 'columns'
+   */
+  getWallLayout() {
+    const direction = this.getDirection();
+    return direction === 'up' || direction === 'down' ? 'rows' : 'columns';
+  },
+
+  /**
+   * Get the display mode from the mode URL param
+   * @returns {string} One of CONFIG.DISPLAY_MODES, 'wall' by default
+   */
+  getDisplayMode() {
+    const mode = this.getUrlParams().get('mode');
+    return CONFIG.DISPLAY_MODES.includes(mode) ? mode : CONFIG.DISPLAY_MODES[0];
+  },
+
+  /**
+   * Get the time between spotlight interludes from the spotlight URL param, in minutes
+   * @returns {number} Milliseconds, or 0 when spotlight=0 turns them off; the default for missing, invalid
+   *   or out of range values
+   */
+  getSpotlightInterval() {
+    const param = this.getUrlParams().get('spotlight');
+    const minutes = param === null || param.trim() === '' ? NaN : Number(param);
+    const inRange = minutes === 0 || (minutes >= CONFIG.SPOTLIGHT_MIN_MINUTES && minutes <= CONFIG.SPOTLIGHT_MAX_MINUTES);
+    return (inRange ? minutes : CONFIG.SPOTLIGHT_INTERVAL_MINUTES) * 60 * 1000;
   },
 
   /**
-   * Get sort parameter from URL params
-   * @returns {string|null} Sort parameter or null if not provided
+   * Get the number of parallax lanes from the lanes URL param
+   * @returns {number} 2 or 3, every lane in CONFIG.PARALLAX_LANES by default
+   */
+  getLaneCount() {
+    const lanes = Number(this.getUrlParams().get('lanes'));
+    return lanes >= 2 && lanes <= CONFIG.PARALLAX_LANES.length && Number.isInteger(lanes)
+      ? lanes
+      : CONFIG.PARALLAX_LANES.length;
+  },
+
+  /**
+   * Get the speed rhythm from the easing URL param
+   * @returns {string} One of CONFIG.EASING_MODES, 'linear' by default
+   */
+  getEasing() {
+    const easing = this.getUrlParams().get('easing');
+    return CONFIG.EASING_MODES.includes(easing) ? easing : CONFIG.EASING_MODES[0];
+  },
+
+  /**
+   * Get the divider grouping requested in URL params
+   * @returns {string|null} Group mode, or null to group by the sort key
+   */
+  getGroup() {
+    const group = this.getUrlParams().get('group');
+    return CONFIG.GROUP_MODES.includes(group) ? group : null;
+  },
+
+  /**
+   * Get the cover source chain from the comma-separated covers URL param
+   * @returns {string[]} Known cover sources in launch URL order; every source when none are given
+   */
+  getCoverSources() {
+    const sources = (this.getUrlParams().get('covers') ?? '')
+      .split(',')
+      .map(source => source.trim())
+      .filter(source => CONFIG.COVER_SOURCES.includes(source));
+    const uniqueSources = [...new Set(sources)];
+
+    return uniqueSources.length > 0 ? uniqueSources : [...CONFIG.COVER_SOURCES];
+  },
+
+  /**
+   * Get sort key from URL params, falling back to the default for unknown keys
+   * @returns {string} Goodreads sort key
    */
   getSort() {
-    const params = this.getUrlParams();
-    return params.get('sort');
+    const sort = this.getUrlParams().get('sort');
+    return CONFIG.SORT_KEYS.includes(sort) ? sort : CONFIG.DEFAULT_SORT;
   },
 
   /**
-   * Get order parameter from URL params
-   * @returns {string|null} Order parameter or null if not provided
+   * Get sort order from URL params, falling back to the default for invalid values
+   * @returns {string} Sort order ('a' or 'd')
    */
   getOrder() {
-    const params = this.getUrlParams();
-    return params.get('order');
+    const order = this.getUrlParams().get('order');
+    return order === 'a' || order === 'd' ? order : CONFIG.DEFAULT_ORDER;
   },
 
   /**
-   * Get key from URL params
+   * Get the first reader's key from URL params
    * @returns {string|null} API key or null if not provided
    */
   getKey() {
-    return this.getUrlParams().get("key");
+    return this.getReaders()[0].key;
   },
 
   /**
    * Build API request with current parameters
    * @param {number} [page] - Optional page number
+   * @param {string} [shelf] - Shelf to request; defaults to the first launch URL shelf
+   * @param {{userId: string, key: string|null}} [reader] - Reader to request; defaults to the first launch URL reader
    * @returns {{url: string, options: RequestInit}} API URL and fetch options
    */
-  buildApiRequest(page) {
-    const userId = this.getUserId();
-    const shelf = this.getShelf();
-    const key = this.getKey();
-
-    const params = new URLSearchParams({
-      userId,
-      shelf,
-      sort: "date_read",
-      order: "a"
-    });
+  buildApiRequest(page, shelf, reader) {
+    const params = this.getApiParams(shelf, reader);
 
-    if (key) {
-      params.set("key", key);
-    }
     if (page) {
       params.set('page', page.toString());
     }
@@ -105,6 +315,43 @@ export const Config = {
       url: `${CONFIG.API_BASE_PATH}?${params.toString()}`,
       options: {}
     };
+  },
+
+  /**
+   * Build API request that fetches and merges every shelf page server-side
+   * @param {string} [shelf] - Shelf to request; defaults to the first launch URL shelf
+   * @param {{userId: string, key: string|null}} [reader] - Reader to request; defaults to the first launch URL reader
+   * @returns {{url: string, options: RequestInit}} API URL and fetch options
+   */
+  buildAllPagesApiRequest(shelf, reader) {
+    const params = this.getApiParams(shelf, reader);
+    params.set('all', '1');
+
+    return {
+      url: `${CONFIG.API_BASE_PATH}?${params.toString()}`,
+      options: {}
+    };
+  },
+
+  /**
+   * Get API query parameters shared by all shelf requests
+   * @param {string} [shelf] - Shelf to request; defaults to the first launch URL shelf
+   * @param {{userId: string, key: string|null}} [reader] - Reader to request; defaults to the first launch URL reader
+   * @returns {URLSearchParams} API query parameters
+   */
+  getApiParams(shelf = this.getShelf(), reader = this.getReaders()[0]) {
+    const params = new URLSearchParams({
+      userId: reader.userId,
+      shelf,
+      sort: this.getSort(),
+      order: this.getOrder()
+    });
+
+    if (reader.key) {
+      params.set("key", reader.key);
+    }
+
+    return params;
   }
 };
 
@@ -123,6 +370,22 @@ export const SELECTORS = {
 
 export const CSS_CLASSES = {
   COVER_COLUMN: 'cover-column',
+  COVER_COLUMN_BOTTOM: 'cover-column-bottom',
+  COVER_FLOW_ROWS: 'cover-flow-rows',
+  COVER_FLOW_PARALLAX: 'cover-flow-parallax',
+  PARALLAX_LANE: 'parallax-lane',
+  PARALLAX_TRACK: 'parallax-track',
+  COVER_FLOW_CAROUSEL: 'cover-flow-carousel',
+  CAROUSEL_STAGE: 'carousel-stage',
+  CAROUSEL_COVER: 'carousel-cover',
+  CAROUSEL_CAPTION: 'carousel-caption',
+  SPOTLIGHT_COVER: 'spotlight-cover',
+  SPOTLIGHT_LINE: 'spotlight-line',
+  SPOTLIGHT_UNCLIPPED: 'spotlight-unclipped',
+  SPOTLIGHT_CARD: 'spotlight-card',
+  COVER_ROW: 'cover-row',
+  COVER_ROW_BAND: 'cover-row-band',
+  COVER_ROW_END: 'cover-row-end',
   BOOK_COVER: 'book-cover',
   YEAR_TAG: 'year-tag',
   HIDDEN: 'hidden'
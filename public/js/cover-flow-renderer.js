@@ -1,6 +1,127 @@
 import { CONFIG, CSS_CLASSES } from './config.js';
+import { getAuthorSortName, getTitleSortName } from './book-sort.js';
+import { setBookCoverData } from './book-cover-data.js';
 
-const UNKNOWN_READ_YEAR = "n.a.";
+const UNKNOWN_GROUP_LABEL = "n.a.";
+
+// Divider grouping that matches each Goodreads sort key; other sorts render without dividers
+const DIVIDER_GROUPINGS = {
+  date_read: "read-year",
+  date_added: "added-year",
+  rating: "rating",
+  avg_rating: "average-rating",
+  author: "author-initial",
+  title: "title-initial"
+};
+
+/**
+ * Get the divider grouping for a sort key, or for an explicit launch URL group mode
+ * @param {string} sort - Goodreads sort key
+ * @param {string|null} [group] - Group mode that overrides the sort's grouping
+ * @returns {string|null} Divider grouping, or null for no dividers
+ */
+export function getDividerGrouping(sort, group = null) {
+  if (group === "shelf" || group === "reader" || group === "interleave") {
+    return group;
+  }
+  return DIVIDER_GROUPINGS[sort] ?? null;
+}
+
+/**
+ * Order book indexes so readers take turns, each reader keeping their own book order
+ * @param {Array<Object>} books - Books tagged with reader_id
+ * @returns {number[]} Book indexes in round-robin reader order
+ */
+export function getInterleavedReaderOrder(books) {
+  const queuesByReader = new Map();
+  books.forEach((book, idx) => {
+    const readerId = book.reader_id ?? null;
+    if (!queuesByReader.has(readerId)) {
+      queuesByReader.set(readerId, []);
+    }
+    queuesByReader.get(readerId).push(idx);
+  });
+
+  const queues = [...queuesByReader.values()];
+  const order = [];
+  for (let turn = 0; order.length < books.length; turn++) {
+    queues.forEach(queue => {
+      if (turn < queue.length) {
+        order.push(queue[turn]);
+      }
+    });
+  }
+  return order;
+}
+
+/**
+ * Width to show a cover at: the full column, or narrower when the image loader reported a
+ * resolution below CONFIG.MIN_COVER_RESOLUTION, so tiny covers are not upscaled into a blur
+ * @param {Object} book - Book with the image loader's cover_resolution
+ * @returns {number} Display width in CSS pixels
+ */
+export function getCoverDisplayWidth(book) {
+  const resolution = book?.cover_resolution;
+  if (!(resolution > 0) || resolution >= CONFIG.MIN_COVER_RESOLUTION) {
+    return CONFIG.COLUMN_WIDTH;
+  }
+  return Math.round(CONFIG.COLUMN_WIDTH * resolution / CONFIG.MIN_COVER_RESOLUTION);
+}
+
+/**
+ * Narrow and center a cover element that is shown below the column width
+ * @param {HTMLImageElement} imgNode - Cover element
+ * @param {Object} book - Book the cover belongs to
+ */
+export function applyCoverDisplayWidth(imgNode, book) {
+  const width = getCoverDisplayWidth(book);
+  if (width < CONFIG.COLUMN_WIDTH) {
+    imgNode.style.width = `${width}px`;
+    imgNode.style.marginInline = 'auto';
+  }
+}
+
+/**
+ * Class names for a planned column or row of the wall
+ * @param {Object} layoutLine - Layout from a column or row planner
+ * @returns {string} Class attribute value
+ */
+export function getLayoutLineClassName(layoutLine) {
+  if (layoutLine.kind === "row") {
+    return [
+      CSS_CLASSES.COVER_ROW,
+      layoutLine.band ? CSS_CLASSES.COVER_ROW_BAND : null,
+      layoutLine.align === "end" ? CSS_CLASSES.COVER_ROW_END : null
+    ].filter(Boolean).join(" ");
+  }
+
+  // Columns planned backwards clip at the top instead of the bottom
+  return layoutLine.align === "bottom"
+    ? `${CSS_CLASSES.COVER_COLUMN} ${CSS_CLASSES.COVER_COLUMN_BOTTOM}`
+    : CSS_CLASSES.COVER_COLUMN;
+}
+
+function getRatingLabel(rating) {
+  return rating > 0 ? `${rating}★` : null;
+}
+
+function getAverageRatingLabel(rating) {
+  if (!(rating > 0)) {
+    return null;
+  }
+
+  // Half-star bands keep neighbouring averages such as 4.02 and 4.38 together
+  return `${(Math.floor(rating * 2) / 2).toFixed(1)}+`;
+}
+
+function getInitialLabel(text) {
+  const initial = typeof text === "string" ? text.trim().charAt(0).toLocaleUpperCase() : "";
+  if (!initial) {
+    return null;
+  }
+
+  return /\p{L}/u.test(initial) ? initial : "#";
+}
 
 function getNextItem(items, itemIdx) {
   if (items.length <= 1) {
@@ -10,6 +131,14 @@ function getNextItem(items, itemIdx) {
   return items[(itemIdx + 1) % items.length];
 }
 
+function getPreviousItem(items, itemIdx) {
+  if (items.length <= 1) {
+    return undefined;
+  }
+
+  return items[normalizeItemIndex(itemIdx - 1, items.length)];
+}
+
 function normalizeItemIndex(itemIdx, itemCount) {
   return ((itemIdx % itemCount) + itemCount) % itemCount;
 }
@@ -211,9 +340,18 @@ export function createContinuousColumnLayoutPlanner(items, height, getItemHeight
     }
   };
 
+  // Items spliced in behind the next item are already past, so it keeps pointing at the same item;
+  // items spliced in at or after it come up in later columns
+  const insertItems = (at, count) => {
+    if (at < nextItemIdx) {
+      nextItemIdx += count;
+    }
+  };
+
   return {
     createNextColumn,
     skipColumns,
+    insertItems,
     getState() {
       return {
         nextItemIdx,
@@ -224,41 +362,320 @@ export function createContinuousColumnLayoutPlanner(items, height, getItemHeight
   };
 }
 
-export function createContinuousColumnWindow(items, height, getItemHeight, visibleColumnCount) {
-  if (items.length === 0 || visibleColumnCount <= 0) {
+/**
+ * Plan columns backwards from an item, for walls that scroll right and add columns on the left.
+ * It mirrors the continuous planner: columns are bottom-aligned and clip at the top, and a top
+ * book that is less than MIN_BOTTOM_COVER_VISIBILITY visible, or whose divider did not fit above
+ * it, is repeated at the bottom of the next column so it is seen whole and under its divider.
+ * Columns list their entries top to bottom, with `top` measured from the column top.
+ * @param {Array<Object>} items - Items in reading order
+ * @param {number} height - Column height
+ * @param {(item: Object) => number} getItemHeight - Item height
+ * @param {number} [startItemIdx] - Item the wall currently opens with; planning starts with the one before it
+ */
+export function createReverseColumnLayoutPlanner(items, height, getItemHeight, startItemIdx = 0) {
+  if (items.length === 0) {
     return {
-      layouts: [],
-      getNextColumnLayout() {
-        return createEmptyLayoutColumn();
+      createNextColumn() {
+        return { ...createEmptyLayoutColumn(), align: "bottom" };
+      },
+      skipColumns() {},
+      insertItems() {},
+      getState() {
+        return {
+          nextItemIdx: 0,
+          repeatCount: 0,
+          hasPendingRepeat: false,
+          reverse: true
+        };
       }
     };
   }
 
-  const planner = createContinuousColumnLayoutPlanner(items, height, getItemHeight);
-  const layouts = [];
-  const maxColumns = items.length * CONFIG.MAX_REPEATS;
+  let nextItemIdx = normalizeItemIndex(startItemIdx - 1, items.length);
+  let repeatCount = 0;
+  let pendingRepeat = null;
+
+  const retreatItemIndex = () => {
+    nextItemIdx--;
+
+    if (nextItemIdx < 0) {
+      nextItemIdx = items.length - 1;
+      repeatCount++;
+    }
+  };
+
+  const addEntryToColumnTop = (column, item, options = {}) => {
+    const itemHeight = getItemHeight(item);
+    const itemBottom = column.height;
+    const entry = {
+      item,
+      isRepeat: options.isRepeat || false,
+      repeatCount: options.repeatCount || 0,
+      top: height - itemBottom - itemHeight,
+      height: itemHeight,
+      visibleRatio: getVisibleRatioInColumn(itemBottom, itemHeight, height)
+    };
+
+    column.entries.unshift(entry);
+    column.height += itemHeight;
+    return entry;
+  };
 
-  while (planner.getState().repeatCount === 0 && layouts.length < maxColumns) {
-    layouts.push(planner.createNextColumn());
+  const shouldRepeatTopBook = (entry, previousItem) => {
+    return entry.item.type === "book"
+      && previousItem
+      && !entry.isRepeat
+      && entry.top + entry.height < height
+      && (entry.visibleRatio < CONFIG.MIN_BOTTOM_COVER_VISIBILITY || previousItem.type === "year-divider");
+  };
+
+  // The wall's first column may open with a book whose divider sits in the column about to be planned
+  const startItem = items[normalizeItemIndex(startItemIdx, items.length)];
+  if (startItem.type === "book" && getPreviousItem(items, startItemIdx)?.type === "year-divider") {
+    pendingRepeat = { item: startItem, repeatCount: 0 };
   }
 
-  layouts.push(planner.createNextColumn());
+  const createNextColumn = () => {
+    const column = { ...createEmptyLayoutColumn(), align: "bottom" };
+    let addedItems = 0;
+    const maxItemsPerColumn = items.length * CONFIG.MAX_REPEATS;
 
-  const targetColumnCount = visibleColumnCount + 1;
-  const visibleLayouts = layouts.slice(-targetColumnCount);
-  const emptyLayouts = Array.from(
-    { length: Math.max(0, targetColumnCount - visibleLayouts.length) },
-    createEmptyLayoutColumn
-  );
+    if (pendingRepeat) {
+      addEntryToColumnTop(column, pendingRepeat.item, {
+        isRepeat: true,
+        repeatCount: pendingRepeat.repeatCount
+      });
+      pendingRepeat = null;
+    }
+
+    while (column.height < height && addedItems < maxItemsPerColumn) {
+      addEntryToColumnTop(column, items[nextItemIdx], { repeatCount });
+      retreatItemIndex();
+      addedItems++;
+    }
+
+    const topEntry = column.entries[0];
+    if (topEntry && shouldRepeatTopBook(topEntry, getPreviousItem(items, nextItemIdx + 1))) {
+      pendingRepeat = {
+        item: topEntry.item,
+        repeatCount: topEntry.repeatCount
+      };
+    }
+
+    return column;
+  };
+
+  const skipColumns = count => {
+    for (let index = 0; index < count; index++) {
+      createNextColumn();
+    }
+  };
+
+  // Items spliced in at or before the next item move it along; items spliced in after it were already passed
+  const insertItems = (at, count) => {
+    if (at <= nextItemIdx) {
+      nextItemIdx += count;
+    }
+  };
 
   return {
-    layouts: [...emptyLayouts, ...visibleLayouts],
-    getNextColumnLayout: Object.assign(planner.createNextColumn, {
-      skipColumns: planner.skipColumns
-    })
+    createNextColumn,
+    skipColumns,
+    insertItems,
+    getState() {
+      return {
+        nextItemIdx,
+        repeatCount,
+        hasPendingRepeat: pendingRepeat !== null,
+        reverse: true
+      };
+    }
   };
 }
 
+/**
+ * Plan rows of covers for walls that scroll vertically; the rows counterpart of the continuous
+ * column planner. Covers share CONFIG.ROW_HEIGHT and take the width of their aspect ratio. A row
+ * ends once it is full, clipping its last cover at the row's end, and a last cover less than
+ * MIN_BOTTOM_COVER_VISIBILITY visible is repeated at the start of the next row. Dividers become
+ * bands across the wall between rows. With reverse, rows are planned backwards from the item
+ * before startItemIdx, for walls scrolling down: they fill from the right and clip on the left.
+ * Rows list their entries left to right, with `left` measured from the row's left edge.
+ * @param {Array<Object>} items - Items in reading order
+ * @param {number} width - Row width
+ * @param {(item: Object) => number} getItemWidth - Width of a book item at the row height
+ * @param {number} [startItemIdx] - First item of the wall
+ * @param {Object} [options] - Planner options
+ * @param {boolean} [options.reverse] - Plan backwards
+ */
+export function createContinuousRowLayoutPlanner(items, width, getItemWidth, startItemIdx = 0, { reverse = false } = {}) {
+  const step = reverse ? -1 : 1;
+  const createEmptyLayoutRow = () => ({
+    kind: "row",
+    band: false,
+    align: reverse ? "end" : "start",
+    height: CONFIG.ROW_HEIGHT,
+    width: 0,
+    entries: []
+  });
+
+  if (items.length === 0) {
+    return {
+      createNextRow: createEmptyLayoutRow,
+      skipRows() {},
+      insertItems() {},
+      getState() {
+        return {
+          nextItemIdx: 0,
+          repeatCount: 0,
+          hasPendingRepeat: false,
+          reverse
+        };
+      }
+    };
+  }
+
+  let nextItemIdx = normalizeItemIndex(reverse ? startItemIdx - 1 : startItemIdx, items.length);
+  let repeatCount = 0;
+  let pendingRepeat = null;
+
+  const moveToNextItem = () => {
+    nextItemIdx += step;
+
+    if (nextItemIdx < 0 || nextItemIdx >= items.length) {
+      nextItemIdx = normalizeItemIndex(nextItemIdx, items.length);
+      repeatCount++;
+    }
+  };
+
+  const addEntryToRow = (row, item, options = {}) => {
+    const itemWidth = getItemWidth(item);
+    // Distance from the edge the row fills from
+    const itemStart = row.width;
+    const entry = {
+      item,
+      isRepeat: options.isRepeat || false,
+      repeatCount: options.repeatCount || 0,
+      left: reverse ? width - itemStart - itemWidth : itemStart,
+      width: itemWidth,
+      height: row.height,
+      visibleRatio: getVisibleRatioInColumn(itemStart, itemWidth, width)
+    };
+
+    if (reverse) {
+      row.entries.unshift(entry);
+    } else {
+      row.entries.push(entry);
+    }
+    row.width += itemWidth;
+    return entry;
+  };
+
+  const createBandRow = item => {
+    const row = { ...createEmptyLayoutRow(), band: true, height: CONFIG.YEAR_TAG_HEIGHT, width };
+    row.entries.push({
+      item,
+      isRepeat: false,
+      repeatCount,
+      left: 0,
+      width,
+      height: row.height,
+      visibleRatio: 1
+    });
+    return row;
+  };
+
+  const createNextRow = () => {
+    const firstItem = items[nextItemIdx];
+    if (!pendingRepeat && firstItem.type === "year-divider") {
+      const bandRow = createBandRow(firstItem);
+      moveToNextItem();
+      return bandRow;
+    }
+
+    const row = createEmptyLayoutRow();
+    let lastEntry = null;
+    let addedItems = 0;
+    const maxItemsPerRow = items.length * CONFIG.MAX_REPEATS;
+
+    if (pendingRepeat) {
+      lastEntry = addEntryToRow(row, pendingRepeat.item, {
+        isRepeat: true,
+        repeatCount: pendingRepeat.repeatCount
+      });
+      pendingRepeat = null;
+    }
+
+    while (row.width < width && addedItems < maxItemsPerRow && items[nextItemIdx].type !== "year-divider") {
+      lastEntry = addEntryToRow(row, items[nextItemIdx], { repeatCount });
+      moveToNextItem();
+      addedItems++;
+    }
+
+    if (lastEntry
+      && lastEntry.item.type === "book"
+      && !lastEntry.isRepeat
+      && row.entries.length > 1
+      && items.length > 1
+      && items[nextItemIdx].type !== "year-divider"
+      && lastEntry.visibleRatio < CONFIG.MIN_BOTTOM_COVER_VISIBILITY) {
+      pendingRepeat = {
+        item: lastEntry.item,
+        repeatCount: lastEntry.repeatCount
+      };
+    }
+
+    return row;
+  };
+
+  const skipRows = count => {
+    for (let index = 0; index < count; index++) {
+      createNextRow();
+    }
+  };
+
+  // Items spliced in where the planner has not been yet come up in later rows
+  const insertItems = (at, count) => {
+    if (reverse ? at <= nextItemIdx : at < nextItemIdx) {
+      nextItemIdx += count;
+    }
+  };
+
+  return {
+    createNextRow,
+    skipRows,
+    insertItems,
+    getState() {
+      return {
+        nextItemIdx,
+        repeatCount,
+        hasPendingRepeat: pendingRepeat !== null,
+        reverse
+      };
+    }
+  };
+}
+
+/**
+ * Plan the columns that enter on the left of a wall scrolling right, starting before its leftmost column
+ * @param {Array<Object>} items - Items the wall lays out
+ * @param {number} height - Column height
+ * @param {(item: Object) => number} getItemHeight - Item height
+ * @param {Array<Object>} layouts - Column layouts on the wall, left to right
+ * @returns {Function} Next-column function with skipColumns, insertItems and getState
+ */
+export function createPreviousColumnLayouts(items, height, getItemHeight, layouts) {
+  const firstItem = layouts.find(layoutColumn => layoutColumn.entries.length > 0)?.entries[0].item;
+  const planner = createReverseColumnLayoutPlanner(items, height, getItemHeight, Math.max(0, items.indexOf(firstItem)));
+
+  return Object.assign(planner.createNextColumn, {
+    skipColumns: planner.skipColumns,
+    insertItems: planner.insertItems,
+    getState: planner.getState
+  });
+}
+
 export function createFiniteColumnLayouts(items, height, getItemHeight) {
   if (items.length === 0) {
     return [];
@@ -276,49 +693,74 @@ export function createFiniteColumnLayouts(items, height, getItemHeight) {
   return layout.columns.filter(column => column.entries.length > 0);
 }
 
-export function createWrapTransitionLayout(columnLayouts, items, height) {
-  const terminalEntry = columnLayouts.at(-1)?.entries.at(-1);
-
-  if (!terminalEntry || !shouldRepeatBottomBook(terminalEntry, items[0])) {
-    return null;
-  }
+/**
+ * Deal a wall's books out to parallax lanes in turn, so every lane runs through the whole shelf
+ * and no book is in two lanes. A lane gets its own copy of a divider before its first book of a group.
+ * Lanes grow at the end as the wall's items do, each time sync is called.
+ * @param {Array<Object>} items - Wall items, possibly still growing
+ * @param {number} laneCount - Number of lanes
+ * @returns {{lanes: Array<Array<Object>>, sync: () => void, insertItems: (at: number, count: number) => {lane: number, at: number, count: number}|null}}
+ *   Items of each lane, sharing the wall's book items, a callback that deals out items added since the last call,
+ *   and a callback for a book spliced into the wall's list, with its divider when it opens a group, that returns
+ *   where the book was spliced into a lane, or null when the next sync deals it out
+ */
+export function createItemLanes(items, laneCount) {
+  const lanes = Array.from({ length: laneCount }, () => []);
+  const laneDividers = new Array(laneCount).fill(null);
+  let divider = null;
+  let bookCount = 0;
+  let dealtCount = 0;
 
   return {
-    height: terminalEntry.height,
-    entries: [{
-      ...terminalEntry,
-      isRepeat: true,
-      top: 0,
-      visibleRatio: getVisibleRatioInColumn(0, terminalEntry.height, height)
-    }]
-  };
-}
-
-export function createTerminalColumnWindow(columnLayouts, visibleColumnCount, wrapTransitionLayout = null) {
-  if (columnLayouts.length === 0 || visibleColumnCount <= 0) {
-    return {
-      layouts: [],
-      animationLayouts: [],
-      nextColumnLayoutIndex: 0
-    };
-  }
+    lanes,
+    sync() {
+      for (; dealtCount < items.length; dealtCount++) {
+        const item = items[dealtCount];
+        if (item.type !== "book") {
+          divider = item;
+          continue;
+        }
 
-  const visibleLayouts = columnLayouts.slice(-visibleColumnCount);
-  const emptyLayouts = Array.from(
-    { length: visibleColumnCount - visibleLayouts.length },
-    () => ({ height: 0, entries: [] })
-  );
-  const bufferLayout = wrapTransitionLayout || columnLayouts[0];
-  const animationLayouts = wrapTransitionLayout
-    ? [...columnLayouts, wrapTransitionLayout]
-    : columnLayouts;
+        const lane = bookCount++ % laneCount;
+        if (divider && laneDividers[lane] !== divider) {
+          lanes[lane].push({ ...divider });
+          laneDividers[lane] = divider;
+        }
+        lanes[lane].push(item);
+      }
+    },
+    insertItems(at, count) {
+      if (at >= dealtCount) return null;
+      dealtCount += count;
+
+      // A late book joins the lane of the next book dealt out, just before it, or else follows the book
+      // before it, so the lane still runs through the shelf in order
+      const book = items[at + count - 1];
+      const nextBook = items.slice(at + count, dealtCount).find(item => item.type === "book");
+      const neighbor = nextBook ?? items.slice(0, at).findLast(item => item.type === "book");
+      const lane = neighbor ? lanes.findIndex(laneItems => laneItems.includes(neighbor)) : 0;
+      const laneItems = lanes[lane];
+      const groupDivider = items.slice(0, at + count - 1).findLast(item => item.type === "year-divider");
+
+      // Like the wall's list, the lane opens the book's group with a divider unless the book joins one
+      const nextBookAt = nextBook ? laneItems.indexOf(nextBook) : laneItems.length;
+      let laneAt = nextBookAt;
+      while (laneAt > 0 && laneItems[laneAt - 1].type === "year-divider") laneAt--;
+      const dividerAt = laneItems.slice(laneAt, nextBookAt).findIndex(divider => divider.year === groupDivider?.year);
+      const laneGroup = laneItems.slice(0, laneAt).findLast(item => item.type === "year-divider");
+      let inserted = [book];
+      if (groupDivider && dividerAt !== -1) {
+        laneAt += dividerAt + 1;
+      } else if (groupDivider && laneGroup?.year !== groupDivider.year) {
+        inserted = [{ ...groupDivider }, book];
+      }
 
-  return {
-    layouts: [...emptyLayouts, ...visibleLayouts, bufferLayout],
-    animationLayouts,
-    nextColumnLayoutIndex: wrapTransitionLayout
-      ? 0
-      : columnLayouts.length > 1 ? 1 : 0
+      laneItems.splice(laneAt, 0, ...inserted);
+      if (!nextBook && groupDivider) {
+        laneDividers[lane] = groupDivider;
+      }
+      return { lane, at: laneAt, count: inserted.length };
+    }
   };
 }
 
@@ -349,8 +791,20 @@ function shouldMoveYearDividerToNextColumn(columnHeight, item, nextItem, height,
  * Cover flow renderer with virtual scrolling and efficient DOM management
  */
 export class CoverFlowRenderer {
-  constructor(coverFlowElement) {
+  /**
+   * @param {HTMLElement} coverFlowElement - Wall container
+   * @param {Object} [options] - Wall options
+   * @param {string} [options.sort] - Goodreads sort key that picks the dividers
+   * @param {string|null} [options.group] - Group mode that overrides the sort's dividers
+   * @param {string} [options.layout] - 'columns' for walls scrolling sideways, 'rows' for walls scrolling vertically
+   */
+  constructor(coverFlowElement, { sort = CONFIG.DEFAULT_SORT, group = null, layout = 'columns' } = {}) {
     this.coverFlow = coverFlowElement;
+    this.grouping = getDividerGrouping(sort, group);
+    this.layout = layout;
+    if (layout === 'rows') {
+      this.coverFlow.classList?.add(CSS_CLASSES.COVER_FLOW_ROWS);
+    }
     this.imageCache = new Map();
     this.elementPool = {
       columns: [],
@@ -358,28 +812,36 @@ export class CoverFlowRenderer {
       yearTags: []
     };
     this.cachedCalculations = new Map();
+    // Renderers of the lanes of a parallax wall
+    this.laneRenderers = [];
   }
 
   /**
-   * Create enhanced book items with year dividers (cached)
+   * Create a wall item list that grows while covers load. Books are appended in reading order,
+   * and only once every book before them has settled, so items only ever grow at the end and
+   * a layout planner that already holds the list can keep pulling from it.
+   * @param {Array<Object>} books - Books in shelf order
+   * @param {Array<HTMLImageElement|null>} [images] - Covers known up front; decides whether undated books get an n.a. divider
+   * @returns {{items: Array<Object>, order: number[], addCover: (index: number, image: HTMLImageElement|null) => void, isComplete: () => boolean, getLoadOrder: (fromBookIndex?: number) => number[], addRetriedCover: (index: number, image: HTMLImageElement) => {item: Object, at: number, count: number}|null}}
+   *   Items so far, the book indexes in reading order, a callback for each settled cover, whether every book has settled,
+   *   the order to load covers in for a wall scrolling from a given book, and a callback for a cover that loaded on a retry
    */
-  createBookItemsWithYearDividers(books, images) {
-    const cacheKey = `items-${books.length}-${images.length}`;
-    if (this.cachedCalculations.has(cacheKey)) {
-      return this.cachedCalculations.get(cacheKey);
-    }
-
+  createBookItemStream(books, images = null) {
     const items = [];
+    const order = this.grouping === "interleave"
+      ? getInterleavedReaderOrder(books)
+      : books.map((book, idx) => idx);
+    const hasDatedBooks = books.some((book, idx) => (!images || images[idx]) && this.getDividerLabel(book) !== null);
+    const settledCovers = new Map();
+    const orderPositions = new Map(order.map((idx, orderPosition) => [idx, orderPosition]));
+    let position = 0;
     let lastYear = null;
-    const hasDatedBooks = books.some((book, idx) => images[idx] && this.extractYearFromBook(book) !== null);
 
-    // Use for loop for better performance than forEach
-    for (let idx = 0; idx < books.length; idx++) {
-      const book = books[idx];
-      const img = images[idx];
-      if (!img) continue;
+    const getLabel = book => this.getDividerLabel(book) ?? (hasDatedBooks ? UNKNOWN_GROUP_LABEL : null);
 
-      const currentYear = this.extractYearFromBook(book) ?? (hasDatedBooks ? UNKNOWN_READ_YEAR : null);
+    const appendBook = (idx, img) => {
+      const book = books[idx];
+      const currentYear = getLabel(book);
 
       // Add year divider if year changed
       if (currentYear !== null && currentYear !== lastYear) {
@@ -397,30 +859,113 @@ export class CoverFlowRenderer {
         image: img,
         index: idx
       });
-    }
+    };
+
+    return {
+      items,
+      order,
+      addCover(index, image) {
+        settledCovers.set(index, image);
+
+        while (position < order.length && settledCovers.has(order[position])) {
+          const idx = order[position++];
+          const img = settledCovers.get(idx);
+          settledCovers.delete(idx);
+          if (img) appendBook(idx, img);
+        }
+      },
+      isComplete() {
+        return position >= order.length;
+      },
+      getLoadOrder(fromBookIndex) {
+        // Covers scroll in reading order and the wall loops, so the books after the scroll position come first
+        const start = Math.max(0, order.indexOf(fromBookIndex));
+        return [...order.slice(start), ...order.slice(0, start)];
+      },
+      addRetriedCover(index, image) {
+        // A book the list has not reached yet simply settles late
+        if (!orderPositions.has(index) || orderPositions.get(index) >= position) return null;
+
+        const existingAt = items.findIndex(item => item.type === 'book' && item.index === index);
+        if (existingAt !== -1) {
+          return { item: items[existingAt], at: existingAt, count: 0 };
+        }
+
+        // Splice the book in before the next book in reading order and the dividers that lead up to it,
+        // joining a group already on the list or opening a new one
+        const orderPosition = orderPositions.get(index);
+        const nextBookAt = items.findIndex(item => item.type === 'book' && orderPositions.get(item.index) > orderPosition);
+        const groupEnd = nextBookAt === -1 ? items.length : nextBookAt;
+        let at = groupEnd;
+        while (at > 0 && items[at - 1].type === 'year-divider') at--;
+
+        const label = getLabel(books[index]);
+        const item = { type: 'book', book: books[index], image, index };
+        const dividerAt = items.slice(at, groupEnd).findIndex(divider => divider.year === label);
+        const previousItem = items[at - 1];
+
+        if (dividerAt !== -1) {
+          at += dividerAt + 1;
+          items.splice(at, 0, item);
+          return { item, at, count: 1 };
+        }
+        if (label === null || (previousItem && getLabel(previousItem.book) === label)) {
+          items.splice(at, 0, item);
+          return { item, at, count: 1 };
+        }
 
-    // Cache the result
-    this.cachedCalculations.set(cacheKey, items);
-    return items;
+        items.splice(at, 0, { type: 'year-divider', year: label }, item);
+        if (at + 2 === items.length) lastYear = label;
+        return { item, at, count: 2 };
+      }
+    };
+  }
+
+  /**
+   * Get the divider label for a book under the active grouping
+   * @returns {number|string|null} Divider label, or null when the book has nothing to group by
+   */
+  getDividerLabel(book) {
+    switch (this.grouping) {
+      case "read-year":
+        return this.extractYearFromBook(book);
+      case "added-year":
+        return this.extractYearFromBook(book, "date_added");
+      case "rating":
+        return getRatingLabel(book.user_rating);
+      case "average-rating":
+        return getAverageRatingLabel(book.average_rating);
+      case "author-initial":
+        return getInitialLabel(getAuthorSortName(book.author_name));
+      case "title-initial":
+        return getInitialLabel(getTitleSortName(book.title));
+      case "shelf":
+        return book.source_shelves?.[0] ?? null;
+      case "reader":
+        return book.reader_name ?? book.reader_id ?? null;
+      default:
+        return null;
+    }
   }
 
   /**
-   * Extract year from book's read_at date with caching
+   * Extract year from one of the book's dates (read_at by default) with caching
    */
-  extractYearFromBook(book) {
-    if (!book.read_at) return null;
+  extractYearFromBook(book, field = "read_at") {
+    const value = book[field];
+    if (!value) return null;
 
-    const cacheKey = `year-${book.read_at}`;
+    const cacheKey = `year-${value}`;
     if (this.cachedCalculations.has(cacheKey)) {
       return this.cachedCalculations.get(cacheKey);
     }
 
     let year = null;
     try {
-      const date = new Date(book.read_at);
+      const date = new Date(value);
       year = !isNaN(date.getTime()) ? date.getFullYear() : null;
     } catch (e) {
-      console.warn("Error parsing read_at for year divider:", book.title, book.read_at, e);
+      console.warn(`Error parsing ${field} for year divider:`, book.title, value, e);
     }
 
     this.cachedCalculations.set(cacheKey, year);
@@ -481,10 +1026,6 @@ export class CoverFlowRenderer {
     return yearTag;
   }
 
-  setBookCoverReadAt(imgNode, item) {
-    imgNode.setAttribute("data-read-at", item.book.read_at || "");
-  }
-
   /**
    * Create a book cover image element with optimizations
    */
@@ -512,6 +1053,10 @@ export class CoverFlowRenderer {
       imgNode.removeAttribute('style');
       imgNode.onload = null;
       imgNode.onerror = null;
+      // Rows size covers by height; only columns narrow low-resolution ones
+      if (this.layout !== 'rows') {
+        applyCoverDisplayWidth(imgNode, item.book);
+      }
 
       // Cache optimized image
       if (repeats === 0 && !this.imageCache.has(cacheKey)) {
@@ -519,22 +1064,22 @@ export class CoverFlowRenderer {
       }
     }
 
-    this.setBookCoverReadAt(imgNode, item);
+    setBookCoverData(imgNode, item);
     return imgNode;
   }
 
   /**
    * Calculate scaled height with caching
    */
-  calculateScaledHeight(image, itemIndex) {
-    const cacheKey = `height-${itemIndex}-${image.naturalWidth}-${image.naturalHeight}`;
+  calculateScaledHeight(image, itemIndex, displayWidth = CONFIG.COLUMN_WIDTH) {
+    const cacheKey = `height-${itemIndex}-${image.naturalWidth}-${image.naturalHeight}-${displayWidth}`;
 
     if (this.cachedCalculations.has(cacheKey)) {
       return this.cachedCalculations.get(cacheKey);
     }
 
     const height = Math.min(
-      image.naturalHeight * (CONFIG.COLUMN_WIDTH / image.naturalWidth),
+      image.naturalHeight * (displayWidth / image.naturalWidth),
       CONFIG.MAX_IMAGE_HEIGHT
     );
 
@@ -568,37 +1113,23 @@ export class CoverFlowRenderer {
     }
 
     if (item.type === "book") {
-      return this.calculateScaledHeight(item.image, item.index);
+      return this.calculateScaledHeight(item.image, item.index, getCoverDisplayWidth(item.book));
     }
 
     return 0;
   }
 
   /**
-   * Fill columns with optimized batching and virtual scrolling
+   * Width of a book cover at the row height, for the rows layout
    */
-  fillColumns(columns, items, height, startItemIdx = 0) {
-    const layout = createColumnLayout(
-      columns.length,
-      items,
-      height,
-      startItemIdx,
-      item => this.getItemHeight(item)
-    );
-    const fragments = columns.map(() => document.createDocumentFragment());
-
-    layout.columns.forEach((layoutColumn, colIdx) => {
-      layoutColumn.entries.forEach(entry => {
-        this.addItemToColumn(columns[colIdx], entry, fragments[colIdx]);
-      });
-    });
-
-    // Batch append all fragments
-    columns.forEach((col, index) => {
-      col.div.appendChild(fragments[index]);
-    });
+  getItemWidth(item) {
+    const { naturalWidth, naturalHeight } = item.image ?? {};
+    if (!(naturalWidth > 0) || !(naturalHeight > 0)) {
+      return Math.round(CONFIG.ROW_HEIGHT * 2 / 3);
+    }
 
-    return layout.nextItemIdx;
+    // Covers wider than square are cropped to a square, as tall covers are capped in columns
+    return Math.min(CONFIG.ROW_HEIGHT, Math.round(CONFIG.ROW_HEIGHT * naturalWidth / naturalHeight));
   }
 
   populateColumnsFromLayouts(columns, layouts) {
@@ -616,39 +1147,259 @@ export class CoverFlowRenderer {
   }
 
   /**
-   * Render the wall with all optimizations
+   * Replace the wall's columns with ones built from planned layouts
    */
-  renderWall(books, images, width, height) {
+  mountColumnLayouts(layouts) {
     // Clear container efficiently
     while (this.coverFlow.firstChild) {
       this.coverFlow.removeChild(this.coverFlow.firstChild);
     }
 
-    const visibleColumnCount = Math.ceil(width / CONFIG.COLUMN_WIDTH);
-    const items = this.createBookItemsWithYearDividers(books, images);
-    const terminalWindow = createContinuousColumnWindow(
-      items,
-      height,
-      item => this.getItemHeight(item),
-      visibleColumnCount
-    );
-    const columns = this.createColumns(terminalWindow.layouts.length);
-    this.populateColumnsFromLayouts(columns, terminalWindow.layouts);
+    const columns = this.createColumns(layouts.length);
+    this.populateColumnsFromLayouts(columns, layouts);
 
     // Batch append columns using document fragment
     const fragment = document.createDocumentFragment();
     columns.forEach(col => fragment.appendChild(col.div));
     this.coverFlow.appendChild(fragment);
 
+    return columns;
+  }
+
+  /**
+   * Check whether the covers loaded so far fill the viewport plus the look-ahead columns
+   * @param {Array<Object>} items - Items from a book item stream
+   * @param {number} width - Viewport width
+   * @param {number} height - Viewport height
+   * @returns {boolean} True when a progressive wall can start
+   */
+  canStartProgressiveWall(items, width, height) {
+    if (this.layout === 'rows') {
+      return this.canStartProgressiveRowWall(items, width, height);
+    }
+
+    const requiredColumnCount = Math.ceil(width / CONFIG.COLUMN_WIDTH) + CONFIG.PROGRESSIVE_LOOKAHEAD_COLUMNS;
+    const columnLayouts = createFiniteColumnLayouts(items, height, item => this.getItemHeight(item));
+    // The last planned column may still be waiting for covers
+    return columnLayouts.length > requiredColumnCount;
+  }
+
+  /**
+   * Render the wall from the first item of a list that is still growing. The wall opens on
+   * the start of the shelf, and later columns are planned from whatever the list holds
+   * by the time they scroll in. If scrolling ever catches up with loading,
+   * the planner wraps to the first book as it does at the end of a complete shelf.
+   * @param {Array<Object>} items - Items from a book item stream
+   * @param {number} width - Viewport width
+   * @param {number} height - Viewport height
+   * @param {number} [startItemIdx] - Item to open the wall on, such as where a wall rebuilt on resize left off
+   */
+  renderProgressiveWall(items, width, height, startItemIdx = 0) {
+    if (this.layout === 'rows') {
+      return this.renderRowWall(items, width, height, startItemIdx);
+    }
+
+    const visibleColumnCount = Math.ceil(width / CONFIG.COLUMN_WIDTH);
+    const planner = createContinuousColumnLayoutPlanner(items, height, item => this.getItemHeight(item), startItemIdx);
+    const layouts = Array.from({ length: visibleColumnCount + 1 }, () => planner.createNextColumn());
+    const columns = this.mountColumnLayouts(layouts);
+
     return {
       columns,
       items,
-      columnLayouts: terminalWindow.getNextColumnLayout,
+      columnLayouts: Object.assign(planner.createNextColumn, {
+        skipColumns: planner.skipColumns,
+        insertItems: planner.insertItems,
+        getState: planner.getState
+      }),
+      previousColumnLayouts: createPreviousColumnLayouts(items, height, item => this.getItemHeight(item), layouts),
       nextColumnLayoutIndex: 0,
       colWidth: CONFIG.COLUMN_WIDTH
     };
   }
 
+  /**
+   * Check whether the covers loaded so far fill the viewport plus the look-ahead rows
+   * @param {Array<Object>} items - Items from a book item stream
+   * @param {number} width - Viewport width
+   * @param {number} height - Viewport height
+   * @returns {boolean} True when a progressive rows wall can start
+   */
+  canStartProgressiveRowWall(items, width, height) {
+    const requiredHeight = height + CONFIG.ROW_HEIGHT * CONFIG.PROGRESSIVE_LOOKAHEAD_ROWS;
+    const planner = createContinuousRowLayoutPlanner(items, width, item => this.getItemWidth(item));
+    let plannedHeight = 0;
+
+    // Rows that reach the end of the list may still be waiting for covers
+    for (let rowCount = 0; rowCount < items.length; rowCount++) {
+      const row = planner.createNextRow();
+      if (planner.getState().repeatCount > 0) {
+        return false;
+      }
+
+      plannedHeight += row.height;
+      if (plannedHeight > requiredHeight) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Render a wall of rows that scrolls vertically, opening on an item. Like a columns wall, it
+   * fills the viewport plus a row's height below it, and rows after that are planned as they scroll in.
+   * The render result matches the columns wall's, with rows in place of columns.
+   * @param {Array<Object>} items - Items to lay out, possibly still growing
+   * @param {number} width - Viewport width
+   * @param {number} height - Viewport height
+   * @param {number} [startItemIdx] - Item to open the wall on
+   */
+  renderRowWall(items, width, height, startItemIdx = 0) {
+    const getItemWidth = item => this.getItemWidth(item);
+    const planner = createContinuousRowLayoutPlanner(items, width, getItemWidth, startItemIdx);
+    const layouts = [];
+    let rowsHeight = 0;
+
+    while (rowsHeight < height + CONFIG.ROW_HEIGHT && layouts.length <= items.length * CONFIG.MAX_REPEATS) {
+      const row = planner.createNextRow();
+      layouts.push(row);
+      rowsHeight += row.height;
+    }
+
+    const firstItem = layouts.find(row => row.entries.length > 0)?.entries[0].item;
+    const previousPlanner = createContinuousRowLayoutPlanner(
+      items,
+      width,
+      getItemWidth,
+      Math.max(0, items.indexOf(firstItem)),
+      { reverse: true }
+    );
+
+    return {
+      columns: this.mountRowLayouts(layouts),
+      items,
+      columnLayouts: Object.assign(planner.createNextRow, {
+        skipColumns: planner.skipRows,
+        insertItems: planner.insertItems,
+        getState: planner.getState
+      }),
+      previousColumnLayouts: Object.assign(previousPlanner.createNextRow, {
+        skipColumns: previousPlanner.skipRows,
+        insertItems: previousPlanner.insertItems,
+        getState: previousPlanner.getState
+      }),
+      nextColumnLayoutIndex: 0
+    };
+  }
+
+  /**
+   * Replace the wall's content with rows built from planned layouts
+   * @returns {Array<{div: HTMLElement, height: number}>} Mounted rows, top to bottom
+   */
+  mountRowLayouts(layouts) {
+    while (this.coverFlow.firstChild) {
+      this.coverFlow.removeChild(this.coverFlow.firstChild);
+    }
+
+    const fragment = document.createDocumentFragment();
+    const rows = layouts.map(layoutRow => {
+      const row = { div: this.createOptimizedElement('div', getLayoutLineClassName(layoutRow)), height: 0 };
+      layoutRow.entries.forEach(entry => this.addItemToColumn(row, entry));
+      row.height = layoutRow.height;
+      fragment.appendChild(row.div);
+      return row;
+    });
+    this.coverFlow.appendChild(fragment);
+
+    return rows;
+  }
+
+  /**
+   * Size and stack the lanes of a parallax wall from back to front. Lanes share one unscaled
+   * height, so every lane holds as many covers down as the front one and its height on screen
+   * follows its scale.
+   * @param {number} laneCount - Lanes to stack, taken from the front of CONFIG.PARALLAX_LANES
+   * @param {number} width - Viewport width
+   * @param {number} height - Viewport height
+   * @returns {Array<Object>} Lane settings with the unscaled width and height to lay out and the top on screen
+   */
+  getParallaxLanes(laneCount, width, height) {
+    const lanes = CONFIG.PARALLAX_LANES.slice(-Math.max(1, laneCount));
+    const trackHeight = Math.round(height / lanes.reduce((total, lane) => total + lane.scale, 0));
+    let top = 0;
+
+    return lanes.map(lane => {
+      const laneTop = top;
+      top += trackHeight * lane.scale;
+      return { ...lane, width: Math.ceil(width / lane.scale), height: trackHeight, top: Math.round(laneTop) };
+    });
+  }
+
+  /**
+   * Check whether the covers loaded so far let every lane of a parallax wall start
+   * @param {Array<Array<Object>>} laneItems - Items of each lane, from createItemLanes
+   * @param {number} width - Viewport width
+   * @param {number} height - Viewport height
+   * @returns {boolean} True when a progressive parallax wall can start
+   */
+  canStartParallaxWall(laneItems, width, height) {
+    const lanes = this.getParallaxLanes(laneItems.length, width, height);
+    return lanes.every((lane, laneIdx) => this.canStartProgressiveWall(laneItems[laneIdx], lane.width, lane.height));
+  }
+
+  /**
+   * Render a parallax wall: lanes stacked top to bottom from back to front, each a columns wall of
+   * its own share of the books that opens on the lane's first item. A lane is laid out at full size
+   * and scaled down as a whole, and back lanes are blurred and dimmed.
+   * @param {Array<Array<Object>>} laneItems - Items of each lane, back to front, from createItemLanes
+   * @param {number} width - Viewport width
+   * @param {number} height - Viewport height
+   * @returns {Array<Object>} A render result per lane, back to front, with the lane's track element,
+   *   renderer, scale and share of the scroll speed
+   */
+  renderParallaxWall(laneItems, width, height) {
+    while (this.coverFlow.firstChild) {
+      this.coverFlow.removeChild(this.coverFlow.firstChild);
+    }
+    this.coverFlow.classList?.add(CSS_CLASSES.COVER_FLOW_PARALLAX);
+
+    const results = this.getParallaxLanes(laneItems.length, width, height).map((lane, laneIdx) => {
+      const element = this.createOptimizedElement('div', CSS_CLASSES.PARALLAX_LANE);
+      const track = this.createOptimizedElement('div', CSS_CLASSES.PARALLAX_TRACK);
+      Object.assign(element.style, {
+        top: `${lane.top}px`,
+        width: `${lane.width}px`,
+        height: `${lane.height}px`,
+        transform: `scale(${lane.scale})`,
+        filter: lane.blur > 0 || lane.brightness < 1 ? `blur(${lane.blur}px) brightness(${lane.brightness})` : '',
+        zIndex: String(laneIdx + 1)
+      });
+      element.appendChild(track);
+      this.coverFlow.appendChild(element);
+
+      const renderer = new CoverFlowRenderer(track);
+      return {
+        ...renderer.renderProgressiveWall(laneItems[laneIdx], lane.width, lane.height),
+        track,
+        renderer,
+        scale: lane.scale,
+        speed: lane.speed
+      };
+    });
+
+    this.laneRenderers = results.map(result => result.renderer);
+    return results;
+  }
+
+  /**
+   * Drop the cached element of a cover whose image was evicted
+   * @param {Object} item - Wall item
+   */
+  releaseCover(item) {
+    this.imageCache.delete(`${item.book.title}-${item.index}`);
+    this.laneRenderers.forEach(renderer => renderer.releaseCover(item));
+  }
+
   /**
    * Clean up resources and return elements to pool
    */
@@ -666,5 +1417,6 @@ export class CoverFlowRenderer {
     this.elementPool.columns = this.elementPool.columns.slice(0, 50);
     this.elementPool.images = this.elementPool.images.slice(0, 100);
     this.elementPool.yearTags = this.elementPool.yearTags.slice(0, 20);
+    this.laneRenderers.forEach(renderer => renderer.cleanup());
   }
 }
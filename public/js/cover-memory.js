@@ -0,0 +1,247 @@
+import { CONFIG } from "./config.js";
+
+/**
+ * Estimate the memory a decoded image takes
+ * @param {{naturalWidth?: number, naturalHeight?: number}} image - Image or cold stand-in
+ * @returns {number} Bytes at 4 bytes per pixel
+ */
+export function getDecodedBytes(image) {
+  return (image?.naturalWidth || 0) * (image?.naturalHeight || 0) * 4;
+}
+
+/**
+ * Stand-in for an evicted cover. It keeps the dimensions the layout needs, and clones into a
+ * fresh image element so a cover that comes back before it is decoded again still shows.
+ */
+function createColdCover(image) {
+  const { naturalWidth, naturalHeight, src } = image;
+  return {
+    naturalWidth,
+    naturalHeight,
+    src,
+    cloneNode() {
+      const clone = new Image();
+      clone.src = src;
+      return clone;
+    }
+  };
+}
+
+function decodeImage(image) {
+  if (typeof image.decode === "function") {
+    return image.decode().then(() => true, () => false);
+  }
+  return new Promise(resolve => {
+    image.onload = () => resolve(true);
+    image.onerror = () => resolve(false);
+  });
+}
+
+/**
+ * Memory budget for the decoded covers of one wall, evicting covers that scrolled off to cold stand-ins
+ */
+export class CoverMemoryBudget {
+  /**
+   * @param {Object} [options] - Budget options
+   * @param {number} [options.budgetBytes] - Decoded bytes to keep before evicting
+   * @param {number} [options.lookaheadItems] - Items ahead of the planner to keep decoded
+   * @param {(item: Object) => void} [options.onEvict] - Called after an item's cover is evicted, to drop cached clones
+   */
+  constructor({
+    budgetBytes = CONFIG.COVER_MEMORY_BUDGET_MB * 1024 * 1024,
+    lookaheadItems = CONFIG.COVER_DECODE_LOOKAHEAD_ITEMS,
+    onEvict = null
+  } = {}) {
+    this.budgetBytes = budgetBytes;
+    this.lookaheadItems = lookaheadItems;
+    this.onEvict = onEvict;
+    this.reset();
+  }
+
+  /**
+   * Forget the current wall's items
+   */
+  reset() {
+    this.items = [];
+    this.trackedCount = 0;
+    this.decodedBytes = 0;
+    this.coldItems = new Set();
+    this.warmingItems = new Set();
+  }
+
+  /**
+   * Count the decoded covers of a wall's items. Items grow at the end, as a book item stream does;
+   * items spliced in anywhere else go through insertItems.
+   * @param {Array<Object>} items - Wall items
+   */
+  trackItems(items) {
+    if (items !== this.items) {
+      this.reset();
+      this.items = items;
+    }
+
+    for (; this.trackedCount < items.length; this.trackedCount++) {
+      const item = items[this.trackedCount];
+      if (item.type === "book") {
+        this.decodedBytes += getDecodedBytes(item.image);
+      }
+    }
+  }
+
+  /**
+   * Wrap a layout planner's next-column function so every planned column keeps the covers ahead
+   * decoded and, over budget, evicts the off-screen covers that the looping wall reaches last
+   * @param {Array<Object>} items - Items the planner lays out
+   * @param {Function} getNextColumnLayout - Planner function with skipColumns and getState
+   * @param {number} windowColumnCount - Columns on screen at once
+   * @returns {Function} Next-column function with the same skipColumns, insertItems and getState
+   */
+  watchColumns(items, getNextColumnLayout, windowColumnCount) {
+    this.trackItems(items);
+    if (typeof getNextColumnLayout?.getState !== "function") {
+      return getNextColumnLayout;
+    }
+
+    // Item positions where each on-screen column starts, oldest first
+    const columnStarts = [];
+    // Planners running backwards, for walls scrolling right, reach earlier items next
+    const step = getNextColumnLayout.getState().reverse ? -1 : 1;
+
+    const createNextColumn = () => {
+      const columnStart = getNextColumnLayout.getState().nextItemIdx;
+      const layoutColumn = getNextColumnLayout();
+
+      columnStarts.push(columnStart);
+      if (columnStarts.length > windowColumnCount) {
+        columnStarts.shift();
+      }
+
+      this.trackItems(items);
+      // Until the first screen has scrolled off, nothing has left the window yet
+      const windowStart = columnStarts.length === windowColumnCount ? columnStarts[0] : null;
+      this.update(getNextColumnLayout.getState().nextItemIdx, windowStart, step);
+      return layoutColumn;
+    };
+
+    return Object.assign(createNextColumn, {
+      skipColumns: count => {
+        columnStarts.length = 0;
+        getNextColumnLayout.skipColumns?.(count);
+      },
+      insertItems: (at, count) => {
+        this.insertItems(at, count);
+        columnStarts.forEach((columnStart, index) => {
+          if (columnStart >= at) columnStarts[index] = columnStart + count;
+        });
+        getNextColumnLayout.insertItems?.(at, count);
+      },
+      getState: getNextColumnLayout.getState
+    });
+  }
+
+  /**
+   * Decode the covers ahead of the planner and evict behind the window while over budget
+   * @param {number} position - Next item the planner will place
+   * @param {number|null} windowStart - First item still on screen, or null to skip eviction
+   * @param {number} [step] - 1 for a planner that moves forward through the items, -1 for one that moves backwards
+   */
+  update(position, windowStart, step = 1) {
+    const count = this.items.length;
+    if (count === 0) return;
+
+    const itemAt = itemIdx => this.items[((itemIdx % count) + count) % count];
+    const lookahead = Math.min(this.lookaheadItems, count);
+    for (let offset = 0; offset < lookahead; offset++) {
+      this.warm(itemAt(position + step * offset));
+    }
+
+    if (windowStart === null) return;
+
+    // Walking back from the window reaches the covers that return last on a looping wall
+    const onScreenCount = ((step * (position - windowStart)) % count + count) % count;
+    const evictableCount = count - onScreenCount - lookahead;
+    for (let offset = 1; offset <= evictableCount && this.decodedBytes > this.budgetBytes; offset++) {
+      this.evict(itemAt(windowStart - step * offset));
+    }
+  }
+
+  /**
+   * Count items spliced into the tracked items
+   * @param {number} at - Position of the first new item
+   * @param {number} count - Number of new items
+   */
+  insertItems(at, count) {
+    // Items spliced in past the tracked ones are counted by the next trackItems
+    if (at > this.trackedCount) return;
+
+    this.items.slice(at, at + count).forEach(item => {
+      if (item.type === "book") {
+        this.decodedBytes += getDecodedBytes(item.image);
+      }
+    });
+    this.trackedCount += count;
+  }
+
+  /**
+   * Swap in a new decoded cover for an item, such as a cover that loaded on a retry
+   * @param {Object} item - Wall item
+   * @param {HTMLImageElement} image - New cover
+   */
+  replaceCover(item, image) {
+    if (this.coldItems.delete(item)) {
+      this.warmingItems.delete(item);
+    } else {
+      this.decodedBytes -= getDecodedBytes(item.image);
+    }
+    item.image = image;
+    this.decodedBytes += getDecodedBytes(image);
+  }
+
+  /**
+   * Replace an item's cover with a cold stand-in
+   * @param {Object} item - Wall item
+   */
+  evict(item) {
+    if (item.type !== "book" || this.coldItems.has(item)) return;
+
+    this.decodedBytes -= getDecodedBytes(item.image);
+    item.image = createColdCover(item.image);
+    this.coldItems.add(item);
+    this.onEvict?.(item);
+  }
+
+  /**
+   * Decode an evicted cover again and swap it back in once it is ready
+   * @param {Object} item - Wall item
+   */
+  warm(item) {
+    if (!this.coldItems.has(item) || this.warmingItems.has(item)) return;
+
+    const coldCover = item.image;
+    const coldItems = this.coldItems;
+    const image = new Image();
+    this.warmingItems.add(item);
+    image.src = coldCover.src;
+
+    decodeImage(image).then(decoded => {
+      // A reset while decoding makes this result stale
+      if (this.coldItems !== coldItems) return;
+
+      this.warmingItems.delete(item);
+      // A cover replaced while decoding is already warm
+      if (!decoded || item.image !== coldCover) return;
+
+      this.coldItems.delete(item);
+      item.image = image;
+      this.decodedBytes += getDecodedBytes(image);
+    });
+  }
+
+  /**
+   * Get the decoded bytes currently held
+   * @returns {number} Bytes
+   */
+  getDecodedBytes() {
+    return this.decodedBytes;
+  }
+}
@@ -0,0 +1,112 @@
+import { CONFIG } from "./config.js";
+
+// Height to width of a typical trade paperback (6" x 9")
+const COVER_ASPECT_RATIO = 3 / 2;
+
+function hashString(text) {
+  let hash = 2166136261;
+  for (let index = 0; index < text.length; index++) {
+    hash = Math.imul(hash ^ text.charCodeAt(index), 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Pick a book's cover colors and size
+ * @param {Object} book - Book with book_id (or a title when it has no ID)
+ * @param {number} [width] - Cover width in pixels
+ * @returns {{hue: number, width: number, height: number, background: string, accent: string, text: string}} Cover style
+ */
+export function getCoverStyle(book, width = CONFIG.COLUMN_WIDTH) {
+  const hue = hashString(String(book.book_id ?? book.title ?? "")) % 360;
+
+  return {
+    hue,
+    width,
+    height: Math.round(width * COVER_ASPECT_RATIO),
+    background: `hsl(${hue}, 45%, 28%)`,
+    accent: `hsl(${(hue + 35) % 360}, 70%, 62%)`,
+    text: "#f5f0e6"
+  };
+}
+
+/**
+ * Break text into lines that fit a width, ending with an ellipsis when it needs more lines
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Line width in pixels
+ * @param {(line: string) => number} measure - Measures a line's width in pixels
+ * @param {number} maxLines - Maximum number of lines
+ * @returns {string[]} Lines
+ */
+export function wrapLines(text, maxWidth, measure, maxLines) {
+  const words = String(text ?? "").trim().split(/\s+/).filter(Boolean);
+  const lines = [];
+
+  words.forEach(word => {
+    const current = lines.at(-1);
+    if (current !== undefined && measure(`${current} ${word}`) <= maxWidth) {
+      lines[lines.length - 1] = `${current} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  });
+
+  if (lines.length <= maxLines) {
+    return lines;
+  }
+
+  const kept = lines.slice(0, maxLines);
+  let last = `${kept[maxLines - 1]}…`;
+  while (last.length > 1 && measure(last) > maxWidth) {
+    last = `${last.slice(0, -2)}…`;
+  }
+  kept[maxLines - 1] = last;
+  return kept;
+}
+
+/**
+ * Draw a placeholder cover for a book: its title and author on a background colored by its book ID
+ * @param {Object} book - Book with title and author_name
+ * @param {Object} [options] - Drawing options
+ * @param {number} [options.width] - Cover width in pixels
+ * @returns {string} PNG data URL of the cover
+ */
+export function synthesizeCover(book, { width = CONFIG.COLUMN_WIDTH } = {}) {
+  const style = getCoverStyle(book, width);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = style.height;
+
+  const context = canvas.getContext("2d");
+  const padding = Math.round(width * 0.1);
+  const textWidth = width - padding * 2;
+
+  const gradient = context.createLinearGradient(0, 0, width, style.height);
+  gradient.addColorStop(0, style.background);
+  gradient.addColorStop(1, `hsl(${style.hue}, 50%, 16%)`);
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, width, style.height);
+
+  // Spine shading and a rule under the title, like a printed cover
+  context.fillStyle = "rgba(0, 0, 0, 0.25)";
+  context.fillRect(0, 0, Math.round(width * 0.04), style.height);
+  context.fillStyle = style.accent;
+  context.fillRect(padding, Math.round(style.height * 0.58), textWidth, 2);
+
+  context.fillStyle = style.text;
+  context.textBaseline = "top";
+  context.font = `600 ${Math.round(width * 0.1)}px Georgia, "Times New Roman", serif`;
+  const titleLineHeight = Math.round(width * 0.125);
+  wrapLines(book.title, textWidth, line => context.measureText(line).width, 4).forEach((line, index) => {
+    context.fillText(line, padding, padding * 1.5 + index * titleLineHeight);
+  });
+
+  context.fillStyle = style.accent;
+  context.font = `${Math.round(width * 0.07)}px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
+  const authorLineHeight = Math.round(width * 0.09);
+  wrapLines(book.author_name, textWidth, line => context.measureText(line).width, 2).forEach((line, index) => {
+    context.fillText(line, padding, Math.round(style.height * 0.62) + index * authorLineHeight);
+  });
+
+  return canvas.toDataURL("image/png");
+}
@@ -0,0 +1,83 @@
+const TITLE_OPENINGS = ["The", "A", "Beyond the", "Under the", "Letters from the", "Songs of the", "Return to the", "Notes on the"];
+const TITLE_ADJECTIVES = [
+  "Silent", "Hidden", "Northern", "Last", "Glass", "Burning", "Quiet", "Endless", "Crimson", "Paper",
+  "Winter", "Distant", "Forgotten", "Golden", "Salt", "Hollow", "Electric", "Wandering", "Borrowed", "Lantern"
+];
+const TITLE_NOUNS = [
+  "Orchard", "Harbor", "Cartographer", "Garden", "River", "Archive", "Lighthouse", "Kingdom", "Station", "Atlas",
+  "Choir", "Meridian", "Observatory", "Tide", "Library", "Island", "Engine", "Circus", "Valley", "Clockmaker"
+];
+const AUTHOR_FIRST_NAMES = [
+  "Ada", "Miro", "Selma", "Jonas", "Ines", "Tomas", "Leila", "Oskar", "Vera", "Kenji",
+  "Amara", "Felix", "Noor", "Emil", "Rosa", "Idris", "Hanna", "Luca", "Mei", "Pavel"
+];
+const AUTHOR_LAST_NAMES = [
+  "Lindqvist", "Okafor", "Marchetti", "Novak", "Haddad", "Brennan", "Sato", "Oyelaran", "Castell", "Weiss",
+  "Albescu", "Quint", "Moreau", "Kaur", "Halloran", "Varga", "Nakamura", "Duarte", "Fenwick", "Ibsen"
+];
+
+const FIRST_YEAR = 2010;
+const YEAR_COUNT = 16;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Small seeded pseudo-random generator (mulberry32) so every demo launch shows the same shelf
+ * @param {number} seed - Seed
+ * @returns {() => number} Random source in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(random, values) {
+  return values[Math.floor(random() * values.length)];
+}
+
+/**
+ * Generate the demo=1 shelf, in the book schema the API returns but without cover image URLs
+ * @param {Object} [options] - Generator options
+ * @param {number} [options.count] - Number of books
+ * @param {number} [options.seed] - Random seed
+ * @returns {Array<Object>} Books read over the years in roughly chronological order; a few have no read date
+ */
+export function createDemoBooks({ count = 320, seed = 1 } = {}) {
+  const random = createRandom(seed);
+  const books = [];
+
+  for (let index = 0; index < count; index++) {
+    const readYear = FIRST_YEAR + Math.floor(index / count * YEAR_COUNT);
+    const readAt = new Date(Date.UTC(readYear, 0, 1) + Math.floor(random() * 365) * DAY_MS);
+    const addedAt = new Date(readAt.getTime() - Math.floor(random() * 400) * DAY_MS);
+    // A few books were never given a read date, as on real shelves
+    const hasReadDate = random() > 0.03;
+
+    books.push({
+      book_id: 900000 + index,
+      title: `${pick(random, TITLE_OPENINGS)} ${pick(random, TITLE_ADJECTIVES)} ${pick(random, TITLE_NOUNS)}`,
+      author_name: `${pick(random, AUTHOR_FIRST_NAMES)} ${pick(random, AUTHOR_LAST_NAMES)}`,
+      author_url: null,
+      image_url: "",
+      image_url_medium: "",
+      image_url_small: "",
+      read_at: hasReadDate ? readAt.toISOString() : null,
+      date_added: addedAt.toISOString(),
+      user_rating: Math.floor(random() * 6),
+      average_rating: Math.round((3 + random() * 1.8) * 100) / 100,
+      num_pages: 120 + Math.floor(random() * 600),
+      book_published: 1900 + Math.floor(random() * 125),
+      isbn: "",
+      user_review: "",
+      user_shelves: [],
+      book_description: ""
+    });
+  }
+
+  return books;
+}
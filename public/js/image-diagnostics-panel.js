@@ -0,0 +1,206 @@
+/**
+ * Diagnostics panel for debug=images launches: a sortable table of the image loader's
+ * per-cover report over the wall, with a JSON download for bug reports.
+ */
+
+const COLUMNS = [
+  { key: "index", label: "#" },
+  { key: "title", label: "Title" },
+  { key: "outcome", label: "Outcome" },
+  { key: "host", label: "Host" },
+  { key: "source", label: "Shown" },
+  { key: "elapsedMs", label: "ms" },
+  { key: "naturalWidth", label: "Size" },
+  { key: "retries", label: "Retries" }
+];
+
+// Rebuilding a table of thousands of rows on every loaded cover would starve the animation
+const RENDER_INTERVAL_MS = 500;
+
+/**
+ * Sort report records by a column; empty values sort last in either direction
+ * @param {Array<Object>} records - Image report records
+ * @param {string} key - Record field
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortImageReport(records, key, direction = 1) {
+  return [...records].sort((a, b) => {
+    const left = a[key];
+    const right = b[key];
+    if (left === right) return a.index - b.index;
+    if (left === null || left === undefined || left === "") return 1;
+    if (right === null || right === undefined || right === "") return -1;
+
+    const comparison = typeof left === "number" && typeof right === "number"
+      ? left - right
+      : String(left).localeCompare(String(right));
+    return comparison * direction;
+  });
+}
+
+/**
+ * Count report records by outcome and by the source shown
+ * @param {Array<Object>} records - Image report records
+ * @returns {{total: number, outcomes: Object<string, number>, sources: Object<string, number>}} Counts
+ */
+export function summarizeImageReport(records) {
+  const summary = { total: records.length, outcomes: {}, sources: {} };
+
+  records.forEach(record => {
+    const source = record.source ?? "none";
+    summary.outcomes[record.outcome] = (summary.outcomes[record.outcome] ?? 0) + 1;
+    summary.sources[source] = (summary.sources[source] ?? 0) + 1;
+  });
+
+  return summary;
+}
+
+function formatCounts(counts) {
+  return Object.entries(counts).map(([name, count]) => `${name} ${count}`).join(", ");
+}
+
+/**
+ * Image loading diagnostics panel
+ */
+export class ImageDiagnosticsPanel {
+  /**
+   * @param {() => Array<Object>} getReport - Returns the image loader's current report
+   */
+  constructor(getReport) {
+    this.getReport = getReport;
+    this.sortKey = "index";
+    this.sortDirection = 1;
+    this.renderTimeoutId = null;
+    this.element = null;
+    this.summaryElement = null;
+    this.headerRow = null;
+    this.body = null;
+  }
+
+  /**
+   * Add the panel to the page
+   * @param {HTMLElement} [parent] - Element to add the panel to
+   */
+  mount(parent = document.body) {
+    this.element = document.createElement("section");
+    this.element.className = "image-diagnostics";
+
+    const toolbar = document.createElement("div");
+    toolbar.className = "image-diagnostics-toolbar";
+    this.summaryElement = document.createElement("span");
+    const downloadButton = document.createElement("button");
+    downloadButton.type = "button";
+    downloadButton.textContent = "Download JSON";
+    downloadButton.addEventListener("click", () => this.download());
+    toolbar.append(this.summaryElement, downloadButton);
+
+    const table = document.createElement("table");
+    const head = document.createElement("thead");
+    this.headerRow = document.createElement("tr");
+    COLUMNS.forEach(column => {
+      const cell = document.createElement("th");
+      cell.dataset.key = column.key;
+      cell.addEventListener("click", () => this.sortBy(column.key));
+      this.headerRow.appendChild(cell);
+    });
+    head.appendChild(this.headerRow);
+    this.body = document.createElement("tbody");
+    table.append(head, this.body);
+
+    this.element.append(toolbar, table);
+    parent.appendChild(this.element);
+    this.render();
+  }
+
+  /**
+   * Sort by a column, or flip the direction when it is already the sort column
+   * @param {string} key - Record field
+   */
+  sortBy(key) {
+    this.sortDirection = key === this.sortKey ? -this.sortDirection : 1;
+    this.sortKey = key;
+    this.render();
+  }
+
+  /**
+   * Schedule a render with the latest report
+   */
+  refresh() {
+    if (!this.element || this.renderTimeoutId !== null) return;
+
+    this.renderTimeoutId = setTimeout(() => {
+      this.renderTimeoutId = null;
+      this.render();
+    }, RENDER_INTERVAL_MS);
+  }
+
+  /**
+   * Rebuild the summary and table from the current report
+   */
+  render() {
+    if (!this.element) return;
+
+    const records = this.getReport();
+    const summary = summarizeImageReport(records);
+    this.summaryElement.textContent = `${summary.total} covers · ${formatCounts(summary.outcomes)} · shown: ${formatCounts(summary.sources)}`;
+
+    Array.from(this.headerRow.children).forEach((cell, index) => {
+      const column = COLUMNS[index];
+      const marker = column.key === this.sortKey ? (this.sortDirection === 1 ? " ▲" : " ▼") : "";
+      cell.textContent = column.label + marker;
+    });
+
+    const rows = document.createDocumentFragment();
+    sortImageReport(records, this.sortKey, this.sortDirection).forEach(record => {
+      const row = document.createElement("tr");
+      row.className = `outcome-${record.outcome}`;
+      [
+        record.index + 1,
+        record.title,
+        record.outcome,
+        record.host ?? "",
+        record.source ?? "none",
+        record.elapsedMs,
+        record.naturalWidth ? `${record.naturalWidth}×${record.naturalHeight}` : "",
+        record.retries
+      ].forEach(value => {
+        const cell = document.createElement("td");
+        cell.textContent = String(value);
+        row.appendChild(cell);
+      });
+      rows.appendChild(row);
+    });
+    this.body.replaceChildren(rows);
+  }
+
+  /**
+   * Save the report as a JSON file
+   */
+  download() {
+    const records = this.getReport();
+    const report = {
+      generatedAt: new Date().toISOString(),
+      devicePixelRatio: window.devicePixelRatio ?? 1,
+      userAgent: navigator.userAgent,
+      summary: summarizeImageReport(records),
+      records
+    };
+    const url = URL.createObjectURL(new Blob([JSON.stringify(report, null, 2)], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `cover-flow-images-${report.generatedAt.slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Remove the panel and stop pending renders
+   */
+  destroy() {
+    clearTimeout(this.renderTimeoutId);
+    this.renderTimeoutId = null;
+    this.element?.remove();
+    this.element = null;
+  }
+}
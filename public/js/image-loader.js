@@ -1,88 +1,275 @@
 import { CONFIG } from "./config.js";
 
 /**
- * Adjust Goodreads image URLs to use configured column width
+ * Pick the cover width to request for a screen's pixel ratio
+ * @param {number} pixelRatio - Device pixels per CSS pixel
+ * @returns {number} Smallest width bucket that covers a column at this ratio, or the largest bucket
  */
-function getSizedImageUrl(url) {
-  // Remove any existing sizing (._S..._.) and add _SX{COLUMN_WIDTH}_ before the extension
-  const width = CONFIG.COLUMN_WIDTH;
+export function getCoverRequestWidth(pixelRatio) {
+  const targetWidth = CONFIG.COLUMN_WIDTH * (pixelRatio > 0 ? pixelRatio : 1);
+  return CONFIG.COVER_WIDTH_BUCKETS.find(width => width >= targetWidth) ?? CONFIG.COVER_WIDTH_BUCKETS.at(-1);
+}
+
+/**
+ * Delay before a round of cover retries: exponential backoff with equal jitter
+ * @param {number} attempt - Retry round, from 0
+ * @param {number} [baseDelayMs] - Delay of the first round before jitter
+ * @param {() => number} [random] - Random source
+ * @returns {number} Delay in milliseconds
+ */
+export function getCoverRetryDelay(attempt, baseDelayMs = CONFIG.COVER_RETRY_BASE_DELAY_MS, random = Math.random) {
+  const backoff = Math.min(CONFIG.COVER_RETRY_MAX_DELAY_MS, baseDelayMs * 2 ** attempt);
+  return backoff / 2 + random() * backoff / 2;
+}
+
+/**
+ * Adjust Goodreads image URLs to request a given width
+ */
+function getSizedImageUrl(url, width) {
+  // Remove any existing sizing (._S..._.) and add _SX{width}_ before the extension
   // Remove all sizing patterns
   let newUrl = url.replace(/\._S[XY]\d+(_S[XY]\d+)*_\./g, ".");
   newUrl = newUrl.replace(/(\.[a-zA-Z0-9]+)$/i, `._SX${width}_$1`);
   return newUrl;
 }
 
+/**
+ * Goodreads serves a generic "nophoto" image for books without a cover
+ */
+function isPlaceholderImageUrl(url) {
+  return /\/nophoto\//i.test(url);
+}
+
+/**
+ * Build an Open Library cover URL for an ISBN-10 or ISBN-13.
+ * default=false makes Open Library answer 404 instead of a blank image when it has no cover.
+ */
+function getOpenLibraryCoverUrl(isbn) {
+  const normalized = String(isbn ?? "").replace(/[^0-9X]/gi, "").toUpperCase();
+  if (normalized.length !== 10 && normalized.length !== 13) return "";
+  return `https://covers.openlibrary.org/b/isbn/${normalized}-L.jpg?default=false`;
+}
+
+/**
+ * @typedef {Object} ImageReportRecord
+ * @property {number} index - Book position on the shelf
+ * @property {number|null} book_id - Goodreads book ID
+ * @property {string} title - Book title
+ * @property {string} outcome - How the first image URL tried for the book ended, drawn covers aside: "loaded",
+ *   "timeout", "error", "decode_error", or "empty_url" when the book had no usable image URL
+ * @property {string|null} host - Host of that first image URL
+ * @property {string|null} source - Cover source shown on the wall, or null when no cover loaded
+ * @property {number} elapsedMs - Time spent on every attempt
+ * @property {number} naturalWidth - Width of the shown cover, 0 without one
+ * @property {number} naturalHeight - Height of the shown cover, 0 without one
+ * @property {number} retries - Background retries: attempts at an image URL already tried; fallback sources are not retries
+ * @property {Array<{source: string, host: string|null, outcome: string, elapsedMs: number}>} attempts - Every URL tried, in order
+ */
+
+function getUrlHost(url) {
+  try {
+    return new URL(url).host || null;
+  } catch {
+    return null;
+  }
+}
+
+// Attempt outcomes worth trying again later; a cover that loaded but failed to decode will fail the same way
+const RETRYABLE_OUTCOMES = new Set(["timeout", "error"]);
+
+/**
+ * Whether a book fell back to a drawn cover, or to none, because its own images timed out or errored
+ */
+function shouldRetryCover(cover, attempts) {
+  if (cover && cover.source !== "generated") return false;
+  return attempts.some(attempt => attempt.source !== "generated" && RETRYABLE_OUTCOMES.has(attempt.outcome));
+}
+
+function createReportRecord(book, index, cover, attempts) {
+  const ownAttempt = attempts.find(attempt => attempt.source !== "generated");
+  // Fallback sources each have their own URL; only another try at the same URL is a retry
+  const retries = attempts.length - new Set(attempts.map(attempt => attempt.url)).size;
+
+  return {
+    index,
+    book_id: book.book_id ?? null,
+    title: book.title ?? "",
+    outcome: ownAttempt?.outcome ?? "empty_url",
+    host: ownAttempt ? getUrlHost(ownAttempt.url) : null,
+    source: cover?.source ?? null,
+    elapsedMs: attempts.reduce((total, attempt) => total + attempt.elapsedMs, 0),
+    naturalWidth: cover?.image.naturalWidth || 0,
+    naturalHeight: cover?.image.naturalHeight || 0,
+    retries,
+    attempts: attempts.map(({ source, url, outcome, elapsedMs }) => ({
+      source,
+      host: getUrlHost(url),
+      outcome,
+      elapsedMs
+    }))
+  };
+}
+
 /**
  * Service for preloading images with progress tracking
  */
 export class ImageLoader {
-  constructor({ maxConcurrent = 6, imageTimeoutMs = 15000 } = {}) {
+  constructor({
+    maxConcurrent = 6,
+    imageTimeoutMs = 15000,
+    coverSources = CONFIG.COVER_SOURCES,
+    pixelRatio = globalThis.devicePixelRatio,
+    coverRetryAttempts = CONFIG.COVER_RETRY_ATTEMPTS,
+    coverRetryBaseDelayMs = CONFIG.COVER_RETRY_BASE_DELAY_MS
+  } = {}) {
     this.maxConcurrent = Math.max(1, maxConcurrent);
     this.imageTimeoutMs = Math.max(1, imageTimeoutMs);
+    this.coverRetryAttempts = Math.max(0, coverRetryAttempts);
+    this.coverRetryBaseDelayMs = coverRetryBaseDelayMs;
+    this.retryTimeoutId = null;
+    this.requestWidth = getCoverRequestWidth(pixelRatio);
     this.loadGeneration = 0;
     this.activeCancellations = new Set();
+    this.coverSynthesizer = null;
+    this.coverSources = coverSources;
+    this.pendingIndexes = [];
+    this.report = [];
   }
 
   /**
-   * Preload images from books array
+   * Preload images from books array. Each book is tried against the cover source chain and gets:
+   * - cover_source: the source that loaded, or null when none did
+   * - cover_resolution: image pixels per CSS pixel of column width, or null without a cover
+   * - cover_undersized: whether the host sent a narrower image than requested
    * @param {Array} books - Array of book objects
+   * @param {Object} [options] - Loading options
+   * @param {number[]} [options.order] - Book indexes in the order covers should load, such as the renderer's load order;
+   *   prioritize() reorders the books still waiting
+   * @param {(index: number, image: HTMLImageElement|null) => void} [options.onCover] - Called as each book's cover settles
+   * @param {(index: number, image: HTMLImageElement) => void} [options.onRetriedCover] - Called when a book that timed out or
+   *   errored gets its own cover on a background retry after the load settled; the book may have a drawn cover or none
    * @returns {Promise<Array>} Promise that resolves to array of loaded images
    */
-  async preloadImages(books) {
+  async preloadImages(books, { order = null, onCover, onRetriedCover } = {}) {
     this.cancel();
     const loadGeneration = this.loadGeneration;
     let loaded = 0;
     let failed = 0;
-    let nextIndex = 0;
+    let synthesized = 0;
     const total = books.length;
     const images = Array(total).fill(null);
+    const queue = order ? [...order] : books.map((book, index) => index);
+    const report = Array(total).fill(null);
+    const retries = new Map();
+    this.pendingIndexes = queue;
+    this.report = report;
 
     if (total === 0) {
-      this.onProgress?.(0, 0, 0);
+      this.onProgress?.(0, 0, 0, 0);
       return images;
     }
 
     const loadNext = async () => {
-      while (nextIndex < total && loadGeneration === this.loadGeneration) {
-        const index = nextIndex++;
-        const imageUrl = books[index].image_url
-          ? getSizedImageUrl(books[index].image_url)
-          : "";
-
-        if (imageUrl) {
-          images[index] = await this.loadImage(imageUrl);
-          if (loadGeneration !== this.loadGeneration) return;
+      while (queue.length > 0 && loadGeneration === this.loadGeneration) {
+        const index = queue.shift();
+        const book = books[index];
+        const candidates = this.getCoverCandidates(book);
+        const attempts = [];
+        const cover = await this.loadCover(book, candidates, loadGeneration, attempts);
+        if (loadGeneration !== this.loadGeneration) return;
 
-          if (images[index]) {
-            loaded++;
-          } else {
-            failed++;
-          }
-        } else {
+        images[index] = cover?.image ?? null;
+        this.recordCover(book, cover);
+        report[index] = createReportRecord(book, index, cover, attempts);
+        if (shouldRetryCover(cover, attempts)) retries.set(index, { cover, attempts });
+
+        if (cover?.source === "generated") synthesized++;
+        if (cover || candidates.length === 0) {
           loaded++;
+        } else {
+          failed++;
         }
 
-        this.onProgress?.(loaded, failed, total);
+        onCover?.(index, images[index]);
+        this.onProgress?.(loaded, failed, total, synthesized);
       }
     };
 
     const workerCount = Math.min(this.maxConcurrent, total);
     await Promise.all(Array.from({ length: workerCount }, loadNext));
+
+    if (onRetriedCover && retries.size > 0 && loadGeneration === this.loadGeneration) {
+      this.scheduleCoverRetries(books, retries, { report, onRetriedCover, loadGeneration });
+    }
     return images;
   }
 
   /**
-   * Load one image with a timeout
+   * Retry covers that timed out or errored in rounds with growing delays, until they load or
+   * the attempts run out. Only the book's own sources are tried again. cancel() and the next load stop the retries.
+   * @param {Array<Object>} books - Books of the load
+   * @param {Map<number, {cover: Object|null, attempts: Array<Object>}>} retries - Book indexes to retry, with the cover shown and the attempts so far
+   * @param {Object} load - The load the retries belong to
+   * @param {Array<ImageReportRecord|null>} load.report - Report of the load, updated after every retry
+   * @param {(index: number, image: HTMLImageElement) => void} load.onRetriedCover - Called for each cover that loads
+   * @param {number} load.loadGeneration - Load generation that started the retries
+   * @param {number} [round] - Retry round, from 0
+   */
+  scheduleCoverRetries(books, retries, { report, onRetriedCover, loadGeneration }, round = 0) {
+    if (round >= this.coverRetryAttempts) return;
+
+    this.retryTimeoutId = setTimeout(async () => {
+      this.retryTimeoutId = null;
+      const queue = [...retries.keys()];
+
+      const retryNext = async () => {
+        while (queue.length > 0 && loadGeneration === this.loadGeneration) {
+          const index = queue.shift();
+          const book = books[index];
+          const retry = retries.get(index);
+          const candidates = this.getCoverCandidates(book).filter(candidate => candidate.source !== "generated");
+          const cover = await this.loadCover(book, candidates, loadGeneration, retry.attempts);
+          if (loadGeneration !== this.loadGeneration) return;
+
+          report[index] = createReportRecord(book, index, cover ?? retry.cover, retry.attempts);
+          if (!cover) continue;
+
+          retries.delete(index);
+          this.recordCover(book, cover);
+          onRetriedCover(index, cover.image);
+        }
+      };
+
+      await Promise.all(Array.from({ length: Math.min(this.maxConcurrent, queue.length) }, retryNext));
+      if (retries.size > 0 && loadGeneration === this.loadGeneration) {
+        this.scheduleCoverRetries(books, retries, { report, onRetriedCover, loadGeneration }, round + 1);
+      }
+    }, getCoverRetryDelay(round, this.coverRetryBaseDelayMs));
+  }
+
+  /**
+   * Load and decode one image with a timeout
    * @param {string} imageUrl - URL of the image to load
-   * @returns {Promise<HTMLImageElement|null>} Loaded image or null on failure
+   * @returns {Promise<HTMLImageElement|null>} Decoded image or null on failure
    */
-  loadImage(imageUrl) {
+  async loadImage(imageUrl) {
+    return (await this.attemptImage(imageUrl)).image;
+  }
+
+  /**
+   * Load and decode one image with a timeout, reporting how the attempt ended
+   * @param {string} imageUrl - URL of the image to load
+   * @returns {Promise<{image: HTMLImageElement|null, outcome: string, elapsedMs: number}>} Decoded image or null, and an
+   *   outcome of "loaded", "timeout", "error" (the request failed), "decode_error" or "cancelled"
+   */
+  attemptImage(imageUrl) {
     return new Promise(resolve => {
       const image = new Image();
+      const startedAt = performance.now();
       let settled = false;
       let timeoutId;
 
-      const finish = (result, cancelRequest = false) => {
+      const finish = (result, outcome, cancelRequest = false) => {
         if (settled) return;
         settled = true;
         clearTimeout(timeoutId);
@@ -92,27 +279,159 @@ export class ImageLoader {
         if (cancelRequest) {
           image.removeAttribute?.("src");
         }
-        resolve(result);
+        resolve({ image: result, outcome, elapsedMs: Math.round(performance.now() - startedAt) });
       };
-      const cancel = () => finish(null, true);
+      const cancel = () => finish(null, "cancelled", true);
 
-      image.onload = () => finish(image);
-      image.onerror = () => finish(null);
-      timeoutId = setTimeout(cancel, this.imageTimeoutMs);
+      // Decode before resolving so covers are not decoded mid-animation when first added to a column
+      image.onload = () => {
+        if (typeof image.decode !== "function") {
+          finish(image, "loaded");
+          return;
+        }
+        image.decode().then(() => finish(image, "loaded"), () => finish(null, "decode_error"));
+      };
+      image.onerror = () => finish(null, "error");
+      timeoutId = setTimeout(() => finish(null, "timeout", true), this.imageTimeoutMs);
       this.activeCancellations.add(cancel);
       image.src = imageUrl;
     });
   }
 
+  /**
+   * List the covers to try for a book, following the configured source order.
+   * URLs already listed by an earlier source are skipped, and Goodreads "nophoto" images never count.
+   * @param {Object} book - Book with image_url, image_url_medium, image_url_small and isbn
+   * @returns {Array<{source: string, url: string|null}>} Candidates; the generated cover has no URL until it is drawn
+   */
+  getCoverCandidates(book) {
+    const candidates = [];
+    const addUrl = (source, url) => {
+      if (!url || isPlaceholderImageUrl(url) || candidates.some(candidate => candidate.url === url)) return;
+      candidates.push({ source, url });
+    };
+
+    this.coverSources.forEach(source => {
+      switch (source) {
+        case "goodreads_large":
+          addUrl(source, book.image_url && getSizedImageUrl(book.image_url, this.requestWidth));
+          break;
+        case "goodreads_medium":
+          addUrl(source, book.image_url_medium);
+          break;
+        case "goodreads_small":
+          addUrl(source, book.image_url_small);
+          break;
+        case "openlibrary":
+          addUrl(source, getOpenLibraryCoverUrl(book.isbn));
+          break;
+        case "generated":
+          if (this.coverSynthesizer) candidates.push({ source, url: null });
+          break;
+      }
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Try a book's cover candidates in order until one loads
+   * @param {Object} book - Book being loaded
+   * @param {Array<{source: string, url: string|null}>} candidates - Covers from getCoverCandidates
+   * @param {number} loadGeneration - Load generation that started this work
+   * @param {Array<Object>} [attempts] - Receives one {source, url, outcome, elapsedMs} entry per URL tried
+   * @returns {Promise<{image: HTMLImageElement, source: string}|null>} First cover that loaded
+   */
+  async loadCover(book, candidates, loadGeneration, attempts = []) {
+    for (const { source, url } of candidates) {
+      const coverUrl = source === "generated" ? this.drawCover(book) : url;
+      if (!coverUrl) continue;
+
+      const { image, outcome, elapsedMs } = await this.attemptImage(coverUrl);
+      if (loadGeneration !== this.loadGeneration) return null;
+
+      attempts.push({ source, url: coverUrl, outcome, elapsedMs });
+      if (image) return { image, source };
+    }
+    return null;
+  }
+
+  /**
+   * Record which cover a book got and how sharp it is at the column width
+   * @param {Object} book - Book to annotate
+   * @param {{image: HTMLImageElement, source: string}|null} cover - Loaded cover, if any
+   */
+  recordCover(book, cover) {
+    const naturalWidth = cover?.image.naturalWidth || 0;
+    book.cover_source = cover?.source ?? null;
+    book.cover_resolution = naturalWidth ? naturalWidth / CONFIG.COLUMN_WIDTH : null;
+    // Hosts answer with their largest rendition when it is smaller than the size hint
+    book.cover_undersized = naturalWidth > 0 && naturalWidth < this.requestWidth;
+  }
+
+  /**
+   * Draw a placeholder cover for a book
+   * @param {Object} book - Book to draw a cover for
+   * @returns {string|null} Cover image URL, or null when drawing fails
+   */
+  drawCover(book) {
+    try {
+      return this.coverSynthesizer(book, { width: this.requestWidth }) || null;
+    } catch (error) {
+      console.warn("Failed to draw a cover:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Move books of the active load to the front of the queue, in the given order.
+   * Books already loading or loaded are skipped; the others keep their relative order behind them.
+   * @param {number[]} indexes - Book indexes to load next
+   */
+  prioritize(indexes) {
+    const queue = this.pendingIndexes;
+    const pending = new Set(queue);
+    const prioritized = indexes.filter(index => pending.delete(index));
+    const rest = queue.filter(index => pending.has(index));
+    queue.splice(0, queue.length, ...prioritized, ...rest);
+  }
+
   cancel() {
     this.loadGeneration++;
+    clearTimeout(this.retryTimeoutId);
+    this.retryTimeoutId = null;
+    this.pendingIndexes.length = 0;
     const cancellations = [...this.activeCancellations];
     cancellations.forEach(cancel => cancel());
   }
 
+  /**
+   * Draw covers for books without a usable image instead of leaving them off the wall
+   * @param {((book: Object, options: {width: number}) => string)|null} synthesizer - Returns an image URL (usually a data URL) for a book at the requested width
+   */
+  setCoverSynthesizer(synthesizer) {
+    this.coverSynthesizer = synthesizer;
+  }
+
+  /**
+   * Choose which cover sources are tried for each book, and in which order
+   * @param {string[]} sources - Source names from CONFIG.COVER_SOURCES
+   */
+  setCoverSources(sources) {
+    this.coverSources = sources;
+  }
+
+  /**
+   * Get what happened to every cover of the latest load that has settled so far
+   * @returns {Array<ImageReportRecord>} Records in shelf order
+   */
+  getReport() {
+    return this.report.filter(Boolean);
+  }
+
   /**
    * Set progress callback
-   * @param {Function} callback - Progress callback function
+   * @param {(loaded: number, failed: number, total: number, synthesized: number) => void} callback - Progress callback function
    */
   setProgressCallback(callback) {
     this.onProgress = callback;
@@ -1,3 +1,5 @@
+import { CONFIG } from './config.js';
+
 /**
  * RSS Dialog handler for capturing Goodreads RSS feed URLs
  */
@@ -162,8 +164,8 @@ export class RSSDialog {
         throw new Error('Invalid key format');
       }
 
-      // Validate sort parameter if present - only allow alphanumeric and underscores
-      if (sort && !/^[a-zA-Z0-9_]+$/.test(sort)) {
+      // Validate sort parameter if present - only allow Goodreads sort keys
+      if (sort && !CONFIG.SORT_KEYS.includes(sort)) {
         throw new Error('Invalid sort parameter format');
       }
 
@@ -258,6 +260,7 @@ export class RSSDialog {
   static hasValidUserIdParam() {
     const params = new URLSearchParams(window.location.search);
     const userId = params.get("userId");
-    return typeof userId === "string" && /^\d{1,15}$/.test(userId);
+    // A shared wall lists several comma-separated readers
+    return typeof userId === "string" && /^\d{1,15}(,\d{1,15})*$/.test(userId);
   }
 }
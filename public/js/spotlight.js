@@ -0,0 +1,288 @@
+import { CONFIG, CSS_CLASSES } from "./config.js";
+import { formatReadDate } from "./book-cover-data.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Room kept between a grown cover, its card and the edges of the screen
+const EDGE_MARGIN_PX = 24;
+
+/**
+ * How strongly a book draws the spotlight. An unrated book weighs 1 and each star adds 1;
+ * a book read today adds 3 more, fading to nothing over CONFIG.SPOTLIGHT_RECENT_DAYS.
+ * @param {Object} book - Book from BookDataService
+ * @param {string} readAt - The cover's data-read-at value
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number} Weight for a weighted pick
+ */
+export function getSpotlightWeight(book, readAt, now = Date.now()) {
+  const ageDays = (now - Date.parse(readAt)) / DAY_MS;
+  const recency = Number.isFinite(ageDays)
+    ? Math.max(0, 1 - Math.max(0, ageDays) / CONFIG.SPOTLIGHT_RECENT_DAYS)
+    : 0;
+  return 1 + (book.user_rating || 0) + 3 * recency;
+}
+
+/**
+ * Pick one candidate with a chance in proportion to its weight
+ * @param {Array<{weight: number}>} candidates - Candidates with positive weights
+ * @param {() => number} [random] - Random number source in [0, 1)
+ * @returns {Object|null} Picked candidate, or null when there are none
+ */
+export function pickWeighted(candidates, random = Math.random) {
+  const total = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+  let remaining = random() * total;
+
+  for (const candidate of candidates) {
+    remaining -= candidate.weight;
+    if (remaining < 0) return candidate;
+  }
+  return candidates.at(-1) ?? null;
+}
+
+/**
+ * Shorten a review to whole words
+ * @param {string} text - Review as plain text
+ * @param {number} [maxLength] - Longest excerpt, counting the ellipsis
+ * @returns {string} The review, or its opening words followed by an ellipsis
+ */
+export function getReviewExcerpt(text, maxLength = CONFIG.SPOTLIGHT_EXCERPT_LENGTH) {
+  const review = (text ?? "").replace(/\s+/g, " ").trim();
+  if (review.length <= maxLength) return review;
+
+  const cut = review.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(/[\s,.;:!?-]+$/, "")}…`;
+}
+
+/**
+ * Stars for a reader's rating
+ * @param {number} rating - Stars from 0 to 5, 0 when unrated
+ * @returns {string} Filled and empty stars, or empty for an unrated book
+ */
+export function getRatingStars(rating) {
+  const stars = Math.max(0, Math.min(5, Math.round(rating || 0)));
+  return stars > 0 ? "★".repeat(stars) + "☆".repeat(5 - stars) : "";
+}
+
+/**
+ * Area a cover grows within: on each axis, the part of its row or parallax lane on screen
+ * when the grown cover fits there, and the whole screen otherwise
+ * @param {DOMRect} rect - Cover bounds
+ * @param {DOMRect|null} lineRect - Bounds of the row or lane holding the cover, if any
+ * @param {number} width - Viewport width
+ * @param {number} height - Viewport height
+ * @param {number} scale - How many times the cover grows
+ * @returns {{left: number, top: number, right: number, bottom: number}} Bounds to grow within
+ */
+export function getSpotlightBounds(rect, lineRect, width, height, scale) {
+  const clamp = (start, end, size, viewportSize) => {
+    const clampedStart = Math.max(0, start ?? 0);
+    const clampedEnd = Math.min(viewportSize, end ?? viewportSize);
+    return clampedEnd - clampedStart >= size * scale ? [clampedStart, clampedEnd] : [0, viewportSize];
+  };
+  const [left, right] = clamp(lineRect?.left, lineRect?.right, rect.width, width);
+  const [top, bottom] = clamp(lineRect?.top, lineRect?.bottom, rect.height, height);
+  return { left, top, right, bottom };
+}
+
+/**
+ * Growth origin that keeps a grown cover within its bounds: covers near an edge grow away from it
+ * @param {DOMRect} rect - Cover bounds
+ * @param {{left: number, top: number, right: number, bottom: number}} bounds - Area to grow within
+ * @returns {{x: number, y: number}} Origin as fractions of the cover's width and height
+ */
+export function getSpotlightOrigin(rect, bounds) {
+  const toFraction = (start, size, boundsStart, boundsEnd) => {
+    const center = start + size / 2 - boundsStart;
+    const boundsSize = boundsEnd - boundsStart;
+    if (center < boundsSize / 3) return 0;
+    if (center > boundsSize * 2 / 3) return 1;
+    return 0.5;
+  };
+  return {
+    x: toFraction(rect.left, rect.width, bounds.left, bounds.right),
+    y: toFraction(rect.top, rect.height, bounds.top, bounds.bottom)
+  };
+}
+
+/**
+ * Periodic spotlight over a running wall: the wall eases to a stop and one cover on screen grows with a card about the book
+ */
+export class Spotlight {
+  /**
+   * @param {AnimationController} animationController - Controller of the wall to slow down
+   * @param {Object} options - Spotlight options
+   * @param {(index: number) => Object|undefined} options.getBook - Book at a cover's data-book-index
+   * @param {number} [options.intervalMs] - Time between interludes
+   * @param {string} [options.coverSelector] - Covers that may be picked, such as only a parallax wall's front lane
+   * @param {() => number} [options.random] - Random number source in [0, 1)
+   */
+  constructor(animationController, {
+    getBook,
+    intervalMs = CONFIG.SPOTLIGHT_INTERVAL_MINUTES * 60 * 1000,
+    coverSelector = `img.${CSS_CLASSES.BOOK_COVER}`,
+    random = Math.random
+  }) {
+    this.animationController = animationController;
+    this.getBook = getBook;
+    this.intervalMs = intervalMs;
+    this.coverSelector = coverSelector;
+    this.random = random;
+    this.timeoutId = null;
+    this.featured = null;
+  }
+
+  /**
+   * Schedule the next interlude, replacing any that is scheduled or showing
+   */
+  start() {
+    this.stop();
+    this.schedule(() => this.slowDown(), this.intervalMs);
+  }
+
+  /**
+   * Run the next step of the interlude after a delay
+   */
+  schedule(callback, delayMs) {
+    this.timeoutId = setTimeout(() => {
+      this.timeoutId = null;
+      callback();
+    }, delayMs);
+  }
+
+  /**
+   * Ease the wall to a stop, then feature a cover
+   */
+  slowDown() {
+    this.animationController.easeSpeedTo(0, CONFIG.SPOTLIGHT_EASE_MS);
+    this.schedule(() => this.featureCover(), CONFIG.SPOTLIGHT_EASE_MS);
+  }
+
+  /**
+   * Covers entirely on screen, with their books and weights
+   * @returns {Array<{cover: HTMLElement, book: Object, rect: DOMRect, weight: number}>} Candidates
+   */
+  getCandidates() {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const now = Date.now();
+
+    return Array.from(document.querySelectorAll(this.coverSelector)).flatMap(cover => {
+      const book = this.getBook(Number(cover.getAttribute("data-book-index")));
+      const rect = cover.getBoundingClientRect();
+      const onScreen = rect.width > 0 && rect.left >= 0 && rect.top >= 0 && rect.right <= width && rect.bottom <= height;
+      if (!book || !onScreen) return [];
+
+      return [{ cover, book, rect, weight: getSpotlightWeight(book, cover.getAttribute("data-read-at"), now) }];
+    });
+  }
+
+  /**
+   * Grow a picked cover in place and show its card; without a cover on screen the wall just moves on
+   */
+  featureCover() {
+    const candidate = pickWeighted(this.getCandidates(), this.random);
+    if (!candidate) {
+      this.resume();
+      return;
+    }
+
+    const { cover, book, rect } = candidate;
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const scale = CONFIG.SPOTLIGHT_SCALE;
+    // Rows and parallax lanes clip what overflows them
+    const clip = cover.closest(`.${CSS_CLASSES.COVER_ROW}, .${CSS_CLASSES.PARALLAX_LANE}`) ?? null;
+    const origin = getSpotlightOrigin(rect, getSpotlightBounds(rect, clip?.getBoundingClientRect() ?? null, width, height, scale));
+    const card = this.createCard(book, cover.getAttribute("data-read-at"));
+
+    // The grown cover spans this much of the screen; the card goes beside it, on the roomier side
+    const grownLeft = rect.left - rect.width * (scale - 1) * origin.x;
+    const grownRight = grownLeft + rect.width * scale;
+    const grownTop = rect.top - rect.height * (scale - 1) * origin.y;
+    const grownBottom = grownTop + rect.height * scale;
+    if (grownLeft > width - grownRight) {
+      card.style.right = `${Math.round(width - grownLeft + EDGE_MARGIN_PX)}px`;
+    } else {
+      card.style.left = `${Math.round(grownRight + EDGE_MARGIN_PX)}px`;
+    }
+    // Lined up with the top of covers in the upper half of the screen and the bottom of the rest
+    if (grownTop + grownBottom > height) {
+      card.style.bottom = `${Math.round(Math.max(EDGE_MARGIN_PX, height - grownBottom))}px`;
+    } else {
+      card.style.top = `${Math.round(Math.max(EDGE_MARGIN_PX, grownTop))}px`;
+    }
+
+    this.featured = { cover, line: cover.parentElement, clip, card, transform: cover.style.transform };
+    // The transition stays on the cover so it also shrinks back smoothly
+    cover.style.transition = `transform ${CONFIG.SPOTLIGHT_EASE_MS / 2}ms ease-in-out`;
+    cover.style.transformOrigin = `${origin.x * 100}% ${origin.y * 100}%`;
+    cover.style.transform = `scale(${scale})`;
+    cover.classList.add(CSS_CLASSES.SPOTLIGHT_COVER);
+    // Columns and rows stack in order, so the one holding the cover is raised above its neighbors
+    this.featured.line?.classList.add(CSS_CLASSES.SPOTLIGHT_LINE);
+    clip?.classList.add(CSS_CLASSES.SPOTLIGHT_UNCLIPPED);
+    document.body.appendChild(card);
+
+    this.schedule(() => this.resume(), CONFIG.SPOTLIGHT_HOLD_MS);
+  }
+
+  /**
+   * Card with the book's title, author, rating, date read and review excerpt
+   * @param {Object} book - Book from BookDataService
+   * @param {string} readAt - The cover's data-read-at value
+   * @returns {HTMLElement} Card element
+   */
+  createCard(book, readAt) {
+    const card = document.createElement("aside");
+    card.className = CSS_CLASSES.SPOTLIGHT_CARD;
+
+    [
+      ["title", book.title],
+      ["author", book.author_name],
+      ["rating", getRatingStars(book.user_rating)],
+      ["date", formatReadDate(readAt)],
+      ["review", getReviewExcerpt(book.user_review)]
+    ].forEach(([line, text]) => {
+      if (!text) return;
+      const element = document.createElement("div");
+      element.className = `spotlight-${line}`;
+      element.textContent = text;
+      card.appendChild(element);
+    });
+    return card;
+  }
+
+  /**
+   * Shrink the featured cover back, remove its card and ease the wall back to speed
+   */
+  resume() {
+    this.dismiss();
+    this.animationController.easeSpeedTo(1, CONFIG.SPOTLIGHT_EASE_MS);
+    this.schedule(() => this.slowDown(), this.intervalMs);
+  }
+
+  /**
+   * Shrink the featured cover back and remove its card
+   */
+  dismiss() {
+    if (!this.featured) return;
+
+    const { cover, line, clip, card, transform } = this.featured;
+    cover.style.transform = transform;
+    cover.classList.remove(CSS_CLASSES.SPOTLIGHT_COVER);
+    line?.classList.remove(CSS_CLASSES.SPOTLIGHT_LINE);
+    clip?.classList.remove(CSS_CLASSES.SPOTLIGHT_UNCLIPPED);
+    card.remove();
+    this.featured = null;
+  }
+
+  /**
+   * Cancel the scheduled interlude, end one that is showing and restore the wall's speed
+   */
+  stop() {
+    clearTimeout(this.timeoutId);
+    this.timeoutId = null;
+    this.dismiss();
+    this.animationController.easeSpeedTo(1, 0);
+  }
+}
@@ -37,8 +37,8 @@ export class UIManager {
 
   /**
    * Set the state of a progress item
-   * @param {string} step - Step name ('connect', 'fetch', 'images')
-   * @param {string} state - State ('pending', 'active', 'completed')
+   * @param {string} step - Step name ('connect', 'fetch', 'images', or 'reader_<index>')
+   * @param {string} state - State ('pending', 'active', 'completed', 'failed')
    * @param {string} status - Optional status text to display
    */
   setProgressItemState(step, state, status = '') {
@@ -48,7 +48,7 @@ export class UIManager {
     if (!element) return;
 
     // Remove all state classes
-    element.classList.remove('active', 'completed');
+    element.classList.remove('active', 'completed', 'failed');
 
     // Add new state class
     if (state !== 'pending') {
@@ -87,13 +87,64 @@ export class UIManager {
     this.setProgressItemState('fetch', 'completed', `${bookCount} books`);
   }
 
+  /**
+   * Add one progress item per reader below the fetch step of a shared wall
+   * @param {string[]} userIds - Goodreads user IDs in launch URL order
+   */
+  addReaderProgressItems(userIds) {
+    let previousItem = this.elements.PROGRESS_FETCH;
+    if (!previousItem) return;
+
+    userIds.forEach((userId, index) => {
+      const item = document.createElement('div');
+      item.className = 'progress-item progress-reader';
+      item.id = `progress-reader-${index}`;
+
+      const text = document.createElement('span');
+      text.className = 'progress-text';
+      text.textContent = `Reader ${userId}`;
+
+      const status = document.createElement('span');
+      status.className = 'progress-status';
+
+      item.append(text, status);
+      previousItem.after(item);
+      previousItem = item;
+      this.elements[`PROGRESS_READER_${index}`] = item;
+    });
+  }
+
+  /**
+   * Label a reader's progress item with their shelf title once it is known
+   * @param {number} index - Reader index
+   * @param {string} title - Channel title
+   */
+  updateReaderTitle(index, title) {
+    const text = this.elements[`PROGRESS_READER_${index}`]?.querySelector('.progress-text');
+    if (text && title) {
+      text.textContent = title;
+    }
+  }
+
+  /**
+   * Report books skipped because some Goodreads pages failed after retries
+   * @param {number} skippedBooks - Books on the failed pages
+   * @param {Object} [options] - Report options
+   * @param {boolean} [options.upperBound] - Whether the shelf's last page failed, which may have held fewer books
+   */
+  showSkippedBooks(skippedBooks, { upperBound = false } = {}) {
+    const count = upperBound ? `Up to ${skippedBooks}` : `${skippedBooks}`;
+    this.setProgressText(`${count} books could not be loaded from Goodreads and were skipped.`);
+  }
+
   /**
    * Update image loading progress
    * @param {number} loaded - Number of loaded images
    * @param {number} failed - Number of failed images  
    * @param {number} total - Total number of images
+   * @param {number} [synthesized] - Number of loaded covers that were drawn because the book had no usable image
    */
-  updateImageLoadingProgress(loaded, failed, total) {
+  updateImageLoadingProgress(loaded, failed, total, synthesized = 0) {
     this.setProgressItemState('images', 'active', `${loaded + failed}/${total}`);
 
     // Update progress bar
@@ -104,7 +155,8 @@ export class UIManager {
 
     // Mark as completed when all images are processed
     if (loaded + failed === total) {
-      this.setProgressItemState('images', 'completed', total.toString());
+      const status = synthesized > 0 ? `${total} (${synthesized} drawn)` : total.toString();
+      this.setProgressItemState('images', 'completed', status);
     }
   }
 
@@ -195,14 +247,53 @@ export class UIManager {
    * @param {Error} error - Error object
    */
   showError(error) {
-    let errorMessage = 'Failed to load book data.';
-
-    if (error.message.includes('Authentication failed')) {
-      errorMessage = 'API authentication failed. Server needs to be updated.';
-    } else if (error.message.includes("more than 2,000 books")) {
-      errorMessage = "This shelf has more than 2,000 books and cannot be displayed completely.";
-    } else if (error.message.includes('fetch')) {
-      errorMessage = 'Network error. Check your connection and try again.';
+    let errorMessage;
+
+    switch (error?.code) {
+      case 'SHELF_TOO_LARGE':
+        errorMessage = "This shelf has more than 2,000 books and cannot be displayed completely.";
+        break;
+      case 'PRIVATE_SHELF_KEY_REQUIRED':
+        errorMessage = error.details?.keyProvided
+          ? "Goodreads rejected the feed key. Copy the RSS feed URL from the shelf page again."
+          : "This shelf is private. Use the RSS feed URL including its key parameter.";
+        break;
+      case 'SHELF_NOT_FOUND':
+        errorMessage = error.details?.shelf
+          ? `This Goodreads user has no shelf named "${error.details.shelf}". Check the shelf name in the RSS feed URL.`
+          : "Goodreads could not find this user or shelf. Check the RSS feed URL.";
+        break;
+      case 'INVALID_USER_ID':
+      case 'INVALID_SHELF':
+      case 'INVALID_KEY':
+      case 'INVALID_SORT':
+      case 'INVALID_ORDER':
+      case 'INVALID_PAGE':
+      case 'INVALID_PARAMETER':
+        errorMessage = `The launch URL is invalid: ${error.message}`;
+        break;
+      case 'UPSTREAM_TIMEOUT':
+        errorMessage = "Goodreads took too long to respond. Try again in a moment.";
+        break;
+      case 'UPSTREAM_RATE_LIMITED':
+      case 'UPSTREAM_UNAVAILABLE':
+      case 'UPSTREAM_ERROR':
+        errorMessage = "Goodreads is not responding right now. Try again later.";
+        break;
+      case 'UPSTREAM_BAD_XML':
+        errorMessage = "Goodreads returned a feed that could not be read. Try again later.";
+        break;
+      case 'UPSTREAM_NOT_RSS':
+        errorMessage = "Goodreads returned a web page instead of the shelf feed. Try again later.";
+        break;
+      case 'API_AUTH_FAILED':
+        errorMessage = 'API authentication failed. Server needs to be updated.';
+        break;
+      case 'NETWORK_ERROR':
+        errorMessage = 'Network error. Check your connection and try again.';
+        break;
+      default:
+        errorMessage = 'Failed to load book data.';
     }
 
     this.setProgressText(errorMessage);
@@ -249,11 +340,19 @@ export class UIManager {
   /**
    * Check if no books message should be shown
    * @param {Array} books - Books array
+   * @param {string[]} [shelves] - Requested shelf names
    * @returns {boolean} True if no books found
    */
-  handleEmptyState(books) {
+  handleEmptyState(books, shelves = []) {
     if (!books || books.length === 0) {
-      this.setProgressText('No books found.');
+      const shelfNames = shelves.map(shelf => `"${shelf}"`).join(', ');
+      if (shelves.length > 1) {
+        this.setProgressText(`The ${shelfNames} shelves have no books yet. Add books to them on Goodreads or choose other shelves.`);
+      } else if (shelves.length === 1) {
+        this.setProgressText(`The ${shelfNames} shelf has no books yet. Add books to it on Goodreads or choose another shelf.`);
+      } else {
+        this.setProgressText('No books found.');
+      }
       return true;
     }
     return false;
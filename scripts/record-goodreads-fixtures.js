@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * Record a live Goodreads shelf feed into sanitized fixtures for GOODREADS_UPSTREAM.
+ *
+ * Usage:
+ *   node scripts/record-goodreads-fixtures.js <userId> <shelf> [--key KEY] [--as FIXTURE_USER_ID] [--out DIR] [--max-pages N]
+ *
+ * Pages are written to <out>/<fixture user ID>/<shelf>/page-<n>.xml until the first short page.
+ * Sanitizing removes the feed key, reviews and the reader's name and user ID; a private shelf gets
+ * a shelf.json whose key is "fixture-key", never the real one.
+ */
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+import { GOODREADS_ORIGIN } from "../api/_lib/goodreads-upstream.js";
+
+const PAGE_SIZE = 100;
+const FIXTURE_KEY = "fixture-key";
+const FIXTURE_OWNER = "Fixture Reader";
+
+/**
+ * Strip personal data and credentials from one recorded feed page
+ * @param {string} xml - Feed XML as served by Goodreads
+ * @param {{userId: string, fixtureUserId: string, key?: string}} recording - What to replace
+ * @returns {string} Sanitized XML
+ */
+export function sanitizeFeed(xml, { userId, fixtureUserId, key }) {
+  let sanitized = xml
+    .replace(/([?&](?:amp;)?key=)[^&"\]\s<]+/gi, "$1" + FIXTURE_KEY)
+    .replace(/<user_review>[\s\S]*?<\/user_review>/g, "<user_review></user_review>")
+    .replace(/<user_name>[\s\S]*?<\/user_name>/g, `<user_name>${FIXTURE_OWNER}</user_name>`)
+    .replace(/<title>[^<]*?(['’]s bookshelf:)/, `<title>${FIXTURE_OWNER}$1`)
+    .replace(/<description><!\[CDATA\[[^\]]*?(['’]s bookshelf:)/, `<description><![CDATA[${FIXTURE_OWNER}$1`)
+    // Only the whole ID: /4242 must not also rewrite the start of a book path such as /42421
+    .replace(new RegExp(`/${userId}(?!\\d)`, "g"), `/${fixtureUserId}`);
+
+  if (key) {
+    sanitized = sanitized.replaceAll(key, FIXTURE_KEY);
+  }
+  return sanitized;
+}
+
+function countItems(xml) {
+  return (xml.match(/<item>/g) ?? []).length;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      key: { type: "string" },
+      as: { type: "string" },
+      out: { type: "string", default: "tests/fixtures/goodreads" },
+      "max-pages": { type: "string", default: "20" }
+    }
+  });
+  const [userId, shelf] = positionals;
+
+  if (!/^\d+$/.test(userId ?? "") || !/^[a-zA-Z0-9_-]+$/.test(shelf ?? "")) {
+    console.error("Usage: node scripts/record-goodreads-fixtures.js <userId> <shelf> [--key KEY] [--as FIXTURE_USER_ID] [--out DIR] [--max-pages N]");
+    process.exitCode = 1;
+    return;
+  }
+
+  const fixtureUserId = values.as ?? "1000001";
+  const maxPages = Number(values["max-pages"]);
+  const shelfDir = path.join(values.out, fixtureUserId, shelf);
+  await mkdir(shelfDir, { recursive: true });
+
+  for (let page = 1; page <= maxPages; page++) {
+    const params = new URLSearchParams({ shelf, page: String(page) });
+    if (values.key) params.set("key", values.key);
+
+    const response = await fetch(`${GOODREADS_ORIGIN}/review/list_rss/${userId}?${params}`, {
+      headers: { "User-Agent": "Cover-Flow-App/1.0" }
+    });
+    if (!response.ok || response.redirected) {
+      throw new Error(`Goodreads answered page ${page} with ${response.status}${response.redirected ? " (redirected)" : ""}`);
+    }
+
+    const xml = sanitizeFeed(await response.text(), { userId, fixtureUserId, key: values.key });
+    await writeFile(path.join(shelfDir, `page-${page}.xml`), xml);
+
+    const itemCount = countItems(xml);
+    console.log(`Recorded page ${page} with ${itemCount} books`);
+    if (itemCount < PAGE_SIZE) break;
+  }
+
+  if (values.key) {
+    await writeFile(path.join(shelfDir, "shelf.json"), `${JSON.stringify({ key: FIXTURE_KEY }, null, 2)}\n`);
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
@@ -1,6 +1,6 @@
 import test from "node:test";
 import assert from "node:assert/strict";
-import { AnimationController } from "../public/js/animation-controller.js";
+import { AnimationController, getEasingFactor } from "../public/js/animation-controller.js";
 
 function createElement() {
   return {
@@ -48,6 +48,11 @@ function createCoverFlow() {
   element.removeChild = child => {
     element.children.splice(element.children.indexOf(child), 1);
   };
+  element.insertBefore = (child, reference) => {
+    const index = element.children.indexOf(reference);
+    element.children.splice(index === -1 ? element.children.length : index, 0, child);
+    return child;
+  };
   return element;
 }
 
@@ -256,3 +261,155 @@ test("adds an empty read_at attribute to animated covers without a Goodreads rea
     global.document = originalDocument;
   }
 });
+
+test("slides right at the configured speed and adds earlier columns on the left", () => {
+  const originalDocument = global.document;
+  const originalRequestAnimationFrame = global.requestAnimationFrame;
+  const originalCancelAnimationFrame = global.cancelAnimationFrame;
+  const frames = [];
+  global.document = {
+    createElement,
+    createDocumentFragment() {
+      return { ...createElement(), isFragment: true };
+    }
+  };
+  global.requestAnimationFrame = callback => {
+    frames.push(callback);
+    return frames.length;
+  };
+  global.cancelAnimationFrame = () => {};
+
+  try {
+    const coverFlow = createCoverFlow();
+    const initialColumns = [2024, 2025, 2026].map(year => {
+      const div = createElement();
+      div.textContent = year;
+      coverFlow.appendChild(div);
+      return { div, height: 0 };
+    });
+    let previousYear = 2024;
+    const getPreviousColumnLayout = () => ({
+      align: "bottom",
+      height: 80,
+      entries: [{ item: { type: "year-divider", year: --previousYear }, height: 80 }]
+    });
+    const controller = new AnimationController(coverFlow, { speed: 100, direction: "right" });
+
+    controller.start(initialColumns, 200, [], () => assert.fail("plans forward"), 0, getPreviousColumnLayout);
+    assert.equal(coverFlow.style.transform, "translate3d(-200px, 0, 0)");
+    frames.shift()(1000);
+    frames.shift()(3500);
+
+    assert.match(coverFlow.style.transform, /translate3d\(-150px/);
+    assert.equal(coverFlow.children.length, 3);
+    assert.equal(coverFlow.children[0].children[0].textContent, 2023);
+    assert.equal(coverFlow.children[0].className, "cover-column cover-column-bottom");
+    assert.deepEqual(coverFlow.children.slice(1).map(column => column.textContent), [2024, 2025]);
+  } finally {
+    global.document = originalDocument;
+    global.requestAnimationFrame = originalRequestAnimationFrame;
+    global.cancelAnimationFrame = originalCancelAnimationFrame;
+  }
+});
+
+test("eases the scroll speed in drift and wave rhythms", () => {
+  assert.equal(getEasingFactor("linear", 12345), 1);
+  assert.equal(getEasingFactor("drift", 0), 0);
+  assert.ok(Math.abs(getEasingFactor("drift", 7000) - 1) < 1e-9);
+  assert.equal(getEasingFactor("drift", 17000), 0);
+  assert.equal(getEasingFactor("wave", 5000), 1.5);
+  assert.equal(getEasingFactor("wave", 15000), 0.5);
+});
+
+test("scrolls a rows wall up and keeps it tall enough when short divider bands scroll in", () => {
+  const originalDocument = global.document;
+  const originalRequestAnimationFrame = global.requestAnimationFrame;
+  const originalCancelAnimationFrame = global.cancelAnimationFrame;
+  const frames = [];
+  global.document = {
+    createElement,
+    createDocumentFragment() {
+      return { ...createElement(), isFragment: true };
+    }
+  };
+  global.requestAnimationFrame = callback => {
+    frames.push(callback);
+    return frames.length;
+  };
+  global.cancelAnimationFrame = () => {};
+
+  try {
+    const coverFlow = createCoverFlow();
+    const initialRows = Array.from({ length: 3 }, () => {
+      const div = createElement();
+      coverFlow.appendChild(div);
+      return { div, height: 300 };
+    });
+    const rowLayouts = [
+      { kind: "row", band: true, height: 54, entries: [{ item: { type: "year-divider", year: 2026 }, height: 54 }] },
+      { kind: "row", height: 300, entries: [] }
+    ];
+    let nextRow = 0;
+    const controller = new AnimationController(coverFlow, { speed: 100, direction: "up" });
+
+    controller.start(initialRows, 200, [], () => rowLayouts[nextRow++ % rowLayouts.length]);
+    frames.shift()(1000);
+    frames.shift()(4500);
+
+    assert.equal(coverFlow.style.transform, "translate3d(0, -50px, 0)");
+    assert.deepEqual(coverFlow.children.slice(2).map(row => row.className), ["cover-row cover-row-band", "cover-row"]);
+    assert.deepEqual(controller.currentColumns.map(row => row.height), [300, 300, 54, 300]);
+  } finally {
+    global.document = originalDocument;
+    global.requestAnimationFrame = originalRequestAnimationFrame;
+    global.cancelAnimationFrame = originalCancelAnimationFrame;
+  }
+});
+
+test("runs a parallax wall's lanes at their share of the speed and stops them together", () => {
+  const originalRequestAnimationFrame = global.requestAnimationFrame;
+  const originalCancelAnimationFrame = global.cancelAnimationFrame;
+  global.requestAnimationFrame = () => 1;
+  global.cancelAnimationFrame = () => {};
+
+  try {
+    const controller = new AnimationController(createCoverFlow(), { speed: 40, direction: "up", easing: "wave" });
+    const lanes = [{ scale: 0.5, speed: 0.5 }, { scale: 1, speed: 1 }].map(lane => ({
+      ...lane,
+      track: createCoverFlow(),
+      columns: [],
+      colWidth: 200,
+      items: [],
+      columnLayouts: [],
+      nextColumnLayoutIndex: 0,
+      previousColumnLayouts: null
+    }));
+
+    controller.startParallax(lanes);
+    assert.equal(controller.isAnimationRunning(), true);
+    assert.deepEqual(controller.laneControllers.map(lane => lane.speed), [40, 40]);
+    assert.deepEqual(controller.laneControllers.map(lane => lane.direction), ["left", "left"]);
+    assert.deepEqual(controller.laneControllers.map(lane => lane.easing), ["wave", "wave"]);
+    assert.equal(controller.laneControllers.every(lane => lane.isAnimationRunning()), true);
+
+    controller.stop();
+    assert.equal(controller.isAnimationRunning(), false);
+    assert.equal(controller.laneControllers.some(lane => lane.isAnimationRunning()), false);
+  } finally {
+    global.requestAnimationFrame = originalRequestAnimationFrame;
+    global.cancelAnimationFrame = originalCancelAnimationFrame;
+  }
+});
+
+test("eases the speed to a standstill and back over a ramp", () => {
+  const controller = new AnimationController(createCoverFlow(), { speed: 100 });
+
+  controller.getFrameDistance(1000);
+  controller.easeSpeedTo(0, 1000);
+  assert.equal(controller.getFrameDistance(1500), 25);
+  assert.equal(controller.getFrameDistance(2000), 0);
+  assert.equal(controller.getFrameDistance(2500), 0);
+
+  controller.easeSpeedTo(1, 0);
+  assert.equal(controller.getFrameDistance(3000), 50);
+});
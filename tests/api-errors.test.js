@@ -0,0 +1,35 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  ApiError,
+  ERROR_CLASSES_BY_CODE,
+  InvalidRequestError,
+  ShelfTooLargeError,
+  UpstreamError
+} from "../public/js/api-errors.js";
+
+test("typed API errors keep their code and retry metadata", () => {
+  const error = new UpstreamError("Goodreads is unavailable", {
+    code: "UPSTREAM_UNAVAILABLE",
+    status: 503,
+    retryable: true,
+    retryAfterMs: 5000,
+    details: { retryAfter: 5 }
+  });
+
+  assert.ok(error instanceof ApiError);
+  assert.ok(error instanceof Error);
+  assert.equal(error.name, "UpstreamError");
+  assert.equal(error.code, "UPSTREAM_UNAVAILABLE");
+  assert.equal(error.status, 503);
+  assert.equal(error.retryable, true);
+  assert.equal(error.retryAfterMs, 5000);
+  assert.deepEqual(error.details, { retryAfter: 5 });
+});
+
+test("maps every API error code to an error class", () => {
+  assert.equal(ERROR_CLASSES_BY_CODE.INVALID_SORT, InvalidRequestError);
+  assert.equal(ERROR_CLASSES_BY_CODE.SHELF_TOO_LARGE, ShelfTooLargeError);
+  assert.equal(ERROR_CLASSES_BY_CODE.UPSTREAM_BAD_XML, UpstreamError);
+  assert.ok(Object.values(ERROR_CLASSES_BY_CODE).every(ErrorClass => ErrorClass.prototype instanceof ApiError));
+});
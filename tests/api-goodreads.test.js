@@ -1,6 +1,10 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import handler from '../api/goodreads.js';
+import { fileURLToPath } from 'node:url';
+import handler, { getCacheKey, SORT_KEYS } from '../api/goodreads.js';
+import { CONFIG } from '../public/js/config.js';
+
+const FIXTURE_DIR = fileURLToPath(new URL('./fixtures/goodreads', import.meta.url));
 
 function createMockRes() {
   return {
@@ -9,7 +13,8 @@ function createMockRes() {
     data: null,
     setHeader(key, value) { this.headers[key] = value; },
     status(code) { this.statusCode = code; return this; },
-    json(payload) { this.data = payload; return this; }
+    json(payload) { this.data = payload; return this; },
+    end() { this.ended = true; return this; }
   };
 }
 
@@ -21,7 +26,9 @@ test('invalid userId returns 400', async () => {
   const res = createMockRes();
   await handler(req, res);
   assert.equal(res.statusCode, 400);
-  assert.equal(res.data.error, 'Invalid userId format. Must be numeric.');
+  assert.equal(res.data.error.code, 'INVALID_USER_ID');
+  assert.equal(res.data.error.message, 'Invalid userId format. Must be numeric.');
+  assert.equal(res.data.error.retryable, false);
 });
 
 test('rejects unsupported methods', async () => {
@@ -29,7 +36,8 @@ test('rejects unsupported methods', async () => {
   const res = createMockRes();
   await handler(req, res);
   assert.equal(res.statusCode, 405);
-  assert.equal(res.data.error, 'Method not allowed');
+  assert.equal(res.data.error.code, 'METHOD_NOT_ALLOWED');
+  assert.equal(res.data.error.message, 'Method not allowed');
   assert.equal(res.headers.Allow, 'GET');
 });
 
@@ -84,7 +92,8 @@ test('invalid shelf input returns 400', async () => {
   const res = createMockRes();
   await handler(req, res);
   assert.equal(res.statusCode, 400);
-  assert.match(res.data.error, /Invalid shelf format/);
+  assert.equal(res.data.error.code, 'INVALID_SHELF');
+  assert.match(res.data.error.message, /Invalid shelf format/);
   assert.equal(res.headers['X-Content-Type-Options'], 'nosniff');
 });
 
@@ -96,7 +105,8 @@ test('invalid page parameter returns 400', async () => {
   const res = createMockRes();
   await handler(req, res);
   assert.equal(res.statusCode, 400);
-  assert.match(res.data.error, /Invalid page number/);
+  assert.equal(res.data.error.code, 'INVALID_PAGE');
+  assert.match(res.data.error.message, /Invalid page number/);
 });
 
 test("malformed page parameter returns 400", async () => {
@@ -109,7 +119,8 @@ test("malformed page parameter returns 400", async () => {
   await handler(req, res);
 
   assert.equal(res.statusCode, 400);
-  assert.match(res.data.error, /Invalid page number/);
+  assert.equal(res.data.error.code, 'INVALID_PAGE');
+  assert.match(res.data.error.message, /Invalid page number/);
 });
 
 test("single-item feeds return one book", async () => {
@@ -164,7 +175,8 @@ test('invalid sort parameter returns 400', async () => {
   const res = createMockRes();
   await handler(req, res);
   assert.equal(res.statusCode, 400);
-  assert.match(res.data.error, /Invalid sort parameter format/);
+  assert.equal(res.data.error.code, 'INVALID_SORT');
+  assert.match(res.data.error.message, /Invalid sort parameter format/);
 });
 
 test('invalid order parameter returns 400', async () => {
@@ -175,10 +187,11 @@ test('invalid order parameter returns 400', async () => {
   const res = createMockRes();
   await handler(req, res);
   assert.equal(res.statusCode, 400);
-  assert.match(res.data.error, /Invalid order parameter format/);
+  assert.equal(res.data.error.code, 'INVALID_ORDER');
+  assert.match(res.data.error.message, /Invalid order parameter format/);
 });
 
-test('valid sort and order parameters cannot override chronological ordering', async () => {
+test('passes valid sort and order parameters through to Goodreads', async () => {
   const mockXml = '<rss><channel><title>Test</title>' +
     '<item><book_id>1</book_id><title>Book</title><author_name>Auth</author_name>' +
     '<book_large_image_url></book_large_image_url>' +
@@ -199,12 +212,28 @@ test('valid sort and order parameters cannot override chronological ordering', a
   await handler(req, res);
 
   assert.equal(res.statusCode, 200);
-  assert.match(capturedUrl, /sort=date_read/);
-  assert.match(capturedUrl, /order=a/);
+  assert.equal(new URL(capturedUrl).searchParams.get('sort'), 'date_added');
+  assert.equal(new URL(capturedUrl).searchParams.get('order'), 'd');
 
   global.fetch = originalFetch;
 });
 
+test('accepts the same sort keys as the client', () => {
+  assert.deepEqual([...SORT_KEYS].sort(), [...CONFIG.SORT_KEYS].sort());
+});
+
+test('well-formed sort keys outside the Goodreads allowlist return 400', async () => {
+  const req = {
+    method: 'GET',
+    query: { userId: '123', sort: 'date_deleted' }
+  };
+  const res = createMockRes();
+  await handler(req, res);
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.data.error.code, 'INVALID_SORT');
+  assert.match(res.data.error.message, /Invalid sort parameter format/);
+});
+
 test('default chronological order is applied when not provided', async () => {
   const mockXml = '<rss><channel><title>Test</title>' +
     '<item><book_id>1</book_id><title>Book</title><author_name>Auth</author_name>' +
@@ -232,3 +261,489 @@ test('default chronological order is applied when not provided', async () => {
   global.fetch = originalFetch;
 });
 
+test("normalizes the full Goodreads RSS item into a versioned book object", async () => {
+  const mockXml = "<rss><channel><title>Test</title><item>" +
+    "<book_id>42</book_id><title>1984</title><author_name>George Orwell</author_name>" +
+    "<book_small_image_url>https://i.gr-assets.com/s.jpg</book_small_image_url>" +
+    "<book_medium_image_url>https://i.gr-assets.com/m.jpg</book_medium_image_url>" +
+    "<book_large_image_url>https://i.gr-assets.com/l.jpg</book_large_image_url>" +
+    "<book_description><![CDATA[A <i>dystopian</i> novel.<br/><br/>Big Brother &amp; friends&#39; world.]]></book_description>" +
+    "<book id=\"42\"><num_pages>328</num_pages></book>" +
+    "<isbn>0451524934</isbn><user_rating>5</user_rating><average_rating>4.19</average_rating>" +
+    "<book_published>1949</book_published>" +
+    "<user_read_at><![CDATA[Tue, 20 Aug 2013 00:00:00 -0700]]></user_read_at>" +
+    "<user_date_added><![CDATA[Mon, 01 Jul 2013 10:00:00 -0700]]></user_date_added>" +
+    "<user_shelves>classics, favorites</user_shelves>" +
+    "<user_review><![CDATA[Still <b>chilling</b>.]]></user_review>" +
+    "</item></channel></rss>";
+  const originalFetch = global.fetch;
+  global.fetch = async () => ({ ok: true, text: async () => mockXml });
+
+  try {
+    const res = createMockRes();
+    await handler({ method: "GET", query: { userId: "123" } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.data.schema_version, 2);
+    assert.deepEqual(res.data.items[0], {
+      book_id: 42,
+      title: "1984",
+      author_name: "George Orwell",
+      author_url: null,
+      image_url: "https://i.gr-assets.com/l.jpg",
+      image_url_medium: "https://i.gr-assets.com/m.jpg",
+      image_url_small: "https://i.gr-assets.com/s.jpg",
+      read_at: "2013-08-20T07:00:00.000Z",
+      date_added: "2013-07-01T17:00:00.000Z",
+      user_rating: 5,
+      average_rating: 4.19,
+      num_pages: 328,
+      book_published: 1949,
+      isbn: "0451524934",
+      user_review: "Still chilling.",
+      user_shelves: ["classics", "favorites"],
+      book_description: "A dystopian novel.\n\nBig Brother & friends' world."
+    });
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test("normalizes missing optional fields to empty values", async () => {
+  const mockXml = "<rss><channel><title>Test</title><item>" +
+    "<book_id>7</book_id><title>Untitled</title><author_name>Anon</author_name>" +
+    "<book_large_image_url></book_large_image_url><user_read_at></user_read_at>" +
+    "<user_rating>0</user_rating><isbn></isbn><user_shelves></user_shelves>" +
+    "</item></channel></rss>";
+  const originalFetch = global.fetch;
+  global.fetch = async () => ({ ok: true, text: async () => mockXml });
+
+  try {
+    const res = createMockRes();
+    await handler({ method: "GET", query: { userId: "123" } }, res);
+    const [book] = res.data.items;
+
+    assert.equal(book.read_at, null);
+    assert.equal(book.user_rating, 0);
+    assert.equal(book.num_pages, null);
+    assert.equal(book.book_published, null);
+    assert.equal(book.isbn, "");
+    assert.deepEqual(book.user_shelves, []);
+    assert.equal(book.book_description, "");
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+function createPageXml(bookIds) {
+  return "<rss><channel><title>Shelf</title>" +
+    bookIds.map(id => `<item><book_id>${id}</book_id><title>Book ${id}</title></item>`).join("") +
+    "</channel></rss>";
+}
+
+function getRequestedPage(url) {
+  return Number(new URL(url).searchParams.get("page"));
+}
+
+test("all=1 merges every page into one de-duplicated payload", async () => {
+  const originalFetch = global.fetch;
+  const requestedPages = [];
+  global.fetch = async url => {
+    const page = getRequestedPage(url);
+    requestedPages.push(page);
+    const firstId = (page - 1) * 100;
+    // Book 99 shifts onto page 2 while the shelf is being read
+    const ids = page === 1 ? Array.from({ length: 100 }, (_, i) => firstId + i)
+      : page === 2 ? [99, ...Array.from({ length: 99 }, (_, i) => firstId + i)]
+      : page === 3 ? Array.from({ length: 50 }, (_, i) => firstId + i)
+      : [];
+    return { ok: true, text: async () => createPageXml(ids) };
+  };
+
+  try {
+    const res = createMockRes();
+    await handler({ method: "GET", query: { userId: "123", all: "1", page: "junk" } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.data.pages, 3);
+    assert.equal(res.data.total, 249);
+    assert.equal(res.data.items.length, 249);
+    assert.equal(new Set(res.data.items.map(book => book.book_id)).size, 249);
+    assert.equal(res.data.items[100].book_id, 100);
+    assert.equal(res.data.truncated, false);
+    assert.equal(res.data.truncated_reason, null);
+    assert.equal(requestedPages[0], 1);
+    assert.ok(requestedPages.every(page => page <= 6));
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test("all=1 rejects shelves beyond the Goodreads page limit", async () => {
+  const originalFetch = global.fetch;
+  let requestCount = 0;
+  global.fetch = async url => {
+    requestCount++;
+    const firstId = (getRequestedPage(url) - 1) * 100;
+    return {
+      ok: true,
+      text: async () => createPageXml(Array.from({ length: 100 }, (_, i) => firstId + i))
+    };
+  };
+
+  try {
+    const res = createMockRes();
+    await handler({ method: "GET", query: { userId: "123", all: "1" } }, res);
+
+    assert.equal(res.statusCode, 422);
+    assert.equal(res.data.error.code, "SHELF_TOO_LARGE");
+    assert.deepEqual(res.data.error.details, { limit: 2000 });
+    assert.equal(requestCount, 21);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test("all=1 returns the pages fetched within the time budget", async () => {
+  const originalFetch = global.fetch;
+  const originalSetTimeout = global.setTimeout;
+  global.setTimeout = (callback, delay) => originalSetTimeout(callback, delay === 8000 ? 10 : delay);
+  global.fetch = (url, { signal }) => {
+    const page = getRequestedPage(url);
+    if (page > 2) {
+      return new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => reject(new DOMException("Aborted", "AbortError")));
+      });
+    }
+    const firstId = (page - 1) * 100;
+    return Promise.resolve({
+      ok: true,
+      text: async () => createPageXml(Array.from({ length: 100 }, (_, i) => firstId + i))
+    });
+  };
+
+  try {
+    const res = createMockRes();
+    await handler({ method: "GET", query: { userId: "123", all: "1" } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.data.pages, 2);
+    assert.equal(res.data.total, 200);
+    assert.equal(res.data.truncated, true);
+    assert.equal(res.data.truncated_reason, "time_budget");
+    assert.equal(res.headers["Cache-Control"], "no-store");
+  } finally {
+    global.fetch = originalFetch;
+    global.setTimeout = originalSetTimeout;
+  }
+});
+
+test("all=1 marks a full shelf as truncated when the lookahead page runs out of time", async () => {
+  const originalFetch = global.fetch;
+  const originalSetTimeout = global.setTimeout;
+  global.setTimeout = (callback, delay) => originalSetTimeout(callback, delay === 8000 ? 10 : delay);
+  global.fetch = (url, { signal }) => {
+    const page = getRequestedPage(url);
+    if (page > 20) {
+      return new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => reject(new DOMException("Aborted", "AbortError")));
+      });
+    }
+    const firstId = (page - 1) * 100;
+    return Promise.resolve({
+      ok: true,
+      text: async () => createPageXml(Array.from({ length: 100 }, (_, i) => firstId + i))
+    });
+  };
+
+  try {
+    const res = createMockRes();
+    await handler({ method: "GET", query: { userId: "123", all: "1" } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.data.pages, 20);
+    assert.equal(res.data.total, 2000);
+    assert.equal(res.data.truncated, true);
+    assert.equal(res.data.truncated_reason, "time_budget");
+    assert.equal(res.headers["Cache-Control"], "no-store");
+    assert.equal(res.headers.ETag, undefined);
+  } finally {
+    global.fetch = originalFetch;
+    global.setTimeout = originalSetTimeout;
+  }
+});
+
+test("invalid all parameter returns 400", async () => {
+  const res = createMockRes();
+  await handler({ method: "GET", query: { userId: "123", all: "yes" } }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.data.error.code, 'INVALID_PARAMETER');
+  assert.deepEqual(res.data.error.details, { parameter: 'all' });
+});
+
+test("passes Goodreads rate limiting through with a Retry-After header", async () => {
+  const originalFetch = global.fetch;
+  const originalConsoleError = console.error;
+  global.fetch = async () => ({
+    ok: false,
+    status: 429,
+    headers: new Headers({ "Retry-After": "30" })
+  });
+  console.error = () => {};
+
+  try {
+    const res = createMockRes();
+    await handler({ method: "GET", query: { userId: "123" } }, res);
+
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers["Retry-After"], "30");
+    assert.equal(res.data.error.code, "UPSTREAM_RATE_LIMITED");
+    assert.equal(res.data.error.retryable, true);
+    assert.deepEqual(res.data.error.details, { retryAfter: 30 });
+  } finally {
+    global.fetch = originalFetch;
+    console.error = originalConsoleError;
+  }
+});
+
+test("adds a default Retry-After when Goodreads is unavailable without one", async () => {
+  const originalFetch = global.fetch;
+  const originalConsoleError = console.error;
+  global.fetch = async () => ({ ok: false, status: 503, headers: new Headers() });
+  console.error = () => {};
+
+  try {
+    const res = createMockRes();
+    await handler({ method: "GET", query: { userId: "123" } }, res);
+
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.headers["Retry-After"], "5");
+  } finally {
+    global.fetch = originalFetch;
+    console.error = originalConsoleError;
+  }
+});
+
+test("sends edge cache headers and a strong ETag with shelf pages", async () => {
+  const originalFetch = global.fetch;
+  global.fetch = async () => ({ ok: true, text: async () => createPageXml([1, 2]) });
+
+  try {
+    const res = createMockRes();
+    await handler({ method: "GET", query: { userId: "123", shelf: "read", page: "2" } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers["Cache-Control"], /s-maxage=\d+/);
+    assert.match(res.headers["Cache-Control"], /stale-while-revalidate=\d+/);
+    assert.match(res.headers.ETag, /^"[A-Za-z0-9_-]+"$/);
+
+    const otherPageRes = createMockRes();
+    await handler({ method: "GET", query: { userId: "123", shelf: "read", page: "3" } }, otherPageRes);
+    assert.notEqual(otherPageRes.headers.ETag, res.headers.ETag);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test("answers a matching If-None-Match with 304 and no body", async () => {
+  const originalFetch = global.fetch;
+  global.fetch = async () => ({ ok: true, text: async () => createPageXml([1, 2]) });
+
+  try {
+    const first = createMockRes();
+    await handler({ method: "GET", query: { userId: "123" } }, first);
+
+    const revalidation = createMockRes();
+    await handler({
+      method: "GET",
+      query: { userId: "123" },
+      headers: { "if-none-match": `"stale", ${first.headers.ETag}` }
+    }, revalidation);
+
+    assert.equal(revalidation.statusCode, 304);
+    assert.equal(revalidation.ended, true);
+    assert.equal(revalidation.data, null);
+    assert.equal(revalidation.headers.ETag, first.headers.ETag);
+
+    const changed = createMockRes();
+    await handler({
+      method: "GET",
+      query: { userId: "123" },
+      headers: { "if-none-match": "\"stale\"" }
+    }, changed);
+    assert.equal(changed.statusCode, 200);
+    assert.equal(changed.data.items.length, 2);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test("marks error responses as uncacheable", async () => {
+  const res = createMockRes();
+  await handler({ method: "GET", query: { userId: "abc" } }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.headers["Cache-Control"], "no-store");
+  assert.equal(res.headers.ETag, undefined);
+});
+
+test("keeps the private feed key out of cache keys and error logs", async () => {
+  const originalFetch = global.fetch;
+  const originalConsoleError = console.error;
+  const logged = [];
+  global.fetch = async url => {
+    throw new TypeError(`fetch failed for ${url}`);
+  };
+  console.error = (...args) => logged.push(args.join(" "));
+
+  try {
+    const feed = { userId: "123", shelf: "read", key: "private-key", sort: "date_read", order: "a" };
+    assert.equal(getCacheKey(feed, 2), "goodreads:123:read:2:date_read:a");
+
+    const res = createMockRes();
+    await handler({ method: "GET", query: { userId: "123", key: "private-key", page: "2" } }, res);
+
+    assert.equal(res.statusCode, 500);
+    assert.match(logged.join("\n"), /goodreads:123:read:2:date_read:a/);
+    assert.doesNotMatch(logged.join("\n"), /private-key/);
+  } finally {
+    global.fetch = originalFetch;
+    console.error = originalConsoleError;
+  }
+});
+
+test("maps Goodreads failures to stable error codes", async () => {
+  const originalFetch = global.fetch;
+  const originalConsoleError = console.error;
+  console.error = () => {};
+  const cases = [
+    [async () => ({ ok: false, status: 403 }), 403, "PRIVATE_SHELF_KEY_REQUIRED", false],
+    [async () => ({ ok: false, status: 404 }), 404, "SHELF_NOT_FOUND", false],
+    [async () => ({ ok: false, status: 500 }), 502, "UPSTREAM_ERROR", true],
+    [async () => { throw new DOMException("Aborted", "AbortError"); }, 504, "UPSTREAM_TIMEOUT", true],
+    [async () => ({ ok: true, text: async () => "<rss><channel><item>" }), 502, "UPSTREAM_BAD_XML", true],
+    [async () => { throw new TypeError("boom"); }, 500, "INTERNAL_ERROR", true]
+  ];
+
+  try {
+    for (const [fetchImplementation, status, code, retryable] of cases) {
+      global.fetch = fetchImplementation;
+      const res = createMockRes();
+      await handler({ method: "GET", query: { userId: "123" } }, res);
+
+      assert.equal(res.statusCode, status, code);
+      assert.equal(res.data.error.code, code);
+      assert.equal(res.data.error.retryable, retryable, code);
+      assert.equal(typeof res.data.error.message, "string");
+    }
+  } finally {
+    global.fetch = originalFetch;
+    console.error = originalConsoleError;
+  }
+});
+
+test("tells apart login redirects, non-RSS pages, unknown shelves and empty shelves", async () => {
+  const originalFetch = global.fetch;
+  const originalConsoleError = console.error;
+  console.error = () => {};
+  const emptyChannel = title => `<rss><channel><title>${title}</title></channel></rss>`;
+  const cases = [
+    [
+      { key: "stale-key" },
+      async () => ({ ok: true, status: 200, redirected: true, url: "https://www.goodreads.com/user/sign_in", text: async () => "<p>Sign in</p>" }),
+      403, "PRIVATE_SHELF_KEY_REQUIRED", { keyProvided: true }
+    ],
+    [
+      {},
+      async () => ({ ok: true, text: async () => "<!DOCTYPE html><html><body>Something went wrong</body></html>" }),
+      502, "UPSTREAM_NOT_RSS", {}
+    ],
+    [
+      {},
+      async () => ({ ok: true, text: async () => "<feed><entry></entry></feed>" }),
+      502, "UPSTREAM_NOT_RSS", {}
+    ],
+    [
+      { shelf: "favourites" },
+      async () => ({ ok: true, text: async () => emptyChannel("Jane's bookshelf: all") }),
+      404, "SHELF_NOT_FOUND", { shelf: "favourites" }
+    ]
+  ];
+
+  try {
+    for (const [query, fetchImplementation, status, code, details] of cases) {
+      global.fetch = fetchImplementation;
+      const res = createMockRes();
+      await handler({ method: "GET", query: { userId: "123", ...query } }, res);
+
+      assert.equal(res.statusCode, status, code);
+      assert.equal(res.data.error.code, code);
+      assert.deepEqual(res.data.error.details, details);
+    }
+
+    global.fetch = async () => ({ ok: true, text: async () => emptyChannel("Jane's bookshelf: favourites") });
+    const emptyShelfRes = createMockRes();
+    await handler({ method: "GET", query: { userId: "123", shelf: "favourites" } }, emptyShelfRes);
+
+    assert.equal(emptyShelfRes.statusCode, 200);
+    assert.deepEqual(emptyShelfRes.data.items, []);
+    assert.equal(emptyShelfRes.data.hasMore, false);
+  } finally {
+    global.fetch = originalFetch;
+    console.error = originalConsoleError;
+  }
+});
+
+async function requestFixtureShelf(query) {
+  const originalUpstream = process.env.GOODREADS_UPSTREAM;
+  const originalConsoleError = console.error;
+  process.env.GOODREADS_UPSTREAM = FIXTURE_DIR;
+  console.error = () => {};
+
+  try {
+    const res = createMockRes();
+    await handler({ method: 'GET', query: { userId: '1000001', ...query } }, res);
+    return res;
+  } finally {
+    if (originalUpstream === undefined) {
+      delete process.env.GOODREADS_UPSTREAM;
+    } else {
+      process.env.GOODREADS_UPSTREAM = originalUpstream;
+    }
+    console.error = originalConsoleError;
+  }
+}
+
+test('merges recorded fixture pages without network access', async () => {
+  const res = await requestFixtureShelf({ shelf: 'read', all: '1' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.data.pages, 2);
+  assert.equal(res.data.total, 137);
+  assert.equal(res.data.title, "Fixture Reader's bookshelf: read");
+});
+
+test('normalizes fixture books with odd characters', async () => {
+  const res = await requestFixtureShelf({ shelf: 'odd-characters' });
+  const books = new Map(res.data.items.map(book => [book.book_id, book]));
+
+  assert.equal(books.get(1984).title, '1984');
+  assert.equal(books.get(1984).isbn, '0451524934');
+  assert.equal(books.get(1984).book_description, 'A dystopian novel.\nBig Brother is watching & listening.');
+  assert.equal(books.get(1342).title, 'Pride & Prejudice');
+  assert.equal(books.get(320).author_name, 'Gabriel García Márquez');
+  assert.equal(books.get(7070).title, 'Émile & the <Detectives>');
+  assert.equal(books.get(7070).read_at, null);
+  assert.deepEqual(books.get(7070).user_shelves, ['kids', 'favorites']);
+  assert.equal(books.get(8080).title, 'ألف ليلة وليلة');
+  assert.equal(books.get(9090).book_description, 'Emoji 🚀 and astral plane 🌌');
+});
+
+test('maps fixture shelves to their Goodreads error responses', async () => {
+  assert.equal((await requestFixtureShelf({ shelf: 'private-notes' })).data.error.code, 'PRIVATE_SHELF_KEY_REQUIRED');
+  assert.equal((await requestFixtureShelf({ shelf: 'private-notes', key: 'fixture-key' })).data.items.length, 3);
+  assert.equal((await requestFixtureShelf({ shelf: 'missing' })).data.error.code, 'SHELF_NOT_FOUND');
+  assert.equal((await requestFixtureShelf({ shelf: 'huge', all: '1' })).data.error.code, 'SHELF_TOO_LARGE');
+  assert.deepEqual((await requestFixtureShelf({ shelf: 'empty' })).data.items, []);
+});
@@ -32,6 +32,10 @@ after(() => {
   global.window = originalWindow;
 });
 
+function createItemStream() {
+  return { items: [], order: [0], addCover() {}, isComplete: () => false, getLoadOrder: () => [0] };
+}
+
 function configureApp(app) {
   app.bookDataService.getBooks = () => [{ title: "Book", image_url: "cover.jpg" }];
   app.uiManager = {
@@ -56,7 +60,8 @@ test("does not render an in-flight build after the app is destroyed", async () =
   });
   app.coverFlowRenderer = {
     cleanup() {},
-    renderWall() {
+    createBookItemStream: createItemStream,
+    renderProgressiveWall() {
       rendered = true;
       return {};
     }
@@ -87,7 +92,8 @@ test("stops before rendering when no book covers can be loaded", async () => {
     return true;
   };
   app.coverFlowRenderer = {
-    renderWall() {
+    createBookItemStream: createItemStream,
+    renderProgressiveWall() {
       rendered = true;
       return {};
     }
@@ -133,4 +139,354 @@ test("ignores service progress and rejection after destruction", async () => {
 
   assert.equal(progressUpdates, 0);
   assert.equal(shownErrors, 0);
-});
\ No newline at end of file
+});
+
+test("starts the wall once enough covers are ready and keeps loading behind it", async () => {
+  const app = new BookCoverFlowApp();
+  configureApp(app);
+  const books = [{ title: "First" }, { title: "Second" }, { title: "Third" }];
+  app.bookDataService.getBooks = () => books;
+  const addedCovers = [];
+  const events = [];
+  app.coverFlowRenderer = {
+    createBookItemStream: () => ({
+      items: [],
+      order: [2, 0, 1],
+      addCover: index => addedCovers.push(index),
+      isComplete: () => addedCovers.length === books.length,
+      getLoadOrder: () => [2, 0, 1]
+    }),
+    canStartProgressiveWall: items => addedCovers.length >= 2,
+    renderProgressiveWall() {
+      events.push("progressive");
+      return { columns: [], items: [] };
+    }
+  };
+  app.animationController = { stop() {}, start() { events.push("start"); } };
+  app.imageLoader.preloadImages = async (loadedBooks, { order, onCover }) => {
+    order.forEach(index => {
+      onCover(index, createElement());
+      events.push(`cover ${index}`);
+    });
+    return loadedBooks.map(() => createElement());
+  };
+
+  await app.buildWall();
+
+  assert.deepEqual(addedCovers, [2, 0, 1]);
+  assert.deepEqual(events, ["cover 2", "progressive", "start", "cover 0", "cover 1"]);
+});
+
+test("opens a small shelf that finished loading on its first item, as a loading wall would", async () => {
+  const app = new BookCoverFlowApp();
+  configureApp(app);
+  const starts = [];
+  app.coverFlowRenderer = {
+    createBookItemStream: createItemStream,
+    canStartProgressiveWall: () => false,
+    renderProgressiveWall(items, width, height, startItemIdx) {
+      starts.push(startItemIdx);
+      return { columns: [], items };
+    }
+  };
+  app.animationController = { stop() {}, start() {} };
+  app.imageLoader.preloadImages = async loadedBooks => loadedBooks.map(() => createElement());
+
+  await app.buildWall();
+
+  assert.deepEqual(starts, [0]);
+});
+
+test("deals a parallax wall's books out to lanes that each watch their own memory budget", async () => {
+  const app = new BookCoverFlowApp();
+  configureApp(app);
+  app.displayMode = "parallax";
+  const books = [{ title: "First" }, { title: "Second" }, { title: "Third" }, { title: "Fourth" }];
+  app.bookDataService.getBooks = () => books;
+  const items = [];
+  let startedLanes = null;
+  app.coverFlowRenderer = {
+    createBookItemStream: () => ({
+      items,
+      order: [0, 1, 2, 3],
+      addCover: index => items.push({ type: "book", book: books[index], image: createElement(), index }),
+      isComplete: () => items.length === books.length,
+      getLoadOrder: () => [0, 1, 2, 3]
+    }),
+    canStartParallaxWall: laneItems => laneItems.every(lane => lane.length > 0),
+    renderParallaxWall: laneItems => laneItems.map(lane => ({
+      columns: [{}],
+      items: lane,
+      columnLayouts: Object.assign(() => ({ entries: [] }), { getState: () => ({ nextItemIdx: 0 }) }),
+      previousColumnLayouts: null
+    }))
+  };
+  app.animationController = {
+    stop() {},
+    getLaneDirection: () => "left",
+    startParallax(lanes) { startedLanes = lanes; }
+  };
+  app.imageLoader.preloadImages = async (loadedBooks, { order, onCover }) => {
+    order.forEach(index => onCover(index, createElement()));
+    return loadedBooks.map(() => createElement());
+  };
+
+  await app.buildWall();
+
+  // Three lanes start once each has a book, and the fourth book joins the first lane behind them
+  assert.equal(startedLanes.length, 3);
+  assert.deepEqual(startedLanes.map(lane => lane.items.map(item => item.book.title)), [["First", "Fourth"], ["Second"], ["Third"]]);
+  assert.equal(startedLanes.every(lane => lane.entering === lane.columnLayouts), true);
+  assert.notEqual(startedLanes[0].columnLayouts, startedLanes[1].columnLayouts);
+});
+
+test("puts covers that load on a retry into the parallax lane that holds or gets the book", async () => {
+  const app = new BookCoverFlowApp();
+  configureApp(app);
+  app.displayMode = "parallax";
+  const books = [{ title: "First" }, { title: "Late" }, { title: "Third" }, { title: "Fourth" }];
+  app.bookDataService.getBooks = () => books;
+  const items = [];
+  const inserted = [];
+  let startedLanes = null;
+  let retryCover;
+  let finishLoading;
+  app.coverFlowRenderer = {
+    createBookItemStream: () => ({
+      items,
+      order: [0, 1, 2, 3],
+      addCover: (index, image) => image && items.push({ type: "book", book: books[index], image, index }),
+      isComplete: () => false,
+      getLoadOrder: () => [0, 1, 2, 3],
+      addRetriedCover: (index, image) => {
+        const existing = items.find(item => item.index === index);
+        if (existing) return { item: existing, at: items.indexOf(existing), count: 0 };
+        const item = { type: "book", book: books[index], image, index };
+        items.splice(1, 0, item);
+        return { item, at: 1, count: 1 };
+      }
+    }),
+    canStartParallaxWall: laneItems => laneItems.every(lane => lane.length > 0),
+    renderParallaxWall: laneItems => laneItems.map((lane, laneIdx) => ({
+      columns: [{}],
+      items: lane,
+      columnLayouts: Object.assign(() => ({ entries: [] }), {
+        getState: () => ({ nextItemIdx: 0 }),
+        insertItems: (at, count) => inserted.push([laneIdx, at, count])
+      }),
+      previousColumnLayouts: null
+    })),
+    releaseCover() {}
+  };
+  app.animationController = {
+    stop() {},
+    getLaneDirection: () => "left",
+    startParallax(lanes) { startedLanes = lanes; },
+    releaseCover() {}
+  };
+  app.imageLoader.preloadImages = async (loadedBooks, { order, onCover, onRetriedCover }) => {
+    retryCover = onRetriedCover;
+    order.forEach(index => onCover(index, index === 1 ? null : createElement()));
+    return new Promise(resolve => {
+      finishLoading = () => resolve(loadedBooks.map(() => createElement()));
+    });
+  };
+
+  const build = app.buildWall();
+  const cover = { naturalWidth: 2, naturalHeight: 3 };
+  retryCover(1, cover);
+  retryCover(0, cover);
+
+  // The late book goes before Third, in Third's lane, and each cover counts against its own lane's budget
+  assert.deepEqual(startedLanes.map(lane => lane.items.map(item => item.book.title)), [["First"], ["Late", "Third"], ["Fourth"]]);
+  assert.deepEqual(inserted, [[1, 0, 1]]);
+  assert.equal(items[0].image, cover);
+  assert.deepEqual(startedLanes.map(lane => lane.memory.getDecodedBytes()), [24, 24, 0]);
+  assert.equal(app.coverMemory.getDecodedBytes(), 0);
+  finishLoading();
+  await build;
+});
+
+test("starts the carousel once it can fill both sides and leaves it alone on resize", async () => {
+  const app = new BookCoverFlowApp();
+  configureApp(app);
+  const books = [{ title: "First" }, { title: "Second" }, { title: "Third" }];
+  app.bookDataService.getBooks = () => books;
+  const items = [];
+  const events = [];
+  app.coverFlowRenderer = {
+    createBookItemStream: () => ({
+      items,
+      order: [0, 1, 2],
+      addCover: index => items.push({ type: "book", index }),
+      isComplete: () => items.length === books.length,
+      getLoadOrder: () => [0, 1, 2]
+    })
+  };
+  app.animationController = { stop() {}, isAnimationRunning: () => false };
+  app.carouselRenderer = {
+    stop() {},
+    canStart: startItems => startItems.length >= 2,
+    start: startItems => events.push(`carousel ${startItems.length}`)
+  };
+  app.imageLoader.preloadImages = async (loadedBooks, { order, onCover }) => {
+    order.forEach(index => {
+      onCover(index, createElement());
+      events.push(`cover ${index}`);
+    });
+    return loadedBooks.map(() => createElement());
+  };
+
+  await app.buildWall();
+  app.loadingWall = { started: true };
+  app.resizeLoadingWall = () => events.push("refit");
+  app.buildWall = () => events.push("rebuild");
+  app.handleResize();
+  await new Promise(resolve => setTimeout(resolve, 300));
+
+  assert.deepEqual(events, ["cover 0", "carousel 2", "cover 1", "cover 2"]);
+});
+
+test("refits a wall that is still loading on resize without restarting the load", async () => {
+  const app = new BookCoverFlowApp();
+  configureApp(app);
+  const books = [{ title: "First" }, { title: "Second" }, { title: "Third" }];
+  app.bookDataService.getBooks = () => books;
+  const items = books.map((book, index) => ({ type: "book", book, index }));
+  const renders = [];
+  let preloads = 0;
+  let prioritized = null;
+  let finishLoading;
+  app.coverFlowRenderer = {
+    cleanup() {},
+    createBookItemStream: () => ({
+      items,
+      order: [0, 1, 2],
+      addCover() {},
+      isComplete: () => false,
+      getLoadOrder: fromBookIndex => fromBookIndex === 2 ? [2, 0, 1] : [0, 1, 2]
+    }),
+    canStartProgressiveWall: () => true,
+    renderProgressiveWall(wallItems, width, height, startItemIdx) {
+      renders.push([width, startItemIdx]);
+      return {
+        columns: [],
+        items: wallItems,
+        columnLayouts: Object.assign(() => ({ entries: [] }), { getState: () => ({ nextItemIdx: 2 }) })
+      };
+    }
+  };
+  app.animationController = { stop() {}, start() {}, isAnimationRunning: () => true };
+  app.imageLoader.prioritize = indexes => {
+    prioritized = indexes;
+  };
+  app.imageLoader.preloadImages = (loadedBooks, { onCover }) => {
+    preloads++;
+    onCover(0, createElement());
+    return new Promise(resolve => {
+      finishLoading = () => resolve(loadedBooks.map(() => createElement()));
+    });
+  };
+
+  const build = app.buildWall();
+  app.uiManager.getViewportSize = () => ({ width: 1600, height: 800 });
+  app.resizeLoadingWall(app.loadingWall);
+  finishLoading();
+  await build;
+
+  assert.equal(preloads, 1);
+  assert.deepEqual(renders, [[1200, 0], [1600, 2]]);
+  assert.deepEqual(prioritized, [2, 0, 1]);
+  assert.equal(app.loadingWall, null);
+});
+
+test("moves the books a loading wall reaches next to the front of the queue as it plans columns", async () => {
+  const app = new BookCoverFlowApp();
+  configureApp(app);
+  const books = [{ title: "First" }, { title: "Second" }, { title: "Third" }];
+  app.bookDataService.getBooks = () => books;
+  const items = books.map((book, index) => ({ type: "book", book, index }));
+  const prioritized = [];
+  let nextItemIdx = 0;
+  let planColumn;
+  let finishLoading;
+  app.coverFlowRenderer = {
+    createBookItemStream: () => ({
+      items,
+      order: [0, 1, 2],
+      addCover() {},
+      isComplete: () => false,
+      getLoadOrder: fromBookIndex => [fromBookIndex]
+    }),
+    canStartProgressiveWall: () => true,
+    renderProgressiveWall: wallItems => ({
+      columns: [],
+      items: wallItems,
+      columnLayouts: Object.assign(() => ({ entries: [] }), { getState: () => ({ nextItemIdx }) })
+    })
+  };
+  app.animationController = {
+    stop() {},
+    start(columns, colWidth, wallItems, columnLayouts) {
+      planColumn = columnLayouts;
+    }
+  };
+  app.imageLoader.prioritize = indexes => prioritized.push(indexes);
+  app.imageLoader.preloadImages = (loadedBooks, { onCover }) => {
+    onCover(0, createElement());
+    return new Promise(resolve => {
+      finishLoading = () => resolve(loadedBooks.map(() => createElement()));
+    });
+  };
+
+  const build = app.buildWall();
+  nextItemIdx = 2;
+  planColumn();
+  planColumn();
+  finishLoading();
+  await build;
+  nextItemIdx = 1;
+  planColumn();
+
+  assert.deepEqual(prioritized, [[2]]);
+});
+
+test("puts covers that load on a retry onto the running wall", async () => {
+  const app = new BookCoverFlowApp();
+  configureApp(app);
+  const drawnItem = { type: "book", book: { title: "Drawn" }, index: 0, image: createElement() };
+  const retryResults = { 0: { item: drawnItem, at: 0, count: 0 }, 1: { item: {}, at: 1, count: 2 } };
+  const inserted = [];
+  const released = [];
+  let retryCover;
+  app.coverFlowRenderer = {
+    createBookItemStream: () => ({ ...createItemStream(), addRetriedCover: index => retryResults[index] }),
+    renderProgressiveWall: () => ({
+      columns: [],
+      items: [drawnItem],
+      columnLayouts: Object.assign(() => ({ entries: [] }), {
+        getState: () => ({ nextItemIdx: 0 }),
+        insertItems: (at, count) => inserted.push([at, count])
+      })
+    }),
+    releaseCover: item => released.push(["renderer", item.index])
+  };
+  app.animationController = {
+    stop() {},
+    start() {},
+    releaseCover: item => released.push(["animation", item.index])
+  };
+  app.imageLoader.preloadImages = async (loadedBooks, { onRetriedCover }) => {
+    retryCover = onRetriedCover;
+    return loadedBooks.map(() => createElement());
+  };
+
+  await app.buildWall();
+  const cover = { naturalWidth: 200, naturalHeight: 300 };
+  retryCover(0, cover);
+  retryCover(1, cover);
+
+  assert.equal(drawnItem.image, cover);
+  assert.deepEqual(released, [["renderer", 0], ["animation", 0]]);
+  assert.deepEqual(inserted, [[1, 2]]);
+});
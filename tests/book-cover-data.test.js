@@ -0,0 +1,20 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { formatReadDate, setBookCoverData } from "../public/js/book-cover-data.js";
+
+test("tags a cover with its book's read date and shelf position", () => {
+  const attributes = {};
+  const imgNode = { setAttribute: (name, value) => { attributes[name] = value; } };
+
+  setBookCoverData(imgNode, { book: { read_at: "2024-03-04T00:00:00.000Z" }, index: 7 });
+  assert.deepEqual(attributes, { "data-read-at": "2024-03-04T00:00:00.000Z", "data-book-index": "7" });
+
+  setBookCoverData(imgNode, { book: {}, index: 0 });
+  assert.deepEqual(attributes, { "data-read-at": "", "data-book-index": "0" });
+});
+
+test("formats read dates and leaves missing or invalid ones empty", () => {
+  assert.equal(formatReadDate("2024-03-04T00:00:00.000Z"), "Read March 4, 2024");
+  assert.equal(formatReadDate(""), "");
+  assert.equal(formatReadDate("not a date"), "");
+});
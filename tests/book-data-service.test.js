@@ -1,8 +1,22 @@
 import test from "node:test";
 import assert from "node:assert/strict";
-import { BookDataService } from "../public/js/book-data-service.js";
+import { BookDataService, fetchPagesInOrder, getRetryDelay, mergeShelfBooks } from "../public/js/book-data-service.js";
+import { ApiError, NetworkError, PrivateShelfError, ShelfTooLargeError, UpstreamError } from "../public/js/api-errors.js";
 
-test("preserves chronological order across API pages", async () => {
+function isAllPagesRequest(url) {
+  return new URL(url, "https://example.test").searchParams.get("all") === "1";
+}
+
+function getRequestedPage(url) {
+  return Number(new URL(url, "https://example.test").searchParams.get("page"));
+}
+
+// Simulates an API without merged-shelf support so the paged fallback runs
+const allPagesUnavailable = { ok: false, status: 404 };
+
+const emptyPage = { items: [], title: "Shelf", hasMore: false };
+
+test("preserves chronological order across paged fallback requests", async () => {
   const originalFetch = global.fetch;
   const originalSetTimeout = global.setTimeout;
   const originalWindow = global.window;
@@ -10,10 +24,10 @@ test("preserves chronological order across API pages", async () => {
     { items: [{ title: "oldest" }, { title: "older" }], title: "Shelf", hasMore: true },
     { items: [{ title: "newer" }, { title: "newest" }], title: "Shelf", hasMore: false }
   ];
-  global.fetch = async () => ({
+  global.fetch = async url => isAllPagesRequest(url) ? allPagesUnavailable : {
     ok: true,
-    json: async () => pages.shift()
-  });
+    json: async () => pages[getRequestedPage(url) - 1] ?? emptyPage
+  };
   global.setTimeout = callback => {
     callback();
     return 0;
@@ -40,7 +54,8 @@ test("reports when a lookahead finds books beyond the supported pagination limit
   const originalSetTimeout = global.setTimeout;
   const originalWindow = global.window;
   let requestCount = 0;
-  global.fetch = async () => {
+  global.fetch = async url => {
+    if (isAllPagesRequest(url)) return allPagesUnavailable;
     requestCount++;
     return {
       ok: true,
@@ -78,7 +93,8 @@ test("accepts exactly 2,000 books after an empty lookahead page", async () => {
   const originalWindow = global.window;
   const pageItems = Array.from({ length: 100 }, (_, index) => ({ title: `Book ${index}` }));
   let requestCount = 0;
-  global.fetch = async () => {
+  global.fetch = async url => {
+    if (isAllPagesRequest(url)) return allPagesUnavailable;
     requestCount++;
     return {
       ok: true,
@@ -129,4 +145,608 @@ test("destroy aborts an in-flight API request", async () => {
     global.fetch = originalFetch;
     global.window = originalWindow;
   }
-});
\ No newline at end of file
+});
+
+test("uses the merged shelf payload in a single request", async () => {
+  const originalFetch = global.fetch;
+  const originalWindow = global.window;
+  const requestedUrls = [];
+  const progress = [];
+  global.fetch = async url => {
+    requestedUrls.push(url);
+    return {
+      ok: true,
+      json: async () => ({
+        items: [{ title: "oldest" }, { title: "newest" }],
+        total: 2,
+        pages: 1,
+        title: "Shelf",
+        truncated: false,
+        truncated_reason: null
+      })
+    };
+  };
+  global.window = { location: { search: "?userId=123&shelf=read" } };
+
+  try {
+    const service = new BookDataService();
+    service.setProgressCallback((...args) => progress.push(args));
+    const books = await service.initialize();
+
+    assert.deepEqual(books.map(book => book.title), ["oldest", "newest"]);
+    assert.equal(service.getChannelTitle(), "Shelf");
+    assert.equal(requestedUrls.length, 1);
+    assert.ok(isAllPagesRequest(requestedUrls[0]));
+    assert.deepEqual(progress.at(-2), ["fetch_progress", 2, 1]);
+    assert.deepEqual(progress.at(-1), ["fetch_complete", 2]);
+  } finally {
+    global.fetch = originalFetch;
+    global.window = originalWindow;
+  }
+});
+
+test("falls back to paged requests when the merged shelf ran out of time", async () => {
+  const originalFetch = global.fetch;
+  const originalSetTimeout = global.setTimeout;
+  const originalWindow = global.window;
+  const pages = [
+    { items: [{ title: "oldest" }], title: "Shelf", hasMore: true },
+    { items: [{ title: "newest" }], title: "Shelf", hasMore: false }
+  ];
+  global.fetch = async url => ({
+    ok: true,
+    json: async () => isAllPagesRequest(url)
+      ? { items: [{ title: "oldest" }], total: 1, pages: 1, title: "Shelf", truncated: true, truncated_reason: "time_budget" }
+      : pages[getRequestedPage(url) - 1] ?? emptyPage
+  });
+  global.setTimeout = callback => {
+    callback();
+    return 0;
+  };
+  global.window = { location: { search: "?userId=123&shelf=read" } };
+
+  try {
+    const service = new BookDataService();
+    const books = await service.initialize();
+
+    assert.deepEqual(books.map(book => book.title), ["oldest", "newest"]);
+  } finally {
+    global.fetch = originalFetch;
+    global.setTimeout = originalSetTimeout;
+    global.window = originalWindow;
+  }
+});
+
+test("pages on from where a merged shelf that ran out of time stopped", async () => {
+  const originalFetch = global.fetch;
+  const originalWindow = global.window;
+  const requestedPages = [];
+  const progress = [];
+  global.fetch = async url => {
+    if (isAllPagesRequest(url)) {
+      return {
+        ok: true,
+        json: async () => ({
+          items: [{ title: "first" }, { title: "second" }],
+          total: 2,
+          pages: 2,
+          title: "Shelf",
+          truncated: true,
+          truncated_reason: "time_budget"
+        })
+      };
+    }
+
+    const page = getRequestedPage(url);
+    requestedPages.push(page);
+    return {
+      ok: true,
+      json: async () => page === 3
+        ? { items: [{ title: "third" }], title: "Shelf", hasMore: false }
+        : emptyPage
+    };
+  };
+  global.window = { location: { search: "?userId=123&shelf=read" } };
+
+  try {
+    const service = new BookDataService();
+    service.setProgressCallback((...args) => progress.push(args));
+    const books = await service.initialize();
+
+    assert.deepEqual(books.map(book => book.title), ["first", "second", "third"]);
+    assert.deepEqual(requestedPages.sort((a, b) => a - b), [3, 4, 5, 6]);
+    assert.deepEqual(
+      progress.filter(([event]) => event === "fetch_progress").map(([, count, page]) => [count, page]),
+      [[2, 2], [3, 3]]
+    );
+  } finally {
+    global.fetch = originalFetch;
+    global.window = originalWindow;
+  }
+});
+
+test("reports a merged shelf over the Goodreads page limit without falling back to paged requests", async () => {
+  const originalFetch = global.fetch;
+  const originalWindow = global.window;
+  let requestCount = 0;
+  global.fetch = async () => {
+    requestCount++;
+    return {
+      ok: false,
+      status: 422,
+      json: async () => ({
+        error: {
+          code: "SHELF_TOO_LARGE",
+          message: "This shelf contains more than 2,000 books and cannot be loaded completely.",
+          retryable: false,
+          details: { limit: 2000 }
+        }
+      })
+    };
+  };
+  global.window = { location: { search: "?userId=123&shelf=read" } };
+
+  try {
+    const service = new BookDataService();
+
+    await assert.rejects(service.initialize(), error => {
+      assert.ok(error instanceof ShelfTooLargeError);
+      assert.equal(error.code, "SHELF_TOO_LARGE");
+      assert.deepEqual(error.details, { limit: 2000 });
+      return true;
+    });
+    assert.equal(requestCount, 1);
+  } finally {
+    global.fetch = originalFetch;
+    global.window = originalWindow;
+  }
+});
+
+
+test("merges concurrently fetched pages in page order and stops at the first short page", async () => {
+  const resolvers = new Map();
+  const reported = [];
+  let activeRequests = 0;
+  let maximumActiveRequests = 0;
+  const fetchPage = page => new Promise(resolve => {
+    activeRequests++;
+    maximumActiveRequests = Math.max(maximumActiveRequests, activeRequests);
+    resolvers.set(page, data => {
+      activeRequests--;
+      resolve(data);
+    });
+  });
+  const settle = async (page, hasMore) => {
+    resolvers.get(page)({ page, hasMore });
+    await new Promise(resolve => setImmediate(resolve));
+  };
+
+  const fetching = fetchPagesInOrder(fetchPage, {
+    lastPage: 21,
+    concurrency: 3,
+    onPage: (pageData, page) => reported.push(page)
+  });
+
+  assert.deepEqual([...resolvers.keys()], [1, 2, 3]);
+  await settle(2, true);
+  assert.deepEqual(reported, []);
+  // Page 2 freed a slot for a speculative fourth page
+  assert.deepEqual([...resolvers.keys()], [1, 2, 3, 4]);
+  await settle(3, false);
+  assert.deepEqual(reported, []);
+  await settle(1, true);
+  assert.deepEqual(reported, [1, 2, 3]);
+  await settle(4, true);
+
+  const pages = await fetching;
+
+  assert.deepEqual(pages.map(pageData => pageData.page), [1, 2, 3]);
+  assert.deepEqual(reported, [1, 2, 3]);
+  assert.equal(maximumActiveRequests, 3);
+  assert.deepEqual([...resolvers.keys()], [1, 2, 3, 4]);
+});
+
+test("stops scheduling pages after a page request fails", async () => {
+  const requestedPages = [];
+
+  await assert.rejects(
+    fetchPagesInOrder(async page => {
+      requestedPages.push(page);
+      if (page === 2) throw new Error("page failed");
+      return { hasMore: true };
+    }, { lastPage: 21, concurrency: 2 }),
+    /page failed/
+  );
+
+  assert.ok(requestedPages.length < 21);
+});
+
+test("reports paged fetch progress for each page in order", async () => {
+  const originalFetch = global.fetch;
+  const originalWindow = global.window;
+  const progress = [];
+  global.fetch = async url => {
+    if (isAllPagesRequest(url)) return allPagesUnavailable;
+    const page = getRequestedPage(url);
+    // Later pages answer first
+    await new Promise(resolve => setTimeout(resolve, (4 - page) * 5));
+    return {
+      ok: true,
+      json: async () => ({
+        items: Array.from({ length: page < 3 ? 100 : 10 }, (_, index) => ({ title: `${page}-${index}` })),
+        title: "Shelf",
+        hasMore: page < 3
+      })
+    };
+  };
+  global.window = { location: { search: "?userId=123&shelf=read" } };
+
+  try {
+    const service = new BookDataService();
+    service.setProgressCallback((step, ...args) => {
+      if (step === "fetch_progress") progress.push(args);
+    });
+    const books = await service.initialize();
+
+    assert.equal(books.length, 210);
+    assert.equal(books[100].title, "2-0");
+    assert.deepEqual(progress, [[100, 1], [200, 2], [210, 3]]);
+  } finally {
+    global.fetch = originalFetch;
+    global.window = originalWindow;
+  }
+});
+
+
+test("backs off exponentially with jitter and honors Retry-After", () => {
+  assert.equal(getRetryDelay(0, null, () => 0), 250);
+  assert.equal(getRetryDelay(0, null, () => 1), 500);
+  assert.equal(getRetryDelay(2, null, () => 1), 2000);
+  assert.equal(getRetryDelay(10, null, () => 1), 8000);
+  assert.equal(getRetryDelay(0, 3000, () => 0), 3000);
+  assert.equal(getRetryDelay(0, 600000, () => 0), 30000);
+});
+
+test("retries transient page failures and waits for Retry-After", async () => {
+  const originalFetch = global.fetch;
+  const originalSetTimeout = global.setTimeout;
+  const originalWindow = global.window;
+  const delays = [];
+  const failures = [
+    { ok: false, status: 504 },
+    { ok: false, status: 503, headers: new Headers({ "Retry-After": "2" }) }
+  ];
+  global.fetch = async url => {
+    if (isAllPagesRequest(url)) return allPagesUnavailable;
+    return failures.shift() ?? {
+      ok: true,
+      json: async () => ({ items: [{ title: "Book" }], title: "Shelf", hasMore: false })
+    };
+  };
+  global.setTimeout = (callback, delay) => {
+    delays.push(delay);
+    callback();
+    return 0;
+  };
+  global.window = { location: { search: "?userId=123&shelf=read" } };
+
+  try {
+    const service = new BookDataService();
+    const books = await service.initialize();
+
+    assert.deepEqual(books.map(book => book.title), ["Book"]);
+    assert.equal(delays.length, 2);
+    assert.ok(delays[0] >= 250 && delays[0] <= 500);
+    assert.equal(delays[1], 2000);
+    assert.equal(service.getBookData().degraded, false);
+  } finally {
+    global.fetch = originalFetch;
+    global.setTimeout = originalSetTimeout;
+    global.window = originalWindow;
+  }
+});
+
+test("skips pages that keep failing and reports a degraded shelf", async () => {
+  const originalFetch = global.fetch;
+  const originalSetTimeout = global.setTimeout;
+  const originalWindow = global.window;
+  const originalConsoleWarn = console.warn;
+  const progress = [];
+  let page2Requests = 0;
+  global.fetch = async url => {
+    if (isAllPagesRequest(url)) return allPagesUnavailable;
+    const page = getRequestedPage(url);
+    if (page === 2) {
+      page2Requests++;
+      return { ok: false, status: 502 };
+    }
+    return {
+      ok: true,
+      json: async () => ({
+        items: Array.from({ length: page === 3 ? 5 : 100 }, (_, index) => ({ title: `${page}-${index}` })),
+        title: "Shelf",
+        hasMore: page < 3
+      })
+    };
+  };
+  global.setTimeout = callback => {
+    callback();
+    return 0;
+  };
+  global.window = { location: { search: "?userId=123&shelf=read" } };
+  console.warn = () => {};
+
+  try {
+    const service = new BookDataService();
+    service.setProgressCallback((...args) => progress.push(args));
+    const books = await service.initialize();
+
+    assert.equal(books.length, 105);
+    assert.equal(books[100].title, "3-0");
+    assert.equal(page2Requests, 4);
+    assert.equal(service.getBookData().degraded, true);
+    assert.equal(service.getBookData().skippedBooks, 100);
+    assert.deepEqual(progress.at(-1), ["fetch_degraded", { skippedBooks: 100, upperBound: false }]);
+  } finally {
+    global.fetch = originalFetch;
+    global.setTimeout = originalSetTimeout;
+    global.window = originalWindow;
+    console.warn = originalConsoleWarn;
+  }
+});
+
+test("reports an upper bound of skipped books when the shelf's last page keeps failing", async () => {
+  const originalFetch = global.fetch;
+  const originalSetTimeout = global.setTimeout;
+  const originalWindow = global.window;
+  const originalConsoleWarn = console.warn;
+  const progress = [];
+  global.fetch = async url => {
+    if (isAllPagesRequest(url)) return allPagesUnavailable;
+    const page = getRequestedPage(url);
+    if (page === 2) {
+      return { ok: false, status: 502 };
+    }
+    return {
+      ok: true,
+      json: async () => page === 1
+        ? { items: Array.from({ length: 100 }, (_, index) => ({ title: `1-${index}` })), title: "Shelf", hasMore: true }
+        : emptyPage
+    };
+  };
+  global.setTimeout = callback => {
+    callback();
+    return 0;
+  };
+  global.window = { location: { search: "?userId=123&shelf=read" } };
+  console.warn = () => {};
+
+  try {
+    const service = new BookDataService();
+    service.setProgressCallback((...args) => progress.push(args));
+    const books = await service.initialize();
+
+    assert.equal(books.length, 100);
+    assert.equal(service.getBookData().skippedBooks, 100);
+    assert.deepEqual(progress.at(-1), ["fetch_degraded", { skippedBooks: 100, upperBound: true }]);
+  } finally {
+    global.fetch = originalFetch;
+    global.setTimeout = originalSetTimeout;
+    global.window = originalWindow;
+    console.warn = originalConsoleWarn;
+  }
+});
+
+test("does not retry client errors", async () => {
+  const originalFetch = global.fetch;
+  const originalWindow = global.window;
+  const originalConsoleError = console.error;
+  const requestedPages = [];
+  global.fetch = async url => {
+    if (isAllPagesRequest(url)) return allPagesUnavailable;
+    requestedPages.push(getRequestedPage(url));
+    return { ok: false, status: 400 };
+  };
+  global.window = { location: { search: "?userId=123&shelf=read" } };
+  console.error = () => {};
+
+  try {
+    const service = new BookDataService();
+
+    await assert.rejects(service.initialize(), /status: 400/);
+    assert.equal(requestedPages.filter(page => page === 1).length, 1);
+  } finally {
+    global.fetch = originalFetch;
+    global.window = originalWindow;
+    console.error = originalConsoleError;
+  }
+});
+
+test("maps API error envelopes to typed errors", () => {
+  const service = new BookDataService();
+
+  const privateShelf = service.createHttpError(403, {
+    error: { code: "PRIVATE_SHELF_KEY_REQUIRED", message: "Private shelf", retryable: false, details: {} }
+  });
+  assert.ok(privateShelf instanceof PrivateShelfError);
+  assert.equal(privateShelf.status, 403);
+  assert.equal(privateShelf.retryable, false);
+
+  const rateLimited = service.createHttpError(429, {
+    error: { code: "UPSTREAM_RATE_LIMITED", message: "Slow down", retryable: true, details: { retryAfter: 7 } }
+  }, "7");
+  assert.ok(rateLimited instanceof UpstreamError);
+  assert.equal(rateLimited.retryable, true);
+  assert.equal(rateLimited.retryAfterMs, 7000);
+
+  const unknownCode = service.createHttpError(500, { error: { code: "SOMETHING_NEW", message: "New" } });
+  assert.equal(unknownCode.constructor, ApiError);
+  assert.equal(unknownCode.code, "SOMETHING_NEW");
+  assert.equal(unknownCode.retryable, false);
+
+  const platformError = service.createHttpError(401, null);
+  assert.equal(platformError.code, "API_AUTH_FAILED");
+  assert.equal(platformError.message, "Authentication failed - the server rejected the request");
+});
+
+test("reports an unreachable API as a retryable network error", async () => {
+  const originalFetch = global.fetch;
+  const originalWindow = global.window;
+  global.fetch = async () => {
+    throw new TypeError("Failed to fetch");
+  };
+  global.window = { location: { search: "?userId=123&shelf=read" } };
+
+  try {
+    const service = new BookDataService();
+
+    await assert.rejects(service.fetchPage(1), error => {
+      assert.ok(error instanceof NetworkError);
+      assert.equal(error.code, "NETWORK_ERROR");
+      assert.equal(error.retryable, true);
+      return true;
+    });
+  } finally {
+    global.fetch = originalFetch;
+    global.window = originalWindow;
+  }
+});
+
+test("merges several shelves into one de-duplicated wall in sort order", async () => {
+  const originalFetch = global.fetch;
+  const originalWindow = global.window;
+  const shelves = {
+    read: [
+      { book_id: 1, title: "Emma", read_at: "2021-05-06T00:00:00.000Z" },
+      { book_id: 2, title: "Dune", read_at: "2024-01-02T00:00:00.000Z" }
+    ],
+    favorites: [
+      { book_id: 3, title: "Beloved", read_at: "2019-07-04T00:00:00.000Z" },
+      { book_id: 2, title: "Dune", read_at: "2024-01-02T00:00:00.000Z" }
+    ]
+  };
+  const requestedShelves = [];
+  const progress = [];
+  global.fetch = async url => {
+    const shelf = new URL(url, "https://example.test").searchParams.get("shelf");
+    requestedShelves.push(shelf);
+    return {
+      ok: true,
+      json: async () => ({
+        items: shelves[shelf],
+        total: shelves[shelf].length,
+        pages: 1,
+        title: `Jane's bookshelf: ${shelf}`,
+        truncated: false,
+        truncated_reason: null
+      })
+    };
+  };
+  global.window = { location: { search: "?userId=123&shelf=read,favorites&sort=date_read&order=a" } };
+
+  try {
+    const service = new BookDataService();
+    service.setProgressCallback((event, data) => progress.push([event, data]));
+    const books = await service.initialize();
+
+    assert.deepEqual(requestedShelves, ["read", "favorites"]);
+    assert.deepEqual(books.map(book => book.title), ["Beloved", "Emma", "Dune"]);
+    assert.deepEqual(books.find(book => book.book_id === 2).source_shelves, ["read", "favorites"]);
+    assert.equal(service.getChannelTitle(), "Jane's bookshelf: read, favorites");
+    assert.deepEqual(progress.filter(([event]) => event === "fetch_progress").map(([, count]) => count), [2, 4]);
+    assert.deepEqual(progress.filter(([event]) => event === "channel_title"), [["channel_title", "Jane's bookshelf: read, favorites"]]);
+  } finally {
+    global.fetch = originalFetch;
+    global.window = originalWindow;
+  }
+});
+
+test("keeps merged shelves grouped in launch URL order for shelf dividers", () => {
+  const books = mergeShelfBooks([
+    { shelf: "currently-reading", items: [{ book_id: 1, read_at: null }] },
+    { shelf: "read", items: [{ book_id: 2, read_at: "2020-01-01T00:00:00.000Z" }, { book_id: 1, read_at: null }] }
+  ], { sort: "date_read", order: "a", groupByShelf: true });
+
+  assert.deepEqual(books.map(book => [book.book_id, book.source_shelves]), [
+    [1, ["currently-reading", "read"]],
+    [2, ["read"]]
+  ]);
+});
+
+test("fetches several readers independently and keeps the wall when one fails", async () => {
+  const originalFetch = global.fetch;
+  const originalWindow = global.window;
+  const originalConsoleWarn = console.warn;
+  const progress = [];
+  console.warn = () => {};
+  global.fetch = async url => {
+    const params = new URL(url, "https://example.test").searchParams;
+    if (params.get("userId") === "999") {
+      return {
+        ok: false,
+        status: 404,
+        json: async () => ({ error: { code: "SHELF_NOT_FOUND", message: "Not found", retryable: false, details: {} } })
+      };
+    }
+
+    const items = params.get("userId") === "1"
+      ? [{ book_id: 10, title: "Emma", read_at: "2021-05-06T00:00:00.000Z" }]
+      : [{ book_id: 10, title: "Emma", read_at: "2019-01-01T00:00:00.000Z" }, { book_id: 11, title: "Dune", read_at: "2023-01-01T00:00:00.000Z" }];
+    const owner = params.get("userId") === "1" ? "Jane" : "Bob";
+    assert.equal(params.get("key"), params.get("userId") === "1" ? "k1" : null);
+    return {
+      ok: true,
+      json: async () => ({ items, total: items.length, pages: 1, title: `${owner}'s bookshelf: read`, truncated: false })
+    };
+  };
+  global.window = { location: { search: "?userId=1,2,999&key=k1&shelf=read&sort=date_read&order=a" } };
+
+  try {
+    const service = new BookDataService();
+    service.setProgressCallback((event, data) => progress.push([event, data]));
+    const books = await service.initialize();
+
+    assert.deepEqual(books.map(book => [book.title, book.reader_name]), [
+      ["Emma", "Bob"],
+      ["Emma", "Jane"],
+      ["Dune", "Bob"]
+    ]);
+    assert.equal(service.getChannelTitle(), "Jane, Bob · read");
+    assert.deepEqual(progress.find(([event]) => event === "readers"), ["readers", ["1", "2", "999"]]);
+    assert.deepEqual(
+      progress.filter(([event]) => event === "reader_complete").map(([, data]) => data).sort((a, b) => a.index - b.index),
+      [{ index: 0, bookCount: 1 }, { index: 1, bookCount: 2 }]
+    );
+    assert.equal(progress.find(([event]) => event === "reader_failed")[1].index, 2);
+    assert.equal(progress.filter(([event]) => event === "fetch_progress").at(-1)[1], 3);
+  } finally {
+    global.fetch = originalFetch;
+    global.window = originalWindow;
+    console.warn = originalConsoleWarn;
+  }
+});
+
+test("serves the demo shelf without any network request", async () => {
+  const originalFetch = global.fetch;
+  const originalWindow = global.window;
+  let requestCount = 0;
+  global.fetch = async () => {
+    requestCount++;
+    throw new Error("unexpected request");
+  };
+  global.window = { location: { search: "?demo=1&sort=date_read&order=d" } };
+
+  try {
+    const service = new BookDataService();
+    const books = await service.initialize();
+    const readDates = books.map(book => book.read_at).filter(Boolean);
+
+    assert.equal(requestCount, 0);
+    assert.equal(books.length, 320);
+    assert.equal(service.getChannelTitle(), "Demo shelf");
+    assert.deepEqual(readDates, [...readDates].sort().reverse());
+  } finally {
+    global.fetch = originalFetch;
+    global.window = originalWindow;
+  }
+});
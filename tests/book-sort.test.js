@@ -0,0 +1,23 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { getBookComparator } from "../public/js/book-sort.js";
+
+test("sorts books like the matching Goodreads sort key", () => {
+  const books = [
+    { title: "The Road", author_name: "Cormac McCarthy", read_at: "2022-03-01T00:00:00.000Z", user_rating: 4 },
+    { title: "Anathem", author_name: "Neal Stephenson", read_at: null, user_rating: 5 },
+    { title: "Beloved", author_name: "Toni Morrison", read_at: "2019-07-04T00:00:00.000Z", user_rating: 3 }
+  ];
+  const titles = (sort, order) => [...books].sort(getBookComparator(sort, order)).map(book => book.title);
+
+  assert.deepEqual(titles("date_read", "a"), ["Beloved", "The Road", "Anathem"]);
+  assert.deepEqual(titles("date_read", "d"), ["The Road", "Beloved", "Anathem"]);
+  assert.deepEqual(titles("rating", "d"), ["Anathem", "The Road", "Beloved"]);
+  assert.deepEqual(titles("title", "a"), ["Anathem", "Beloved", "The Road"]);
+  assert.deepEqual(titles("author", "a"), ["The Road", "Beloved", "Anathem"]);
+});
+
+test("has no comparator for sort keys the feed cannot reproduce", () => {
+  assert.equal(getBookComparator("position"), null);
+  assert.equal(getBookComparator("random"), null);
+});
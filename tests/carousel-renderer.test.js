@@ -0,0 +1,109 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { CarouselRenderer, formatCarouselCaption, getCarouselSlotStyle } from "../public/js/carousel-renderer.js";
+
+function createElement() {
+  return {
+    children: [],
+    className: "",
+    style: {},
+    parent: null,
+    get firstChild() {
+      return this.children[0] ?? null;
+    },
+    appendChild(child) {
+      child.parent = this;
+      this.children.push(child);
+      return child;
+    },
+    removeChild(child) {
+      this.children.splice(this.children.indexOf(child), 1);
+    },
+    remove() {
+      this.parent?.removeChild(this);
+    },
+    replaceWith(element) {
+      element.parent = this.parent;
+      this.parent.children[this.parent.children.indexOf(this)] = element;
+    }
+  };
+}
+
+function createImage(title) {
+  return { title, cloneNode: () => ({ ...createElement(), title }) };
+}
+
+function createBookItem(index) {
+  const title = `Book ${index}`;
+  return {
+    type: "book",
+    book: { title, author_name: `Author ${index}`, read_at: "2024-03-04T00:00:00.000Z" },
+    image: createImage(title),
+    index
+  };
+}
+
+test("places the focused cover face-on and turns its neighbors towards it", () => {
+  assert.deepEqual(getCarouselSlotStyle(0, 5), {
+    transform: "translate(-50%, -50%) translateX(0px) translateZ(0px) rotateY(0deg)",
+    zIndex: 6,
+    opacity: 1
+  });
+  assert.match(getCarouselSlotStyle(-1, 5).transform, /translateX\(-220px\) translateZ\(-240px\) rotateY\(60deg\)/);
+  assert.match(getCarouselSlotStyle(3, 5).transform, /translateX\(400px\) translateZ\(-240px\) rotateY\(-60deg\)/);
+  assert.equal(getCarouselSlotStyle(3, 5).zIndex, 3);
+  assert.equal(getCarouselSlotStyle(6, 5).opacity, 0);
+});
+
+test("captions the focused book with its title, author and date read", () => {
+  assert.deepEqual(formatCarouselCaption({ title: "Dune", author_name: "Frank Herbert", read_at: "2024-03-04T00:00:00.000Z" }), {
+    title: "Dune",
+    author: "Frank Herbert",
+    date: "Read March 4, 2024"
+  });
+  assert.equal(formatCarouselCaption({ title: "Dune", read_at: null }).date, "");
+});
+
+test("advances through the shelf and keeps a window of covers around the focus", () => {
+  const originalDocument = global.document;
+  const originalSetInterval = global.setInterval;
+  const originalClearInterval = global.clearInterval;
+  const timers = [];
+  global.document = { createElement };
+  global.setInterval = (callback, delay) => timers.push({ callback, delay });
+  global.clearInterval = () => {};
+
+  try {
+    const container = createElement();
+    const items = [{ type: "year-divider", year: "2024" }, ...[0, 1, 2, 3, 4, 5, 6].map(createBookItem)];
+    const carousel = new CarouselRenderer(container, { intervalMs: 1000, sideCount: 2 });
+
+    assert.equal(carousel.canStart(items.slice(0, 6)), false);
+    assert.equal(carousel.canStart(items), true);
+
+    carousel.start(items);
+    const [stage, caption] = container.children;
+    assert.equal(timers[0].delay, 1000);
+    assert.equal(caption.children[0].textContent, "Book 0");
+    // Two neighbors a side plus one hidden on each side, ready to slide in
+    assert.deepEqual(stage.children.map(cover => cover.title), ["Book 4", "Book 5", "Book 6", "Book 0", "Book 1", "Book 2", "Book 3"]);
+
+    timers[0].callback();
+    assert.equal(caption.children[0].textContent, "Book 1");
+    assert.equal(caption.children[1].textContent, "Author 1");
+    assert.equal(caption.children[2].textContent, "Read March 4, 2024");
+    const focused = stage.children.find(cover => cover.title === "Book 1");
+    assert.equal(focused.style.zIndex, "3");
+    assert.match(focused.style.transform, /rotateY\(0deg\)/);
+
+    // A cover that loaded on a retry replaces the element of its book in place
+    items[2].image = createImage("Book 1 retried");
+    carousel.render();
+    assert.equal(stage.children.filter(cover => cover.title === "Book 1").length, 0);
+    assert.match(stage.children.find(cover => cover.title === "Book 1 retried").style.transform, /rotateY\(0deg\)/);
+  } finally {
+    global.document = originalDocument;
+    global.setInterval = originalSetInterval;
+    global.clearInterval = originalClearInterval;
+  }
+});
@@ -2,7 +2,7 @@ import test from "node:test";
 import assert from "node:assert/strict";
 import { Config } from "../public/js/config.js";
 
-test("builds API requests in ascending date-read order", () => {
+test("builds API requests with the launch URL sort and order", () => {
   const originalWindow = global.window;
   global.window = {
     location: {
@@ -18,11 +18,202 @@ test("builds API requests in ascending date-read order", () => {
     assert.equal(endpoint.searchParams.get("shelf"), "read");
     assert.equal(endpoint.searchParams.get("key"), "test-key");
     assert.equal(endpoint.searchParams.get("page"), "2");
-    assert.equal(endpoint.searchParams.get("sort"), "date_read");
-    assert.equal(endpoint.searchParams.get("order"), "a");
+    assert.equal(endpoint.searchParams.get("sort"), "date_added");
+    assert.equal(endpoint.searchParams.get("order"), "d");
     assert.equal(request.options.method, undefined);
     assert.equal(request.options.body, undefined);
   } finally {
     global.window = originalWindow;
   }
-});
\ No newline at end of file
+});
+
+test("falls back to ascending date-read order for unsupported sort parameters", () => {
+  const originalWindow = global.window;
+  global.window = {
+    location: { search: "?userId=123&sort=date_deleted&order=z" }
+  };
+
+  try {
+    const endpoint = new URL(Config.buildApiRequest().url, "https://example.test");
+
+    assert.equal(endpoint.searchParams.get("sort"), "date_read");
+    assert.equal(endpoint.searchParams.get("order"), "a");
+  } finally {
+    global.window = originalWindow;
+  }
+});
+
+test("builds merged-shelf API requests without a page number", () => {
+  const originalWindow = global.window;
+  global.window = {
+    location: { search: "?userId=123&shelf=favorites&key=test-key" }
+  };
+
+  try {
+    const endpoint = new URL(Config.buildAllPagesApiRequest().url, "https://example.test");
+
+    assert.equal(endpoint.searchParams.get("all"), "1");
+    assert.equal(endpoint.searchParams.get("shelf"), "favorites");
+    assert.equal(endpoint.searchParams.get("key"), "test-key");
+    assert.equal(endpoint.searchParams.has("page"), false);
+  } finally {
+    global.window = originalWindow;
+  }
+});
+
+test("reads a comma-separated shelf list and requests one shelf at a time", () => {
+  const originalWindow = global.window;
+  global.window = {
+    location: { search: "?userId=123&shelf=read,%20currently-reading,,read,favorites&group=shelf" }
+  };
+
+  try {
+    assert.deepEqual(Config.getShelves(), ["read", "currently-reading", "favorites"]);
+    assert.equal(Config.getShelf(), "read");
+    assert.equal(Config.getGroup(), "shelf");
+
+    const request = Config.buildAllPagesApiRequest("favorites");
+    assert.equal(new URL(request.url, "https://example.test").searchParams.get("shelf"), "favorites");
+
+    global.window = { location: { search: "?userId=123&shelf=,&group=unknown" } };
+    assert.deepEqual(Config.getShelves(), ["read"]);
+    assert.equal(Config.getGroup(), null);
+  } finally {
+    global.window = originalWindow;
+  }
+});
+
+test("pairs comma-separated user IDs and keys by position", () => {
+  const originalWindow = global.window;
+  global.window = { location: { search: "?userId=123,456,789,123&key=abc,,ghi" } };
+
+  try {
+    assert.deepEqual(Config.getReaders(), [
+      { userId: "123", key: "abc" },
+      { userId: "456", key: null },
+      { userId: "789", key: "ghi" }
+    ]);
+    assert.equal(Config.getUserId(), "123");
+    assert.equal(Config.getKey(), "abc");
+
+    const params = new URL(Config.buildApiRequest(1, "read", { userId: "456", key: null }).url, "https://example.test").searchParams;
+    assert.equal(params.get("userId"), "456");
+    assert.equal(params.has("key"), false);
+  } finally {
+    global.window = originalWindow;
+  }
+});
+
+test("reads the cover source chain and ignores unknown sources", () => {
+  const originalWindow = global.window;
+  global.window = { location: { search: "?userId=123&covers=openlibrary,%20generated,flickr,openlibrary" } };
+
+  try {
+    assert.deepEqual(Config.getCoverSources(), ["openlibrary", "generated"]);
+
+    global.window = { location: { search: "?userId=123&covers=flickr" } };
+    assert.deepEqual(Config.getCoverSources(), [
+      "goodreads_large", "goodreads_medium", "goodreads_small", "openlibrary", "generated"
+    ]);
+  } finally {
+    global.window = originalWindow;
+  }
+});
+
+test("reads debug flags from a comma separated list", () => {
+  const originalWindow = global.window;
+  global.window = { location: { search: "?userId=123&debug=layout,%20images" } };
+
+  try {
+    assert.equal(Config.isDebugEnabled("images"), true);
+    assert.equal(Config.isDebugEnabled("layout"), true);
+    assert.equal(Config.isDebugEnabled("network"), false);
+
+    global.window = { location: { search: "?userId=123" } };
+    assert.equal(Config.isDebugEnabled("images"), false);
+  } finally {
+    global.window = originalWindow;
+  }
+});
+
+test("reads the scroll speed, direction and easing with safe fallbacks", () => {
+  const originalWindow = global.window;
+  global.window = { location: { search: "?userId=123&speed=45.5&direction=right&easing=drift" } };
+
+  try {
+    assert.equal(Config.getAnimationSpeed(), 45.5);
+    assert.equal(Config.getDirection(), "right");
+    assert.equal(Config.getEasing(), "drift");
+
+    global.window = { location: { search: "?userId=123&speed=9000" } };
+    assert.equal(Config.getAnimationSpeed(), 600);
+
+    global.window = { location: { search: "?userId=123&speed=-3&direction=sideways&easing=bounce" } };
+    assert.equal(Config.getAnimationSpeed(), 30);
+    assert.equal(Config.getDirection(), "left");
+    assert.equal(Config.getEasing(), "linear");
+  } finally {
+    global.window = originalWindow;
+  }
+});
+
+test("lays walls scrolling up or down out in rows", () => {
+  const originalWindow = global.window;
+  global.window = { location: { search: "?userId=123&direction=up" } };
+
+  try {
+    assert.equal(Config.getDirection(), "up");
+    assert.equal(Config.getWallLayout(), "rows");
+
+    global.window = { location: { search: "?userId=123&direction=right" } };
+    assert.equal(Config.getWallLayout(), "columns");
+  } finally {
+    global.window = originalWindow;
+  }
+});
+
+test("reads the display mode and parallax lane count with safe fallbacks", () => {
+  const originalWindow = global.window;
+  global.window = { location: { search: "?userId=123&mode=parallax&lanes=2" } };
+
+  try {
+    assert.equal(Config.getDisplayMode(), "parallax");
+    assert.equal(Config.getLaneCount(), 2);
+
+    global.window = { location: { search: "?userId=123&mode=carousel" } };
+    assert.equal(Config.getDisplayMode(), "carousel");
+
+    global.window = { location: { search: "?userId=123&mode=tunnel&lanes=7" } };
+    assert.equal(Config.getDisplayMode(), "wall");
+    assert.equal(Config.getLaneCount(), 3);
+  } finally {
+    global.window = originalWindow;
+  }
+});
+
+test("reads the spotlight interval in minutes within bounds, with 0 turning spotlights off", () => {
+  const originalWindow = global.window;
+  global.window = { location: { search: "?userId=123&spotlight=2.5" } };
+
+  try {
+    assert.equal(Config.getSpotlightInterval(), 150000);
+
+    global.window = { location: { search: "?userId=123&spotlight=0" } };
+    assert.equal(Config.getSpotlightInterval(), 0);
+
+    global.window = { location: { search: "?userId=123&spotlight=soon" } };
+    assert.equal(Config.getSpotlightInterval(), 300000);
+
+    // Too short to finish an interlude, or too long for a timer
+    global.window = { location: { search: "?userId=123&spotlight=0.01" } };
+    assert.equal(Config.getSpotlightInterval(), 300000);
+
+    global.window = { location: { search: "?userId=123&spotlight=1e9" } };
+    assert.equal(Config.getSpotlightInterval(), 300000);
+
+    global.window = { location: { search: "?userId=123&spotlight=1440" } };
+    assert.equal(Config.getSpotlightInterval(), 86400000);
+  } finally {
+    global.window = originalWindow;
+  }
+});
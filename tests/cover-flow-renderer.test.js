@@ -4,14 +4,22 @@ import {
   CoverFlowRenderer,
   createContinuousColumnLayoutPlanner,
   createColumnLayout,
+  createContinuousRowLayoutPlanner,
+  createItemLanes,
+  createReverseColumnLayoutPlanner,
   createFiniteColumnLayouts,
-  createTerminalColumnWindow,
-  createWrapTransitionLayout,
+  getCoverDisplayWidth,
   getVisibleRatioInColumn
 } from "../public/js/cover-flow-renderer.js";
 
 const getLayoutItemHeight = item => item.height;
 
+function createSettledItems(renderer, books, images) {
+  const itemStream = renderer.createBookItemStream(books, images);
+  books.forEach((book, idx) => itemStream.addCover(idx, images[idx]));
+  return itemStream.items;
+}
+
 function createImageElement() {
   return {
     attributes: {},
@@ -84,6 +92,7 @@ test("adds read_at data to initially rendered book cover images", () => {
   });
 
   assert.equal(cover.getAttribute("data-read-at"), readAt);
+  assert.equal(cover.getAttribute("data-book-index"), "0");
 });
 
 test("adds an empty read_at attribute when Goodreads has no read date", () => {
@@ -107,7 +116,7 @@ test("groups books without read_at under an n.a. year divider", () => {
     { title: "Later Read", read_at: "Sat, 19 Oct 2024 00:00:00 +0000" }
   ];
   const images = books.map(() => createImageElement());
-  const items = renderer.createBookItemsWithYearDividers(books, images);
+  const items = createSettledItems(renderer, books, images);
 
   assert.deepEqual(
     items.map(item => item.type === "year-divider" ? item.year : item.book.title),
@@ -122,7 +131,7 @@ test("does not add year dividers when every book lacks read_at", () => {
     { title: "Second To Read" }
   ];
   const images = books.map(() => createImageElement());
-  const items = renderer.createBookItemsWithYearDividers(books, images);
+  const items = createSettledItems(renderer, books, images);
 
   assert.deepEqual(
     items.map(item => item.type === "year-divider" ? item.year : item.book.title),
@@ -130,6 +139,93 @@ test("does not add year dividers when every book lacks read_at", () => {
   );
 });
 
+test("groups date_added sorts by the year each book was added", () => {
+  const renderer = new CoverFlowRenderer({}, { sort: "date_added" });
+  const books = [
+    { title: "First", read_at: "", date_added: "Tue, 20 Aug 2013 00:00:00 +0000" },
+    { title: "Second", read_at: "Sat, 19 Oct 2024 00:00:00 +0000", date_added: "Wed, 21 Aug 2013 00:00:00 +0000" },
+    { title: "Third", date_added: "Sat, 19 Oct 2024 00:00:00 +0000" }
+  ];
+  const images = books.map(() => createImageElement());
+  const items = createSettledItems(renderer, books, images);
+
+  assert.deepEqual(
+    items.map(item => item.type === "year-divider" ? item.year : item.book.title),
+    [2013, "First", "Second", 2024, "Third"]
+  );
+});
+
+test("groups rating sorts into star and half-star average bands", () => {
+  const books = [
+    { title: "Unrated", user_rating: 0, average_rating: 3.74 },
+    { title: "Liked", user_rating: 4, average_rating: 4.02 },
+    { title: "Also Liked", user_rating: 4, average_rating: 4.38 }
+  ];
+  const images = books.map(() => createImageElement());
+  const labels = sort => createSettledItems(new CoverFlowRenderer({}, { sort }), books, images)
+    .map(item => item.type === "year-divider" ? item.year : item.book.title);
+
+  assert.deepEqual(labels("rating"), ["n.a.", "Unrated", "4★", "Liked", "Also Liked"]);
+  assert.deepEqual(labels("avg_rating"), ["3.5+", "Unrated", "4.0+", "Liked", "Also Liked"]);
+});
+
+test("groups author and title sorts by their Goodreads sort initial", () => {
+  const books = [
+    { title: "The Andromeda Strain", author_name: "Michael Crichton" },
+    { title: "Anathem", author_name: "Neal Stephenson" },
+    { title: "1984", author_name: "George Orwell" }
+  ];
+  const images = books.map(() => createImageElement());
+  const labels = sort => createSettledItems(new CoverFlowRenderer({}, { sort }), books, images)
+    .map(item => item.type === "year-divider" ? item.year : item.book.title);
+
+  assert.deepEqual(labels("author"), ["C", "The Andromeda Strain", "S", "Anathem", "O", "1984"]);
+  assert.deepEqual(labels("title"), ["A", "The Andromeda Strain", "Anathem", "#", "1984"]);
+});
+
+test("groups books by their first source shelf when group=shelf", () => {
+  const renderer = new CoverFlowRenderer({}, { sort: "date_read", group: "shelf" });
+  const books = [
+    { title: "Dune", read_at: "2024-01-02T00:00:00.000Z", source_shelves: ["read", "favorites"] },
+    { title: "Emma", read_at: "2021-05-06T00:00:00.000Z", source_shelves: ["read"] },
+    { title: "Ulysses", read_at: null, source_shelves: ["currently-reading"] }
+  ];
+  const images = books.map(() => createImageElement());
+  const items = createSettledItems(renderer, books, images);
+
+  assert.deepEqual(
+    items.map(item => item.type === "year-divider" ? item.year : item.book.title),
+    ["read", "Dune", "Emma", "currently-reading", "Ulysses"]
+  );
+});
+
+test("inserts a divider per reader or lets readers take turns", () => {
+  const books = [
+    { title: "Dune", reader_id: "1", reader_name: "Jane" },
+    { title: "Emma", reader_id: "1", reader_name: "Jane" },
+    { title: "Ulysses", reader_id: "1", reader_name: "Jane" },
+    { title: "Beloved", reader_id: "2", reader_name: "Bob" }
+  ];
+  const images = books.map(() => createImageElement());
+  const labels = group => createSettledItems(new CoverFlowRenderer({}, { sort: "date_read", group }), books, images)
+    .map(item => item.type === "year-divider" ? item.year : item.book.title);
+
+  assert.deepEqual(labels("reader"), ["Jane", "Dune", "Emma", "Ulysses", "Bob", "Beloved"]);
+  assert.deepEqual(labels("interleave"), ["Dune", "Beloved", "Emma", "Ulysses"]);
+});
+
+test("does not add dividers for sorts without a matching grouping", () => {
+  const renderer = new CoverFlowRenderer({}, { sort: "num_pages" });
+  const books = [
+    { title: "Short", read_at: "Tue, 20 Aug 2013 00:00:00 +0000" },
+    { title: "Long", read_at: "Sat, 19 Oct 2024 00:00:00 +0000" }
+  ];
+  const images = books.map(() => createImageElement());
+  const items = createSettledItems(renderer, books, images);
+
+  assert.deepEqual(items.map(item => item.type), ["book", "book"]);
+});
+
 test("does not repeat a bottom book cover that is exactly 75 percent visible", () => {
   const bookA = { type: "book", id: "a", height: 100 };
   const bookB = { type: "book", id: "b", height: 100 };
@@ -155,62 +251,6 @@ test("plans chronological columns without wrapping past the newest book", () =>
   );
   assert.equal(columns[1].entries[0].isRepeat, true);
   assert.equal(columns.at(-1).entries.at(-1).item, bookC);
-  assert.equal(createWrapTransitionLayout(columns, items, 150), null);
-});
-
-test("repeats a clipped newest book in a separate wrap transition column", () => {
-  const oldestBook = { type: "book", id: "oldest", height: 100 };
-  const newestBook = { type: "book", id: "newest", height: 100 };
-  const items = [oldestBook, newestBook];
-  const columns = createFiniteColumnLayouts(
-    items,
-    150,
-    getLayoutItemHeight
-  );
-  const transition = createWrapTransitionLayout(columns, items, 150);
-
-  assert.equal(columns.length, 1);
-  assert.equal(columns[0].entries.at(-1).item, newestBook);
-  assert.equal(transition.entries[0].item, newestBook);
-  assert.equal(transition.entries[0].isRepeat, true);
-});
-
-test("places the newest column in the rightmost visible slot with an oldest wrap buffer", () => {
-  const columnLayouts = Array.from({ length: 5 }, (_, index) => ({
-    height: 100,
-    entries: [{ item: { type: "book", id: index } }]
-  }));
-
-  const window = createTerminalColumnWindow(columnLayouts, 3);
-
-  assert.deepEqual(
-    window.layouts.map(column => column.entries[0]?.item.id ?? null),
-    [2, 3, 4, 0]
-  );
-  assert.equal(window.nextColumnLayoutIndex, 1);
-
-  const smallWindow = createTerminalColumnWindow(columnLayouts.slice(0, 2), 4);
-  assert.deepEqual(
-    smallWindow.layouts.map(column => column.entries[0]?.item.id ?? null),
-    [null, null, 0, 1, 0]
-  );
-});
-
-test("uses a clipped-newest transition as the offscreen buffer", () => {
-  const oldestBook = { type: "book", id: "oldest", height: 100 };
-  const newestBook = { type: "book", id: "newest", height: 100 };
-  const items = [oldestBook, newestBook];
-  const columns = createFiniteColumnLayouts(items, 150, getLayoutItemHeight);
-  const transition = createWrapTransitionLayout(columns, items, 150);
-  const window = createTerminalColumnWindow(columns, 3, transition);
-
-  assert.deepEqual(
-    window.layouts.map(column => column.entries[0]?.item.id ?? null),
-    [null, null, "oldest", "newest"]
-  );
-  assert.equal(window.layouts.at(-1).entries[0].isRepeat, true);
-  assert.deepEqual(window.animationLayouts, [...columns, transition]);
-  assert.equal(window.nextColumnLayoutIndex, 0);
 });
 
 test("moves a year divider to the next column when it would be stranded before its book", () => {
@@ -299,4 +339,246 @@ test("prioritizes the wrapped first year divider over repeating the previous col
   assert.equal(layout.columns[1].entries[0].item, yearDivider);
   assert.equal(layout.columns[1].entries[1].item, latestBook);
   assert.equal(layout.columns[1].entries.some(entry => entry.item === bookB && entry.isRepeat), false);
-});
\ No newline at end of file
+});
+
+test("shows low-resolution covers narrower instead of upscaling them", () => {
+  assert.equal(getCoverDisplayWidth({}), 200);
+  assert.equal(getCoverDisplayWidth({ cover_resolution: 2 }), 200);
+  assert.equal(getCoverDisplayWidth({ cover_resolution: 0.25 }), 100);
+
+  const renderer = new CoverFlowRenderer({});
+  const image = { ...createImageElement(), naturalWidth: 50, naturalHeight: 75 };
+  const item = { type: "book", book: { title: "Tiny", cover_resolution: 0.25 }, image, index: 0 };
+
+  assert.equal(renderer.getItemHeight(item), 150);
+  const cover = renderer.createBookCover(item);
+  assert.equal(cover.style.width, "100px");
+  assert.equal(cover.style.marginInline, "auto");
+});
+
+test("grows the item list in reading order as covers settle", () => {
+  const renderer = new CoverFlowRenderer({}, { sort: "date_read" });
+  const books = [
+    { title: "First", read_at: "2020-03-01T00:00:00Z" },
+    { title: "Broken", read_at: "2020-05-01T00:00:00Z" },
+    { title: "Third", read_at: "2021-01-01T00:00:00Z" }
+  ];
+  const stream = renderer.createBookItemStream(books);
+  const describe = () => stream.items.map(item => item.type === "book" ? item.book.title : item.year);
+
+  stream.addCover(2, createImageElement());
+  assert.deepEqual(describe(), []);
+
+  stream.addCover(0, createImageElement());
+  assert.deepEqual(describe(), [2020, "First"]);
+  assert.equal(stream.isComplete(), false);
+
+  const items = stream.items;
+  stream.addCover(1, null);
+  assert.equal(stream.items, items);
+  assert.deepEqual(describe(), [2020, "First", 2021, "Third"]);
+  assert.equal(stream.isComplete(), true);
+  assert.deepEqual(stream.order, [0, 1, 2]);
+});
+
+test("starts a progressive wall once the viewport and look-ahead columns are filled", () => {
+  const renderer = new CoverFlowRenderer({}, { sort: "title" });
+  const image = { ...createImageElement(), naturalWidth: 200, naturalHeight: 300 };
+  const items = [];
+  const addBook = () => items.push({ type: "book", book: { title: "Book" }, image, index: items.length });
+
+  // Two 300px covers fill a 600px column; 400px wide is two visible columns plus four ahead
+  for (let count = 0; count < 12; count++) addBook();
+  assert.equal(renderer.canStartProgressiveWall(items, 400, 600), false);
+
+  addBook();
+  assert.equal(renderer.canStartProgressiveWall(items, 400, 600), true);
+});
+
+test("orders cover loading from the scroll position around the looping wall", () => {
+  const renderer = new CoverFlowRenderer({}, { sort: "title" });
+  const books = ["A", "B", "C", "D"].map(title => ({ title }));
+  const stream = renderer.createBookItemStream(books);
+
+  assert.deepEqual(stream.getLoadOrder(), [0, 1, 2, 3]);
+  assert.deepEqual(stream.getLoadOrder(2), [2, 3, 0, 1]);
+});
+
+test("splices covers that loaded on a retry into the item list in reading order", () => {
+  const renderer = new CoverFlowRenderer({});
+  const books = [
+    { title: "First", read_at: "2020-01-01T00:00:00Z" },
+    { title: "Drawn", read_at: "2020-03-01T00:00:00Z" },
+    { title: "Late", read_at: "2020-05-01T00:00:00Z" },
+    { title: "Lost", read_at: "2021-01-01T00:00:00Z" },
+    { title: "Third", read_at: "2022-01-01T00:00:00Z" }
+  ];
+  const stream = renderer.createBookItemStream(books);
+  const describe = () => stream.items.map(item => item.type === "book" ? item.book.title : item.year);
+  [createImageElement(), createImageElement(), null, null, createImageElement()]
+    .forEach((image, index) => stream.addCover(index, image));
+  assert.deepEqual(describe(), [2020, "First", "Drawn", 2022, "Third"]);
+
+  const drawn = stream.addRetriedCover(1, createImageElement());
+  assert.deepEqual(drawn, { item: stream.items[2], at: 2, count: 0 });
+
+  assert.deepEqual(stream.addRetriedCover(3, createImageElement()), { item: stream.items[4], at: 3, count: 2 });
+  assert.deepEqual(describe(), [2020, "First", "Drawn", 2021, "Lost", 2022, "Third"]);
+
+  assert.equal(stream.addRetriedCover(2, createImageElement()).at, 3);
+  assert.deepEqual(describe(), [2020, "First", "Drawn", "Late", 2021, "Lost", 2022, "Third"]);
+});
+
+test("keeps planning from the same item when items are spliced in behind it", () => {
+  const items = ["A", "B", "C", "D"].map(id => ({ id, height: 100 }));
+  const planner = createContinuousColumnLayoutPlanner(items, 200, getLayoutItemHeight);
+  const ids = column => column.entries.map(entry => entry.item.id);
+
+  assert.deepEqual(ids(planner.createNextColumn()), ["A", "B"]);
+
+  items.splice(1, 0, { id: "A2", height: 100 });
+  planner.insertItems(1, 1);
+  items.splice(3, 0, { id: "B2", height: 100 });
+  planner.insertItems(3, 1);
+
+  assert.deepEqual(ids(planner.createNextColumn()), ["B2", "C"]);
+  assert.deepEqual(ids(planner.createNextColumn()), ["D", "A"]);
+  assert.deepEqual(ids(planner.createNextColumn()), ["A2", "B"]);
+});
+
+test("plans bottom-aligned columns backwards for walls scrolling right", () => {
+  const items = [
+    { type: "year-divider", year: 2025, height: 80 },
+    { type: "book", id: "a", height: 100 },
+    { type: "book", id: "b", height: 100 },
+    { type: "year-divider", year: 2026, height: 80 },
+    { type: "book", id: "c", height: 100 },
+    { type: "book", id: "e", height: 100 }
+  ];
+  const planner = createReverseColumnLayoutPlanner(items, 250, getLayoutItemHeight, 4);
+  const describe = column => column.entries.map(entry => `${entry.item.id ?? entry.item.year}${entry.isRepeat ? "*" : ""}`);
+
+  // Book c opens the wall without its divider, so it is repeated under the divider
+  const firstColumn = planner.createNextColumn();
+  assert.equal(firstColumn.align, "bottom");
+  assert.deepEqual(describe(firstColumn), ["b", "2026", "c*"]);
+  assert.deepEqual(firstColumn.entries.map(entry => entry.top), [-30, 70, 150]);
+  assert.equal(firstColumn.entries[0].visibleRatio, 0.7);
+
+  // Book b was clipped at the top, so the next column ends with it
+  assert.deepEqual(describe(planner.createNextColumn()), ["2025", "a", "b*"]);
+  assert.deepEqual(describe(planner.createNextColumn()), ["2026", "c", "e"]);
+  assert.deepEqual(planner.getState(), { nextItemIdx: 2, repeatCount: 1, hasPendingRepeat: false, reverse: true });
+});
+
+test("plans rows of covers with divider bands for walls scrolling vertically", () => {
+  const items = [
+    ...["a", "b", "c", "d"].map(id => ({ type: "book", id, width: 200 })),
+    { type: "year-divider", year: 2026 },
+    { type: "book", id: "e", width: 200 }
+  ];
+  const describe = row => row.entries.map(entry => `${entry.item.id ?? entry.item.year}${entry.isRepeat ? "*" : ""}`);
+  const planner = createContinuousRowLayoutPlanner(items, 500, item => item.width);
+
+  // Cover c is only half visible at the end of the first row, so the next row starts with it
+  const firstRow = planner.createNextRow();
+  assert.deepEqual(describe(firstRow), ["a", "b", "c"]);
+  assert.deepEqual(firstRow.entries.map(entry => [entry.left, entry.visibleRatio]), [[0, 1], [200, 1], [400, 0.5]]);
+  assert.equal(firstRow.height, 300);
+  assert.deepEqual(describe(planner.createNextRow()), ["c*", "d"]);
+
+  const bandRow = planner.createNextRow();
+  assert.equal(bandRow.band, true);
+  assert.equal(bandRow.height, 54);
+  assert.deepEqual(describe(bandRow), ["2026"]);
+
+  const reversePlanner = createContinuousRowLayoutPlanner(items, 500, item => item.width, 0, { reverse: true });
+  const lastRow = reversePlanner.createNextRow();
+  assert.equal(lastRow.align, "end");
+  assert.deepEqual(lastRow.entries.map(entry => entry.left), [300]);
+  assert.deepEqual(describe(reversePlanner.createNextRow()), ["2026"]);
+  const clippedRow = reversePlanner.createNextRow();
+  assert.deepEqual(describe(clippedRow), ["b", "c", "d"]);
+  assert.deepEqual(clippedRow.entries.map(entry => entry.left), [-100, 100, 300]);
+  assert.deepEqual(describe(reversePlanner.createNextRow()), ["e", "a", "b*"]);
+});
+
+test("starts a progressive rows wall once the viewport and look-ahead rows are filled", () => {
+  const renderer = new CoverFlowRenderer({}, { sort: "title", layout: "rows" });
+  const image = { naturalWidth: 200, naturalHeight: 300 };
+  const items = [];
+  const addBook = () => items.push({ type: "book", book: { title: "Book" }, image, index: items.length });
+
+  // Two 200px covers fill a 400px row; 600px tall is two rows plus four ahead
+  for (let count = 0; count < 13; count++) addBook();
+  assert.equal(renderer.getItemWidth(items[0]), 200);
+  assert.equal(renderer.canStartProgressiveWall(items, 400, 600), false);
+
+  addBook();
+  addBook();
+  assert.equal(renderer.canStartProgressiveWall(items, 400, 600), true);
+});
+
+test("deals books out to parallax lanes in turn with a divider per lane", () => {
+  const items = [
+    { type: "year-divider", year: "2025" },
+    { type: "book", id: "a" },
+    { type: "book", id: "b" },
+    { type: "book", id: "c" }
+  ];
+  const itemLanes = createItemLanes(items, 2);
+  const describe = lane => lane.map(item => item.id ?? item.year);
+
+  itemLanes.sync();
+  assert.deepEqual(itemLanes.lanes.map(describe), [["2025", "a", "c"], ["2025", "b"]]);
+  assert.notEqual(itemLanes.lanes[0][0], itemLanes.lanes[1][0]);
+
+  // A book spliced in behind the lanes joins the lane of the book after it; books added at the end keep being dealt out
+  items.splice(1, 0, { type: "book", id: "late" });
+  assert.deepEqual(itemLanes.insertItems(1, 1), { lane: 0, at: 1, count: 1 });
+  items.push({ type: "year-divider", year: "2026" }, { type: "book", id: "d" });
+  itemLanes.sync();
+  assert.deepEqual(itemLanes.lanes.map(describe), [["2025", "late", "a", "c"], ["2025", "b", "2026", "d"]]);
+  assert.equal(itemLanes.insertItems(items.length, 1), null);
+});
+
+test("gives a late book that opens a group its own divider in the lane it joins", () => {
+  const items = [
+    { type: "year-divider", year: "2024" },
+    { type: "book", id: "a" },
+    { type: "book", id: "b" },
+    { type: "year-divider", year: "2026" },
+    { type: "book", id: "c" }
+  ];
+  const itemLanes = createItemLanes(items, 2);
+  const describe = lane => lane.map(item => item.id ?? item.year);
+  itemLanes.sync();
+
+  // Before c, after the dividers that lead up to it
+  items.splice(3, 0, { type: "year-divider", year: "2025" }, { type: "book", id: "late" });
+  assert.deepEqual(itemLanes.insertItems(3, 2), { lane: 0, at: 2, count: 2 });
+
+  // Past every book dealt out, after the book before it
+  items.push({ type: "year-divider", year: "2027" });
+  itemLanes.sync();
+  items.splice(7, 0, { type: "book", id: "later" });
+  assert.deepEqual(itemLanes.insertItems(7, 1), { lane: 0, at: 6, count: 1 });
+  items.push({ type: "book", id: "last" });
+  itemLanes.sync();
+
+  assert.deepEqual(itemLanes.lanes.map(describe), [
+    ["2024", "a", "2025", "late", "2026", "c", "later"],
+    ["2024", "b", "2027", "last"]
+  ]);
+});
+
+test("stacks parallax lanes back to front with heights that follow their scales", () => {
+  const renderer = new CoverFlowRenderer({});
+  const lanes = renderer.getParallaxLanes(3, 1000, 1100);
+
+  assert.deepEqual(lanes.map(lane => lane.scale), [0.5, 0.7, 1]);
+  assert.deepEqual(lanes.map(lane => lane.height), [500, 500, 500]);
+  assert.deepEqual(lanes.map(lane => lane.top), [0, 250, 600]);
+  assert.deepEqual(lanes.map(lane => lane.width), [2000, 1429, 1000]);
+  assert.deepEqual(renderer.getParallaxLanes(2, 1000, 1100).map(lane => lane.scale), [0.7, 1]);
+});
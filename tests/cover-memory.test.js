@@ -0,0 +1,133 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { CoverMemoryBudget, getDecodedBytes } from "../public/js/cover-memory.js";
+
+class FakeImage {
+  set src(value) {
+    this.currentSrc = value;
+    this.naturalWidth = 100;
+    this.naturalHeight = 100;
+  }
+
+  get src() {
+    return this.currentSrc;
+  }
+
+  decode() {
+    return Promise.resolve();
+  }
+}
+
+function createItems(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    type: "book",
+    book: { title: `Book ${index}` },
+    index,
+    image: { naturalWidth: 100, naturalHeight: 100, src: `https://example.test/${index}.jpg` }
+  }));
+}
+
+// Plans two items per column and loops like the continuous layout planner
+function createPlanner(itemCount) {
+  let nextItemIdx = 0;
+  return Object.assign(() => {
+    nextItemIdx = (nextItemIdx + 2) % itemCount;
+    return { entries: [] };
+  }, {
+    skipColumns() {},
+    getState: () => ({ nextItemIdx })
+  });
+}
+
+test("estimates decoded size at four bytes per pixel", () => {
+  assert.equal(getDecodedBytes({ naturalWidth: 200, naturalHeight: 300 }), 240000);
+  assert.equal(getDecodedBytes({}), 0);
+});
+
+test("evicts covers behind the window over budget and decodes them again before they return", async () => {
+  const originalImage = global.Image;
+  global.Image = FakeImage;
+
+  try {
+    const evicted = [];
+    const memory = new CoverMemoryBudget({
+      budgetBytes: 5 * 40000,
+      lookaheadItems: 2,
+      onEvict: item => evicted.push(item.index)
+    });
+    const items = createItems(10);
+    const nextColumn = memory.watchColumns(items, createPlanner(10), 2);
+    assert.equal(memory.getDecodedBytes(), 400000);
+
+    nextColumn();
+    assert.deepEqual(evicted, []);
+
+    // The window now starts at item 0, so the covers just behind it loop back last
+    nextColumn();
+    assert.deepEqual(evicted, [9, 8, 7, 6]);
+    assert.equal(items[9].image.naturalHeight, 100);
+    assert.equal(items[9].image.cloneNode().src, "https://example.test/9.jpg");
+    assert.equal(memory.getDecodedBytes(), 240000);
+
+    // Items 6 and 7 are next up, so they are decoded again while item 1 leaves the window
+    nextColumn();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    assert.deepEqual(evicted, [9, 8, 7, 6, 1]);
+    assert.ok(items[6].image instanceof FakeImage);
+    assert.ok(items[7].image instanceof FakeImage);
+    assert.ok(!(items[8].image instanceof FakeImage));
+    assert.equal(memory.getDecodedBytes(), 280000);
+  } finally {
+    global.Image = originalImage;
+  }
+});
+
+test("counts covers spliced into the wall and covers replaced on a retry", () => {
+  const memory = new CoverMemoryBudget({ budgetBytes: Infinity, lookaheadItems: 0 });
+  const items = createItems(4);
+  const inserted = [];
+  const planner = Object.assign(createPlanner(4), { insertItems: (at, count) => inserted.push([at, count]) });
+  const nextColumn = memory.watchColumns(items, planner, 2);
+  assert.equal(memory.getDecodedBytes(), 160000);
+
+  items.splice(1, 0, { type: "book", index: 4, image: { naturalWidth: 200, naturalHeight: 100 } });
+  nextColumn.insertItems(1, 1);
+  assert.deepEqual(inserted, [[1, 1]]);
+  assert.equal(memory.getDecodedBytes(), 240000);
+
+  memory.trackItems(items);
+  assert.equal(memory.getDecodedBytes(), 240000);
+
+  memory.evict(items[0]);
+  memory.replaceCover(items[0], { naturalWidth: 100, naturalHeight: 50 });
+  memory.replaceCover(items[2], { naturalWidth: 100, naturalHeight: 50 });
+  assert.equal(memory.getDecodedBytes(), 240000 - 40000 + 20000 - 40000 + 20000);
+});
+
+test("evicts the covers a wall scrolling right has passed", () => {
+  const evicted = [];
+  const memory = new CoverMemoryBudget({
+    budgetBytes: 5 * 40000,
+    lookaheadItems: 2,
+    onEvict: item => evicted.push(item.index)
+  });
+  const items = createItems(10);
+  // Plans two items per column backwards from the last item
+  let nextItemIdx = 9;
+  const planner = Object.assign(() => {
+    nextItemIdx = (nextItemIdx + 8) % 10;
+    return { entries: [] };
+  }, {
+    getState: () => ({ nextItemIdx, reverse: true })
+  });
+  const nextColumn = memory.watchColumns(items, planner, 2);
+
+  nextColumn();
+  nextColumn();
+
+  // Items 9 to 6 are on screen and 5 and 4 come next, so the wall reaches 0 to 3 last
+  assert.deepEqual(evicted, [0, 1, 2, 3]);
+  assert.equal(memory.getDecodedBytes(), 240000);
+});
@@ -0,0 +1,51 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { getCoverStyle, synthesizeCover, wrapLines } from "../public/js/cover-synthesizer.js";
+
+const measureByLength = line => line.length * 10;
+
+test("seeds the cover color by book ID and uses a 2:3 book shape", () => {
+  const book = { book_id: 7, title: "The Glass Harbor", author_name: "Ada Novak" };
+  const style = getCoverStyle(book);
+
+  assert.deepEqual(getCoverStyle({ ...book, title: "Another Edition" }), style);
+  assert.notEqual(getCoverStyle({ ...book, book_id: 8 }).hue, style.hue);
+  assert.equal(style.width, 200);
+  assert.equal(style.height, 300);
+  assert.equal(getCoverStyle(book, 120).height, 180);
+});
+
+test("wraps cover text to the width and ellipsizes overflowing lines", () => {
+  assert.deepEqual(wrapLines("The Glass Harbor", 100, measureByLength, 3), ["The Glass", "Harbor"]);
+  assert.deepEqual(
+    wrapLines("Letters from the Distant Observatory", 100, measureByLength, 2),
+    ["Letters", "from the…"]
+  );
+  assert.deepEqual(wrapLines("", 100, measureByLength, 2), []);
+});
+
+test("draws the title and author onto a canvas data URL", () => {
+  const originalDocument = global.document;
+  const drawnText = [];
+  const context = {
+    createLinearGradient: () => ({ addColorStop() {} }),
+    fillRect() {},
+    fillText: text => drawnText.push(text),
+    measureText: text => ({ width: text.length * 8 })
+  };
+  global.document = {
+    createElement: tagName => {
+      assert.equal(tagName, "canvas");
+      return { getContext: () => context, toDataURL: type => `data:${type};base64,AAAA` };
+    }
+  };
+
+  try {
+    const url = synthesizeCover({ book_id: 1, title: "Salt Garden", author_name: "Noor Kaur" });
+
+    assert.equal(url, "data:image/png;base64,AAAA");
+    assert.deepEqual(drawnText, ["Salt Garden", "Noor Kaur"]);
+  } finally {
+    global.document = originalDocument;
+  }
+});
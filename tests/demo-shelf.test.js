@@ -0,0 +1,25 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createDemoBooks } from "../public/js/demo-shelf.js";
+
+test("generates the same few hundred books on every launch", () => {
+  const books = createDemoBooks();
+
+  assert.equal(books.length, 320);
+  assert.deepEqual(createDemoBooks(), books);
+  assert.equal(new Set(books.map(book => book.book_id)).size, books.length);
+});
+
+test("spreads demo books over many read years in the API book schema", () => {
+  const books = createDemoBooks();
+  const readYears = new Set(books.filter(book => book.read_at).map(book => new Date(book.read_at).getUTCFullYear()));
+
+  assert.ok(readYears.size >= 12);
+  assert.ok(books.some(book => book.read_at === null));
+  books.forEach(book => {
+    assert.equal(typeof book.title, "string");
+    assert.equal(typeof book.author_name, "string");
+    assert.equal(book.image_url, "");
+    assert.ok(book.user_rating >= 0 && book.user_rating <= 5);
+  });
+});
@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { fileURLToPath } from "node:url";
+import { fetchShelfFeed } from "../api/_lib/goodreads-upstream.js";
+
+const FIXTURE_DIR = fileURLToPath(new URL("./fixtures/goodreads", import.meta.url));
+
+async function withUpstream(upstream, callback) {
+  const originalUpstream = process.env.GOODREADS_UPSTREAM;
+  process.env.GOODREADS_UPSTREAM = upstream;
+  try {
+    return await callback();
+  } finally {
+    if (originalUpstream === undefined) {
+      delete process.env.GOODREADS_UPSTREAM;
+    } else {
+      process.env.GOODREADS_UPSTREAM = originalUpstream;
+    }
+  }
+}
+
+function countItems(xml) {
+  return (xml.match(/<item>/g) ?? []).length;
+}
+
+test("serves recorded fixture pages and an item-less channel past the last page", async () => {
+  await withUpstream(FIXTURE_DIR, async () => {
+    const page = async number => (await fetchShelfFeed("1000001", new URLSearchParams({ shelf: "read", page: String(number) }))).text();
+
+    assert.equal(countItems(await page(1)), 100);
+    assert.equal(countItems(await page(2)), 37);
+
+    const pastLastPage = await page(3);
+    assert.equal(countItems(pastLastPage), 0);
+    assert.match(pastLastPage, /<title>Fixture Reader's bookshelf: read<\/title>/);
+  });
+});
+
+test("answers fixture requests like Goodreads for unknown users, unknown shelves and private shelves", async () => {
+  await withUpstream(FIXTURE_DIR, async () => {
+    const unknownUser = await fetchShelfFeed("999", new URLSearchParams({ shelf: "read" }));
+    assert.equal(unknownUser.status, 404);
+
+    const unknownShelf = await (await fetchShelfFeed("1000001", new URLSearchParams({ shelf: "missing" }))).text();
+    assert.match(unknownShelf, /bookshelf: all/);
+
+    const withoutKey = await fetchShelfFeed("1000001", new URLSearchParams({ shelf: "private-notes" }));
+    assert.equal(withoutKey.redirected, true);
+    assert.match(withoutKey.url, /\/user\/sign_in$/);
+
+    const withKey = await fetchShelfFeed("1000001", new URLSearchParams({ shelf: "private-notes", key: "fixture-key" }));
+    assert.equal(countItems(await withKey.text()), 3);
+  });
+});
+
+test("renders templated fixture pages up to the configured page count", async () => {
+  await withUpstream(FIXTURE_DIR, async () => {
+    const page21 = await (await fetchShelfFeed("1000001", new URLSearchParams({ shelf: "huge", page: "21" }))).text();
+    const page22 = await (await fetchShelfFeed("1000001", new URLSearchParams({ shelf: "huge", page: "22" }))).text();
+
+    assert.equal(countItems(page21), 100);
+    assert.match(page21, /<book_id>21001<\/book_id>/);
+    assert.equal(countItems(page22), 0);
+  });
+});
+
+test("requests feeds from a mock RSS server given as a URL", async () => {
+  const requestedUrls = [];
+  const server = createServer((req, res) => {
+    requestedUrls.push(req.url);
+    res.setHeader("Content-Type", "application/xml");
+    res.end("<rss><channel><title>Mock</title></channel></rss>");
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  try {
+    await withUpstream(`http://127.0.0.1:${server.address().port}/`, async () => {
+      const response = await fetchShelfFeed("123", new URLSearchParams({ shelf: "read", page: "2" }));
+
+      assert.equal(await response.text(), "<rss><channel><title>Mock</title></channel></rss>");
+      assert.deepEqual(requestedUrls, ["/review/list_rss/123?shelf=read&page=2"]);
+    });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,25 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { sortImageReport, summarizeImageReport } from "../public/js/image-diagnostics-panel.js";
+
+const records = [
+  { index: 0, title: "B", outcome: "loaded", host: "i.gr-assets.com", source: "goodreads_large", elapsedMs: 120 },
+  { index: 1, title: "A", outcome: "empty_url", host: null, source: "generated", elapsedMs: 4 },
+  { index: 2, title: "C", outcome: "timeout", host: "i.gr-assets.com", source: null, elapsedMs: 8000 }
+];
+
+test("sorts report records by column and keeps empty values last", () => {
+  assert.deepEqual(sortImageReport(records, "elapsedMs", -1).map(record => record.index), [2, 0, 1]);
+  assert.deepEqual(sortImageReport(records, "title").map(record => record.index), [1, 0, 2]);
+  assert.deepEqual(sortImageReport(records, "host", 1).map(record => record.index), [0, 2, 1]);
+  assert.deepEqual(sortImageReport(records, "host", -1).map(record => record.index), [0, 2, 1]);
+  assert.deepEqual(records.map(record => record.index), [0, 1, 2]);
+});
+
+test("summarizes report records by outcome and shown source", () => {
+  assert.deepEqual(summarizeImageReport(records), {
+    total: 3,
+    outcomes: { loaded: 1, empty_url: 1, timeout: 1 },
+    sources: { goodreads_large: 1, generated: 1, none: 1 }
+  });
+});
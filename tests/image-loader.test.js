@@ -1,6 +1,6 @@
 import test from "node:test";
 import assert from "node:assert/strict";
-import { ImageLoader } from "../public/js/image-loader.js";
+import { ImageLoader, getCoverRequestWidth, getCoverRetryDelay } from "../public/js/image-loader.js";
 
 test("settles stalled image requests after the configured timeout", async () => {
   const originalImage = global.Image;
@@ -126,4 +126,352 @@ test("cancel stops active image loading", async () => {
   } finally {
     global.Image = originalImage;
   }
-});
\ No newline at end of file
+});
+
+test("draws covers for books without an image URL when a synthesizer is set", async () => {
+  const originalImage = global.Image;
+  const requestedUrls = [];
+  global.Image = class {
+    set src(value) {
+      requestedUrls.push(value);
+      queueMicrotask(() => this.onload());
+    }
+  };
+
+  try {
+    const loader = new ImageLoader();
+    loader.setCoverSynthesizer(book => `data:image/png;base64,${book.title}`);
+    const images = await loader.preloadImages([
+      { title: "Drawn", image_url: "" },
+      { title: "Photo", image_url: "https://example.test/cover.jpg" }
+    ]);
+
+    assert.equal(images.filter(Boolean).length, 2);
+    assert.deepEqual(requestedUrls, ["data:image/png;base64,Drawn", "https://example.test/cover._SX200_.jpg"]);
+  } finally {
+    global.Image = originalImage;
+  }
+});
+
+test("draws covers for Goodreads placeholders and broken images and counts them", async () => {
+  const originalImage = global.Image;
+  const requestedUrls = [];
+  global.Image = class {
+    set src(value) {
+      requestedUrls.push(value);
+      queueMicrotask(() => (value.includes("broken") ? this.onerror() : this.onload()));
+    }
+  };
+
+  try {
+    const loader = new ImageLoader();
+    const progress = [];
+    loader.setCoverSynthesizer(book => `data:image/png;base64,${book.title}`);
+    loader.setProgressCallback((...args) => progress.push(args));
+    const images = await loader.preloadImages([
+      { title: "Placeholder", image_url: "https://s.gr-assets.com/assets/nophoto/book/111x148-bcc042a9.png" },
+      { title: "Broken", image_url: "https://example.test/broken.jpg" },
+      { title: "Photo", image_url: "https://example.test/cover.jpg" }
+    ]);
+
+    assert.equal(images.filter(Boolean).length, 3);
+    assert.deepEqual(requestedUrls, [
+      "data:image/png;base64,Placeholder",
+      "https://example.test/broken._SX200_.jpg",
+      "https://example.test/cover._SX200_.jpg",
+      "data:image/png;base64,Broken"
+    ]);
+    assert.deepEqual(progress.at(-1), [3, 0, 3, 2]);
+  } finally {
+    global.Image = originalImage;
+  }
+});
+
+test("falls back through the cover sources and records which one loaded", async () => {
+  const originalImage = global.Image;
+  const requestedUrls = [];
+  global.Image = class {
+    set src(value) {
+      requestedUrls.push(value);
+      queueMicrotask(() => (/openlibrary|^data:/.test(value) ? this.onload() : this.onerror()));
+    }
+  };
+
+  try {
+    const loader = new ImageLoader();
+    loader.setCoverSynthesizer(() => "data:image/png;base64,AAAA");
+    const book = {
+      image_url: "https://i.gr-assets.com/images/cover._SY475_.jpg",
+      image_url_medium: "https://i.gr-assets.com/images/cover._SY160_.jpg",
+      image_url_small: "https://s.gr-assets.com/assets/nophoto/book/50x75.png",
+      isbn: "0-306-40615-2"
+    };
+    const [image] = await loader.preloadImages([book]);
+
+    assert.ok(image);
+    assert.equal(book.cover_source, "openlibrary");
+    assert.deepEqual(requestedUrls, [
+      "https://i.gr-assets.com/images/cover._SX200_.jpg",
+      "https://i.gr-assets.com/images/cover._SY160_.jpg",
+      "https://covers.openlibrary.org/b/isbn/0306406152-L.jpg?default=false"
+    ]);
+
+    requestedUrls.length = 0;
+    loader.setCoverSources(["goodreads_small", "generated"]);
+    const [drawn] = await loader.preloadImages([book]);
+
+    assert.ok(drawn);
+    assert.equal(book.cover_source, "generated");
+    assert.deepEqual(requestedUrls, ["data:image/png;base64,AAAA"]);
+  } finally {
+    global.Image = originalImage;
+  }
+});
+
+test("requests covers sized for the pixel ratio and flags hosts that ignore the size", async () => {
+  assert.equal(getCoverRequestWidth(1), 200);
+  assert.equal(getCoverRequestWidth(1.25), 300);
+  assert.equal(getCoverRequestWidth(2), 400);
+  assert.equal(getCoverRequestWidth(4), 600);
+  assert.equal(getCoverRequestWidth(undefined), 200);
+
+  const originalImage = global.Image;
+  const requestedUrls = [];
+  global.Image = class {
+    set src(value) {
+      requestedUrls.push(value);
+      this.naturalWidth = value.startsWith("data:") ? 400 : 318;
+      queueMicrotask(() => this.onload());
+    }
+  };
+
+  try {
+    const loader = new ImageLoader({ pixelRatio: 2 });
+    const drawnWidths = [];
+    loader.setCoverSynthesizer((book, { width }) => {
+      drawnWidths.push(width);
+      return "data:image/png;base64,AAAA";
+    });
+    const books = [
+      { image_url: "https://i.gr-assets.com/images/cover._SY475_.jpg" },
+      { image_url: "" }
+    ];
+    await loader.preloadImages(books);
+
+    assert.deepEqual(requestedUrls, ["https://i.gr-assets.com/images/cover._SX400_.jpg", "data:image/png;base64,AAAA"]);
+    assert.deepEqual(drawnWidths, [400]);
+    assert.equal(books[0].cover_resolution, 1.59);
+    assert.equal(books[0].cover_undersized, true);
+    assert.equal(books[1].cover_resolution, 2);
+    assert.equal(books[1].cover_undersized, false);
+  } finally {
+    global.Image = originalImage;
+  }
+});
+
+test("loads covers in the requested order and reports each one as it settles", async () => {
+  const originalImage = global.Image;
+  const requestedUrls = [];
+  global.Image = class {
+    set src(value) {
+      requestedUrls.push(value);
+      queueMicrotask(() => this.onload());
+    }
+  };
+
+  try {
+    const loader = new ImageLoader({ maxConcurrent: 1 });
+    const settled = [];
+    const books = ["a", "b", "c"].map(name => ({ image_url: `https://example.test/${name}.jpg` }));
+    await loader.preloadImages(books, {
+      order: [2, 0, 1],
+      onCover: (index, image) => settled.push([index, Boolean(image)])
+    });
+
+    assert.deepEqual(requestedUrls, [
+      "https://example.test/c._SX200_.jpg",
+      "https://example.test/a._SX200_.jpg",
+      "https://example.test/b._SX200_.jpg"
+    ]);
+    assert.deepEqual(settled, [[2, true], [0, true], [1, true]]);
+  } finally {
+    global.Image = originalImage;
+  }
+});
+
+test("decodes covers before resolving and skips ones that cannot be decoded", async () => {
+  const originalImage = global.Image;
+  const decoded = [];
+  global.Image = class {
+    set src(value) {
+      this.url = value;
+      queueMicrotask(() => this.onload());
+    }
+
+    decode() {
+      decoded.push(this.url);
+      return this.url.includes("corrupt") ? Promise.reject(new Error("EncodingError")) : Promise.resolve();
+    }
+  };
+
+  try {
+    const loader = new ImageLoader();
+    const book = {
+      image_url: "https://example.test/corrupt.jpg",
+      image_url_medium: "https://example.test/medium.jpg"
+    };
+    const [image] = await loader.preloadImages([book]);
+
+    assert.equal(image.url, "https://example.test/medium.jpg");
+    assert.equal(book.cover_source, "goodreads_medium");
+    assert.deepEqual(decoded, ["https://example.test/corrupt._SX200_.jpg", "https://example.test/medium.jpg"]);
+  } finally {
+    global.Image = originalImage;
+  }
+});
+
+test("reorders the books still waiting when priorities change mid-load", async () => {
+  const originalImage = global.Image;
+  const requestedUrls = [];
+  global.Image = class {
+    set src(value) {
+      requestedUrls.push(value.replace("https://example.test/", "").replace("._SX200_.jpg", ""));
+      queueMicrotask(() => this.onload());
+    }
+  };
+
+  try {
+    const loader = new ImageLoader({ maxConcurrent: 1 });
+    const books = ["a", "b", "c", "d", "e"].map(name => ({ image_url: `https://example.test/${name}.jpg` }));
+    await loader.preloadImages(books, {
+      onCover: index => {
+        if (index === 0) loader.prioritize([3, 0, 4]);
+      }
+    });
+
+    assert.deepEqual(requestedUrls, ["a", "d", "e", "b", "c"]);
+  } finally {
+    global.Image = originalImage;
+  }
+});
+
+test("reports how each cover loaded, which host served it and how many tries it took", async () => {
+  const originalImage = global.Image;
+  global.Image = class {
+    set src(value) {
+      if (value.includes("stalled")) return;
+      if (value.startsWith("data:")) this.naturalWidth = 200;
+      queueMicrotask(() => (value.includes("broken") ? this.onerror() : this.onload()));
+    }
+  };
+
+  try {
+    const loader = new ImageLoader({ imageTimeoutMs: 5 });
+    loader.setCoverSynthesizer(() => "data:image/png;base64,AAAA");
+    loader.setCoverSources(["goodreads_large", "openlibrary", "generated"]);
+    await loader.preloadImages([
+      { book_id: "1", title: "Stalled", image_url: "https://i.gr-assets.com/stalled.jpg" },
+      { book_id: "2", title: "Broken", image_url: "https://i.gr-assets.com/broken.jpg", isbn: "0306406152" },
+      { book_id: "3", title: "Missing" }
+    ]);
+
+    const report = loader.getReport();
+    assert.deepEqual(report.map(record => [record.title, record.outcome, record.host, record.source, record.retries]), [
+      ["Stalled", "timeout", "i.gr-assets.com", "generated", 0],
+      ["Broken", "error", "i.gr-assets.com", "openlibrary", 0],
+      ["Missing", "empty_url", null, "generated", 0]
+    ]);
+    assert.deepEqual(report[1].attempts.map(attempt => [attempt.source, attempt.host, attempt.outcome]), [
+      ["goodreads_large", "i.gr-assets.com", "error"],
+      ["openlibrary", "covers.openlibrary.org", "loaded"]
+    ]);
+    assert.equal(report[2].naturalWidth, 200);
+    assert.ok(report[0].elapsedMs >= 5);
+  } finally {
+    global.Image = originalImage;
+  }
+});
+
+test("retries covers that timed out in the background with backoff", async () => {
+  const originalImage = global.Image;
+  const requests = new Map();
+  global.Image = class {
+    set src(value) {
+      const count = (requests.get(value) ?? 0) + 1;
+      requests.set(value, count);
+      // The slow cover answers on its third request; the missing one never does
+      if (value.includes("slow") && count < 3) return;
+      queueMicrotask(() => (value.includes("missing") ? this.onerror() : this.onload()));
+    }
+  };
+
+  try {
+    const loader = new ImageLoader({ imageTimeoutMs: 5, coverRetryAttempts: 2, coverRetryBaseDelayMs: 1 });
+    loader.setCoverSynthesizer(() => "data:image/png;base64,AAAA");
+    const retried = [];
+    const books = [
+      { title: "Slow", image_url: "https://example.test/slow.jpg" },
+      { title: "Missing", image_url: "https://example.test/missing.jpg" },
+      { title: "Fine", image_url: "https://example.test/fine.jpg" }
+    ];
+    const images = await loader.preloadImages(books, {
+      onRetriedCover: (index, image) => retried.push([index, image])
+    });
+
+    assert.equal(books[0].cover_source, "generated");
+    assert.ok(images[0]);
+    assert.deepEqual(retried, []);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.deepEqual(retried.map(([index]) => index), [0]);
+    assert.ok(retried[0][1]);
+    assert.equal(books[0].cover_source, "goodreads_large");
+    assert.equal(requests.get("https://example.test/slow._SX200_.jpg"), 3);
+    assert.equal(requests.get("https://example.test/missing._SX200_.jpg"), 3);
+    assert.equal(requests.get("https://example.test/fine._SX200_.jpg"), 1);
+
+    const [slow, missing] = loader.getReport();
+    assert.deepEqual([slow.outcome, slow.source, slow.retries], ["timeout", "goodreads_large", 2]);
+    assert.deepEqual([missing.outcome, missing.source, missing.retries], ["error", "generated", 2]);
+  } finally {
+    global.Image = originalImage;
+  }
+});
+
+test("stops retrying covers when loading is cancelled", async () => {
+  const originalImage = global.Image;
+  let requests = 0;
+  global.Image = class {
+    set src(value) {
+      if (value.startsWith("data:")) {
+        queueMicrotask(() => this.onload());
+        return;
+      }
+      requests++;
+      queueMicrotask(() => this.onerror());
+    }
+  };
+
+  try {
+    const loader = new ImageLoader({ coverRetryBaseDelayMs: 20 });
+    loader.setCoverSynthesizer(() => "data:image/png;base64,AAAA");
+    const retried = [];
+    await loader.preloadImages([{ title: "Broken", image_url: "https://example.test/broken.jpg" }], {
+      onRetriedCover: index => retried.push(index)
+    });
+    loader.cancel();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(requests, 1);
+    assert.deepEqual(retried, []);
+  } finally {
+    global.Image = originalImage;
+  }
+});
+
+test("backs off cover retries exponentially with jitter", () => {
+  assert.equal(getCoverRetryDelay(0, 1000, () => 0), 500);
+  assert.equal(getCoverRetryDelay(2, 1000, () => 1), 4000);
+  assert.equal(getCoverRetryDelay(10, 1000, () => 1), 120000);
+});
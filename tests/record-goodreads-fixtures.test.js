@@ -0,0 +1,29 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { sanitizeFeed } from "../scripts/record-goodreads-fixtures.js";
+
+test("removes the feed key, reviews and reader identity from recorded feeds", () => {
+  const xml = "<rss><channel><title>Jane Doe's bookshelf: read</title>" +
+    "<link><![CDATA[https://www.goodreads.com/review/list_rss/4242?key=s3cret&shelf=read]]></link>" +
+    "<item><user_name>Jane Doe</user_name><user_review>My private thoughts</user_review>" +
+    "<guid>https://www.goodreads.com/user/show/4242?key=s3cret</guid></item></channel></rss>";
+
+  const sanitized = sanitizeFeed(xml, { userId: "4242", fixtureUserId: "1000001", key: "s3cret" });
+
+  assert.doesNotMatch(sanitized, /s3cret|Jane Doe|4242|private thoughts/);
+  assert.match(sanitized, /<title>Fixture Reader's bookshelf: read<\/title>/);
+  assert.match(sanitized, /list_rss\/1000001\?key=fixture-key&shelf=read/);
+  assert.match(sanitized, /<user_review><\/user_review>/);
+});
+
+test("replaces only whole occurrences of the reader's user ID", () => {
+  const xml = "<rss><channel><link>https://www.goodreads.com/review/list_rss/4242?shelf=read</link>" +
+    "<item><link>https://www.goodreads.com/book/show/42421</link>" +
+    "<guid>https://www.goodreads.com/user/show/4242-jane</guid></item></channel></rss>";
+
+  const sanitized = sanitizeFeed(xml, { userId: "4242", fixtureUserId: "1000001" });
+
+  assert.match(sanitized, /list_rss\/1000001\?shelf=read/);
+  assert.match(sanitized, /book\/show\/42421</);
+  assert.match(sanitized, /user\/show\/1000001-jane/);
+});
@@ -30,7 +30,26 @@ test("requires a user ID before starting the application", () => {
 
     global.window = { location: { search: "?userId=123" } };
     assert.equal(RSSDialog.hasValidUserIdParam(), true);
+
+    global.window = { location: { search: "?userId=123,456" } };
+    assert.equal(RSSDialog.hasValidUserIdParam(), true);
+
+    global.window = { location: { search: "?userId=123,,456" } };
+    assert.equal(RSSDialog.hasValidUserIdParam(), false);
   } finally {
     global.window = originalWindow;
   }
-});
\ No newline at end of file
+});
+
+test("accepts only Goodreads sort keys from the feed URL", () => {
+  const dialog = new RSSDialog();
+
+  assert.equal(
+    dialog.parseGoodreadsRSSUrl("https://www.goodreads.com/review/list_rss/123?shelf=read&sort=avg_rating&order=d").sort,
+    "avg_rating"
+  );
+  assert.throws(
+    () => dialog.parseGoodreadsRSSUrl("https://www.goodreads.com/review/list_rss/123?sort=date_deleted"),
+    /Invalid sort parameter format/
+  );
+});
@@ -0,0 +1,186 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  Spotlight,
+  getRatingStars,
+  getReviewExcerpt,
+  getSpotlightBounds,
+  getSpotlightOrigin,
+  getSpotlightWeight,
+  pickWeighted
+} from "../public/js/spotlight.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createElement() {
+  const classes = new Set();
+  return {
+    children: [],
+    style: {},
+    classList: {
+      add: name => classes.add(name),
+      remove: name => classes.delete(name),
+      contains: name => classes.has(name)
+    },
+    appendChild(child) {
+      child.parent = this;
+      this.children.push(child);
+      return child;
+    },
+    remove() {
+      this.parent?.children.splice(this.parent.children.indexOf(this), 1);
+    }
+  };
+}
+
+function createCover(index, readAt, rect, clip = null) {
+  return {
+    ...createElement(),
+    parentElement: createElement(),
+    closest: () => clip,
+    getAttribute: name => ({ "data-book-index": String(index), "data-read-at": readAt })[name] ?? null,
+    getBoundingClientRect: () => ({ ...rect, right: rect.left + rect.width, bottom: rect.top + rect.height })
+  };
+}
+
+test("weighs books by rating and by how recently they were read", () => {
+  const now = Date.parse("2026-10-01T00:00:00Z");
+
+  assert.equal(getSpotlightWeight({ user_rating: 0 }, "", now), 1);
+  assert.equal(getSpotlightWeight({ user_rating: 5 }, "2020-01-01T00:00:00Z", now), 6);
+  assert.equal(getSpotlightWeight({ user_rating: 0 }, new Date(now).toISOString(), now), 4);
+  assert.equal(getSpotlightWeight({ user_rating: 2 }, new Date(now - 365 / 2 * DAY_MS).toISOString(), now), 4.5);
+});
+
+test("picks candidates in proportion to their weight", () => {
+  const candidates = [{ id: "a", weight: 1 }, { id: "b", weight: 3 }];
+
+  assert.equal(pickWeighted(candidates, () => 0.2).id, "a");
+  assert.equal(pickWeighted(candidates, () => 0.3).id, "b");
+  assert.equal(pickWeighted([], () => 0.5), null);
+});
+
+test("shortens reviews to whole words and shows ratings as stars", () => {
+  assert.equal(getReviewExcerpt("  A short\n  review. "), "A short review.");
+  assert.equal(getReviewExcerpt("One two three, four five", 16), "One two three…");
+  assert.equal(getRatingStars(4), "★★★★☆");
+  assert.equal(getRatingStars(0), "");
+});
+
+test("grows covers near an edge away from it", () => {
+  const screen = { left: 0, top: 0, right: 1200, bottom: 800 };
+
+  assert.deepEqual(getSpotlightOrigin({ left: 0, top: 500, width: 200, height: 300 }, screen), { x: 0, y: 1 });
+  assert.deepEqual(getSpotlightOrigin({ left: 500, top: 250, width: 200, height: 300 }, screen), { x: 0.5, y: 0.5 });
+  assert.deepEqual(
+    getSpotlightOrigin({ left: 500, top: 450, width: 100, height: 150 }, { left: 0, top: 400, right: 1200, bottom: 800 }),
+    { x: 0.5, y: 0 }
+  );
+});
+
+test("grows covers within their lane where the grown cover fits and within the screen otherwise", () => {
+  const lane = { left: -300, top: 400, right: 1500, bottom: 800 };
+
+  assert.deepEqual(
+    getSpotlightBounds({ left: 500, top: 450, width: 100, height: 150 }, lane, 1200, 800, 1.6),
+    { left: 0, top: 400, right: 1200, bottom: 800 }
+  );
+  assert.deepEqual(
+    getSpotlightBounds({ left: 500, top: 450, width: 200, height: 300 }, lane, 1200, 800, 1.6),
+    { left: 0, top: 0, right: 1200, bottom: 800 }
+  );
+  assert.deepEqual(
+    getSpotlightBounds({ left: 500, top: 450, width: 200, height: 300 }, null, 1200, 800, 1.6),
+    { left: 0, top: 0, right: 1200, bottom: 800 }
+  );
+});
+
+test("eases the wall to a stop, features a cover on screen with a card and eases back", () => {
+  const originalDocument = global.document;
+  const originalWindow = global.window;
+  const originalSetTimeout = global.setTimeout;
+  const originalClearTimeout = global.clearTimeout;
+  const timers = [];
+  const body = createElement();
+  const books = [
+    { title: "Off Screen", user_rating: 5 },
+    { title: "Dune", author_name: "Frank Herbert", user_rating: 4, user_review: "Spice." }
+  ];
+  const covers = [
+    createCover(0, "", { left: -100, top: 0, width: 200, height: 300 }),
+    createCover(1, "2024-03-04T00:00:00.000Z", { left: 100, top: 50, width: 200, height: 300 })
+  ];
+  global.document = { body, createElement, querySelectorAll: () => covers };
+  global.window = { innerWidth: 1200, innerHeight: 800 };
+  global.setTimeout = (callback, delay) => timers.push({ callback, delay });
+  global.clearTimeout = () => {};
+
+  try {
+    const speeds = [];
+    const controller = { easeSpeedTo: (factor, durationMs) => speeds.push([factor, durationMs]) };
+    const spotlight = new Spotlight(controller, { getBook: index => books[index], intervalMs: 60000, random: () => 0.99 });
+
+    spotlight.start();
+    assert.equal(timers.at(-1).delay, 60000);
+    timers.at(-1).callback();
+    assert.deepEqual(speeds.at(-1), [0, 2000]);
+
+    timers.at(-1).callback();
+    const cover = covers[1];
+    const card = body.children[0];
+    assert.equal(cover.style.transform, "scale(1.6)");
+    assert.equal(cover.style.transformOrigin, "0% 0%");
+    assert.equal(cover.parentElement.classList.contains("spotlight-line"), true);
+    assert.deepEqual(card.children.map(line => line.textContent), ["Dune", "Frank Herbert", "★★★★☆", "Read March 4, 2024", "Spice."]);
+    assert.equal(card.style.left, "444px");
+    assert.equal(card.style.top, "50px");
+    assert.equal(timers.at(-1).delay, 8000);
+
+    timers.at(-1).callback();
+    assert.equal(cover.style.transform, undefined);
+    assert.equal(cover.classList.contains("spotlight-cover"), false);
+    assert.equal(body.children.length, 0);
+    assert.deepEqual(speeds.at(-1), [1, 2000]);
+    assert.equal(timers.at(-1).delay, 60000);
+  } finally {
+    global.document = originalDocument;
+    global.window = originalWindow;
+    global.setTimeout = originalSetTimeout;
+    global.clearTimeout = originalClearTimeout;
+  }
+});
+
+test("stops the lane holding the featured cover from clipping it until the cover shrinks back", () => {
+  const originalDocument = global.document;
+  const originalWindow = global.window;
+  const originalSetTimeout = global.setTimeout;
+  const originalClearTimeout = global.clearTimeout;
+  const timers = [];
+  const body = createElement();
+  const lane = {
+    ...createElement(),
+    getBoundingClientRect: () => ({ left: 0, top: 400, right: 1200, bottom: 800, width: 1200, height: 400 })
+  };
+  const cover = createCover(0, "", { left: 500, top: 450, width: 100, height: 150 }, lane);
+  global.document = { body, createElement, querySelectorAll: () => [cover] };
+  global.window = { innerWidth: 1200, innerHeight: 800 };
+  global.setTimeout = (callback, delay) => timers.push({ callback, delay });
+  global.clearTimeout = () => {};
+
+  try {
+    const controller = { easeSpeedTo() {} };
+    const spotlight = new Spotlight(controller, { getBook: () => ({ title: "Dune" }), intervalMs: 60000 });
+
+    spotlight.featureCover();
+    assert.equal(lane.classList.contains("spotlight-unclipped"), true);
+    assert.equal(cover.style.transformOrigin, "50% 0%");
+
+    timers.at(-1).callback();
+    assert.equal(lane.classList.contains("spotlight-unclipped"), false);
+  } finally {
+    global.document = originalDocument;
+    global.window = originalWindow;
+    global.setTimeout = originalSetTimeout;
+    global.clearTimeout = originalClearTimeout;
+  }
+});
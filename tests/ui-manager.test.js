@@ -1,6 +1,7 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 import { UIManager } from "../public/js/ui-manager.js";
+import { NetworkError, ShelfNotFoundError, ShelfTooLargeError } from "../public/js/api-errors.js";
 
 test("shows an actionable message for shelves over 2,000 books", () => {
   const originalConsoleError = console.error;
@@ -14,8 +15,9 @@ test("shows an actionable message for shelves over 2,000 books", () => {
   console.error = () => {};
 
   try {
-    manager.showError(new Error(
-      "This shelf contains more than 2,000 books and cannot be loaded completely."
+    manager.showError(new ShelfTooLargeError(
+      "This shelf contains more than 2,000 books and cannot be loaded completely.",
+      { code: "SHELF_TOO_LARGE" }
     ));
 
     assert.equal(
@@ -25,4 +27,118 @@ test("shows an actionable message for shelves over 2,000 books", () => {
   } finally {
     console.error = originalConsoleError;
   }
-});
\ No newline at end of file
+});
+
+test("chooses the error message by error code rather than message text", () => {
+  const originalConsoleError = console.error;
+  const manager = Object.create(UIManager.prototype);
+  const displayedMessages = [];
+  manager.setProgressText = message => {
+    displayedMessages.push(message);
+  };
+  manager.resetProgress = () => {};
+  manager.showCard = () => {};
+  console.error = () => {};
+
+  try {
+    manager.showError(new ShelfNotFoundError("Failed to fetch shelf", { code: "SHELF_NOT_FOUND" }));
+    manager.showError(new NetworkError("offline", { code: "NETWORK_ERROR" }));
+    manager.showError(new ShelfNotFoundError("No shelf", { code: "SHELF_NOT_FOUND", details: { shelf: "favourites" } }));
+    manager.showError(new Error("Authentication failed"));
+
+    assert.deepEqual(displayedMessages, [
+      "Goodreads could not find this user or shelf. Check the RSS feed URL.",
+      "Network error. Check your connection and try again.",
+      'This Goodreads user has no shelf named "favourites". Check the shelf name in the RSS feed URL.',
+      "Failed to load book data."
+    ]);
+  } finally {
+    console.error = originalConsoleError;
+  }
+});
+
+test("states how many books were skipped on a degraded shelf", () => {
+  const manager = Object.create(UIManager.prototype);
+  let displayedMessage = "";
+  manager.setProgressText = message => {
+    displayedMessage = message;
+  };
+
+  manager.showSkippedBooks(200);
+  assert.equal(displayedMessage, "200 books could not be loaded from Goodreads and were skipped.");
+
+  manager.showSkippedBooks(100, { upperBound: true });
+  assert.equal(displayedMessage, "Up to 100 books could not be loaded from Goodreads and were skipped.");
+});
+
+test("reports how many covers were drawn once images finish loading", () => {
+  const manager = Object.create(UIManager.prototype);
+  manager.elements = {};
+  const states = [];
+  manager.setProgressItemState = (...args) => states.push(args);
+
+  manager.updateImageLoadingProgress(10, 0, 10, 4);
+  assert.deepEqual(states.at(-1), ["images", "completed", "10 (4 drawn)"]);
+
+  manager.updateImageLoadingProgress(10, 0, 10, 0);
+  assert.deepEqual(states.at(-1), ["images", "completed", "10"]);
+});
+
+test("names the requested shelf when it has no books", () => {
+  const manager = Object.create(UIManager.prototype);
+  let displayedMessage = "";
+  manager.setProgressText = message => {
+    displayedMessage = message;
+  };
+
+  assert.equal(manager.handleEmptyState([], ["to-read"]), true);
+  assert.equal(
+    displayedMessage,
+    'The "to-read" shelf has no books yet. Add books to it on Goodreads or choose another shelf.'
+  );
+  assert.equal(manager.handleEmptyState([{ title: "Book" }], ["to-read"]), false);
+});
+
+test("names every requested shelf when several have no books", () => {
+  const manager = Object.create(UIManager.prototype);
+  let displayedMessage = "";
+  manager.setProgressText = message => {
+    displayedMessage = message;
+  };
+
+  assert.equal(manager.handleEmptyState([], ["read", "favorites"]), true);
+  assert.equal(
+    displayedMessage,
+    'The "read", "favorites" shelves have no books yet. Add books to them on Goodreads or choose other shelves.'
+  );
+});
+
+test("adds a progress item per reader below the fetch step", () => {
+  const originalDocument = global.document;
+  const createElement = () => ({
+    children: [],
+    classList: { names: new Set(), add(name) { this.names.add(name); }, remove(...names) { names.forEach(name => this.names.delete(name)); } },
+    append(...children) { this.children.push(...children); },
+    after(element) { this.nextSibling = element; },
+    querySelector(selector) { return this.children.find(child => `.${child.className}` === selector) ?? null; }
+  });
+  global.document = { createElement };
+  const manager = Object.create(UIManager.prototype);
+  manager.elements = { PROGRESS_FETCH: createElement() };
+
+  try {
+    manager.addReaderProgressItems(["1", "2"]);
+    manager.updateReaderTitle(1, "Bob's bookshelf: read");
+    manager.setProgressItemState("reader_1", "failed", "failed");
+
+    const firstReader = manager.elements.PROGRESS_FETCH.nextSibling;
+    const secondReader = firstReader.nextSibling;
+    assert.equal(firstReader.id, "progress-reader-0");
+    assert.equal(firstReader.querySelector(".progress-text").textContent, "Reader 1");
+    assert.equal(secondReader.querySelector(".progress-text").textContent, "Bob's bookshelf: read");
+    assert.equal(secondReader.querySelector(".progress-status").textContent, "failed");
+    assert.ok(secondReader.classList.names.has("failed"));
+  } finally {
+    global.document = originalDocument;
+  }
+});